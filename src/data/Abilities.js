@@ -2,6 +2,8 @@
 // Canonical ability definitions for The Marakatas
 // Based on character descriptions from the novel
 
+import { getItemAbility } from './Items.js';
+
 export const ABILITY_DATABASE = {
  'basic_move': {
   id: 'basic_move',
@@ -82,6 +84,21 @@ export const ABILITY_DATABASE = {
     requirements: null
   },
   
+  'poison_dart': {
+    id: 'poison_dart',
+    name: 'Poison Dart',
+    description: 'A dart dipped in snake venom; the poison works slowly',
+    actionType: 'action',
+    targetType: 'enemy',
+    effectType: 'status',
+    range: 8,
+    effectRadius: 0,
+    resourceType: 'tapas',
+    resourceCost: 2,
+    statusEffect: 'poisoned',
+    requirements: null
+  },
+  
   // Kona's Abilities (Yodha - Warrior/Rower)
   'basic_strike': {
     id: 'basic_strike',
@@ -127,6 +144,7 @@ export const ABILITY_DATABASE = {
     resourceType: 'tapas',
     resourceCost: 1,
     statusEffect: 'frightened',
+    requiresLineOfSight: false, // A shout carries past crates and masts
     requirements: null
   },
   
@@ -145,6 +163,38 @@ export const ABILITY_DATABASE = {
     requirements: null
   },
   
+  'opportunity_strike': {
+    id: 'opportunity_strike',
+    name: 'Opportunity Strike',
+    description: 'Strike an adjacent enemy as it tries to slip away',
+    actionType: 'reaction',
+    targetType: 'enemy',
+    effectType: 'damage',
+    damageDice: '1d8',
+    damageAttribute: 'bala',
+    range: 1,
+    effectRadius: 0,
+    resourceType: null,
+    resourceCost: 0,
+    reactionTrigger: 'enemy_leaves_adjacent',
+    requirements: null
+  },
+  
+  'stunning_blow': {
+    id: 'stunning_blow',
+    name: 'Stunning Blow',
+    description: 'A blow to the head that leaves the enemy reeling',
+    actionType: 'action',
+    targetType: 'enemy',
+    effectType: 'status',
+    range: 1,
+    effectRadius: 0,
+    resourceType: 'tapas',
+    resourceCost: 4,
+    statusEffect: 'stunned',
+    requirements: null
+  },
+  
   // Reddy's Abilities (Chara - Shield/Scout)
   'shield_bash': {
     id: 'shield_bash',
@@ -174,6 +224,7 @@ export const ABILITY_DATABASE = {
     resourceType: 'tapas',
     resourceCost: 2,
     statusEffect: 'shielded',
+    reactionTrigger: 'ally_attacked',
     requirements: null
   },
   
@@ -191,7 +242,38 @@ export const ABILITY_DATABASE = {
     requirements: null
   },
   
+  'shield_wall': {
+    id: 'shield_wall',
+    name: 'Shield Wall',
+    description: 'Plant the shield and hold the line with those beside you',
+    actionType: 'action',
+    targetType: 'self',
+    effectType: 'status',
+    range: 0,
+    effectRadius: 1,
+    resourceType: 'tapas',
+    resourceCost: 3,
+    statusEffect: 'defended',
+    requirements: null
+  },
+  
   // Universal/Support Abilities
+  'brace': {
+    id: 'brace',
+    name: 'Brace',
+    description: 'Twist away from an incoming missile to soften the blow',
+    actionType: 'reaction',
+    targetType: 'self',
+    effectType: 'status',
+    range: 0,
+    effectRadius: 0,
+    resourceType: 'tapas',
+    resourceCost: 1,
+    statusEffect: 'braced',
+    reactionTrigger: 'hit_by_ranged',
+    requirements: null
+  },
+  
   'first_aid': {
     id: 'first_aid',
     name: 'First Aid',
@@ -224,6 +306,22 @@ export const ABILITY_DATABASE = {
     requirements: null
   },
   
+  'restorative_prayer': {
+    id: 'restorative_prayer',
+    name: 'Restorative Prayer',
+    description: 'A chanted prayer that closes even deep wounds',
+    actionType: 'action',
+    targetType: 'ally',
+    effectType: 'heal',
+    damageDice: '3d8+2',
+    damageAttribute: 'buddhi',
+    range: 4,
+    effectRadius: 0,
+    resourceType: 'maya',
+    resourceCost: 4,
+    requirements: null
+  },
+  
   'tactical_repositioning': {
     id: 'tactical_repositioning',
     name: 'Tactical Repositioning',
@@ -236,6 +334,21 @@ export const ABILITY_DATABASE = {
     resourceType: 'speed',
     resourceCost: 0,
     requirements: null
+  },
+
+  'interact': {
+    id: 'interact',
+    name: 'Interact',
+    description: 'Use an objective object on or next to your tile (e.g. haul away cargo)',
+    actionType: 'action',
+    targetType: 'ground',
+    effectType: 'interact',
+    range: 1,
+    effectRadius: 0,
+    requiresLineOfSight: false,
+    resourceType: null,
+    resourceCost: 0,
+    requirements: null
   }
 };
 
@@ -248,246 +361,61 @@ export const CLASS_ABILITIES = {
     'rapid_fire',
     'precision_shot',
     'scatter_shot',
-    'tactical_repositioning'
+    'tactical_repositioning',
+    'brace',
+    'poison_dart'
   ],
   'Yodha': [        // Warrior
     'basic_strike',
     'power_attack',
     'intimidating_shout',
     'defensive_stance',
-    'first_aid'
+    'opportunity_strike',
+    'first_aid',
+    'stunning_blow'
   ],
   'Chara': [        // Scout/Defender
     'shield_bash',
     'shield_ward',
     'quick_movement',
     'tactical_repositioning',
-    'first_aid'
+    'first_aid',
+    'shield_wall'
   ],
   'Rishi': [        // Mystic/Healer
     'healing_herbs',
     'tactical_repositioning',
-    'first_aid'
+    'first_aid',
+    'brace',
+    'restorative_prayer'
   ]
 };
 
-// =====================================================
-// MISSION DATA
-// =====================================================
-
-export const MISSIONS = {
-  'merchant_ship_heist': {
-    id: 'merchant_ship_heist',
-    name: 'The Merchant Ship Heist',
-    description: 'Four nights ago... The Marakatas plan a daring midnight raid on a merchant vessel off the coast of Masuli.',
-    novelChapter: 13,
-    mapWidth: 20,
-    mapHeight: 15,
-    environmentType: 'ship_deck',
-    objective: 'Neutralize merchant crew without sinking the ship',
-    turnLimit: null,  // No turn limit
-    
-    // Player-controlled party
-    playerParty: [
-      {
-        character: 'lachi',
-        startX: 2,
-        startY: 7,
-        role: 'ranged damage'
-      },
-      {
-        character: 'kona',
-        startX: 3,
-        startY: 7,
-        role: 'melee damage'
-      },
-      {
-        character: 'reddy',
-        startX: 2,
-        startY: 8,
-        role: 'tank/support'
-      },
-      {
-        character: 'gopa',
-        startX: 3,
-        startY: 8,
-        role: 'melee damage'
-      },
-      {
-        character: 'chennappa',
-        startX: 3,
-        startY: 6,
-        role: 'ranged damage'
-      }
-    ],
-    
-    // Enemy encounter
-    enemies: [
-      {
-        name: 'Merchant Guard A',
-        class: 'Yodha',
-        level: 3,
-        startX: 15,
-        startY: 6,
-        attributes: {
-          bala: 12,
-          dakshata: 10,
-          dhriti: 11,
-          buddhi: 9,
-          prajna: 9,
-          samkalpa: 10
-        },
-        team: 'enemy'
-      },
-      {
-        name: 'Merchant Guard B',
-        class: 'Dhanurdhara',
-        level: 3,
-        startX: 16,
-        startY: 8,
-        attributes: {
-          bala: 11,
-          dakshata: 11,
-          dhriti: 12,
-          buddhi: 8,
-          prajna: 8,
-          samkalpa: 9
-        },
-        team: 'enemy'
-      },
-      {
-        name: 'Ship Captain',
-        class: 'Rishi',
-        level: 4,
-        startX: 17,
-        startY: 7,
-        attributes: {
-          bala: 13,
-          dakshata: 12,
-          dhriti: 13,
-          buddhi: 10,
-          prajna: 10,
-          samkalpa: 11
-        },
-        team: 'enemy'
-      }
-    ],
-    
-    // Victory/Defeat conditions
-    victoryConditions: [
-      'all_enemies_downed'  // Defeat all enemies without allies being downed
-    ],
-    
-    defeatConditions: [
-      'all_players_downed'  // All player characters downed
-    ],
-    
-    // Story events that trigger during mission
-    storyEvents: [
-      {
-        trigger: 'turn_5',
-        text: 'Lachi takes a blow to the head and collapses to the deck...'
-      },
-      {
-        trigger: 'any_enemy_downed',
-        text: 'The guards shout for backup!'
-      }
-    ],
-    
-    // Reward/consequences
-    rewards: {
-      experience: 500,
-      gold: 200,
-      narrative: 'The merchant vessel secured. Now to escape...'
-    },
-    
-    failureConsequences: {
-      experience: 100,
-      narrative: 'The guards overwhelmed the Marakatas. A dangerous setback.'
-    }
-  },
-  
-  'protecting_lachi': {
-    id: 'protecting_lachi',
-    name: 'Protecting Lachi',
-    description: 'Lachi is hurt and vulnerable. The Marakatas must defend her while she recovers.',
-    novelChapter: 13,
-    mapWidth: 18,
-    mapHeight: 12,
-    environmentType: 'ship_cabin',
-    objective: 'Protect Lachi for 8 rounds',
-    turnLimit: 8,
-    
-    playerParty: [
-      {
-        character: 'kona',
-        startX: 5,
-        startY: 5,
-        role: 'defender'
-      },
-      {
-        character: 'reddy',
-        startX: 4,
-        startY: 6,
-        role: 'protector'
-      },
-      {
-        character: 'gopa',
-        startX: 6,
-        startY: 6,
-        role: 'attacker'
-      }
-    ],
-    
-    // Lachi is downed at start - must be protected
-    protectedUnit: {
-      character: 'lachi',
-      startX: 5,
-      startY: 6,
-      initialStatus: 'downed'
-    },
-    
-    enemies: [
-      {
-        name: 'Reinforcement Guard 1',
-        class: 'Yodha',
-        level: 3,
-        startX: 14,
-        startY: 4,
-        team: 'enemy'
-      },
-      {
-        name: 'Reinforcement Guard 2',
-        class: 'Chara',
-        level: 3,
-        startX: 14,
-        startY: 8,
-        team: 'enemy'
-      }
-    ],
-    
-    victoryConditions: [
-      'survive_8_rounds',
-      'lachi_protected'  // Lachi must not take fatal damage
-    ],
-    
-    defeatConditions: [
-      'lachi_downed',  // Lachi's Prana reaches 0
-      'all_defenders_downed'
-    ],
-    
-    rewards: {
-      experience: 400,
-      gold: 100,
-      narrative: 'Lachi stirs. She will live. The Marakatas escape into the night.'
-    }
-  }
+/**
+ * Level at which a class learns an ability from its CLASS_ABILITIES list
+ * (abilities not listed here are known from level 1; the roster starts at
+ * level 4-5, so these are all learned by levelling up)
+ */
+export const CLASS_ABILITY_LEVELS = {
+  'Dhanurdhara': { poison_dart: 6 },
+  'Yodha': { stunning_blow: 6 },
+  'Chara': { shield_wall: 6 },
+  'Rishi': { restorative_prayer: 6 }
 };
 
 /**
- * Get ability object by ID
+ * Ability IDs a class knows at a level
+ */
+export function getUnlockedClassAbilities(className, level) {
+  const levels = CLASS_ABILITY_LEVELS[className] || {};
+  return (CLASS_ABILITIES[className] || []).filter(id => (levels[id] || 1) <= level);
+}
+
+/**
+ * Get ability object by ID (consumables are 'item:<itemId>', see data/Items.js)
  */
 export function getAbility(abilityId) {
+  if (abilityId.startsWith('item:')) return getItemAbility(abilityId.slice('item:'.length));
   return ABILITY_DATABASE[abilityId] || null;
 }
 
@@ -498,17 +426,3 @@ export function getClassAbilities(className) {
   const abilityIds = CLASS_ABILITIES[className] || [];
   return abilityIds.map(id => getAbility(id)).filter(a => a !== null);
 }
-
-/**
- * Get mission data by ID
- */
-export function getMission(missionId) {
-  return MISSIONS[missionId] || null;
-}
-
-/**
- * Get all available missions
- */
-export function getAllMissions() {
-  return Object.values(MISSIONS);
-}
\ No newline at end of file
@@ -2,6 +2,9 @@
 // Character and session data models for The Marakatas game
 // Ported from vyuha VTT SQLAlchemy models
 
+import { getStatusEffect, getStatusMovement, tickStatusEffects } from './StatusEffects.js';
+import { TURN_SYSTEM_TYPES } from './missions.js';
+
 export class CharacterStats {
   /**
    * Core character statistics with attribute-based system
@@ -168,6 +171,9 @@ export class SessionCharacter {
     this.character = character;      // Reference to CharacterStats
     this.sessionId = sessionId;
     this.team = options.team || 'player';  // 'player', 'ally', 'enemy', etc.
+    this.aiType = options.aiType || null;  // AI behaviour archetype (see systems/EnemyAI.js)
+    this.behavior = options.behavior || null;  // Ally units: 'passive' or 'ai' (see NPC_BEHAVIORS)
+    this.rosterId = options.rosterId || null;  // Mission unit key (roster or NPC ID, e.g. 'lachi'), for objectives
     
     // Position on battlefield (grid-based, 2.5D perspective)
     this.x = options.x || 0;
@@ -180,15 +186,33 @@ export class SessionCharacter {
     this.currentMaya = character.maxMaya;
     
     // Movement and action economy
-    this.remainingSpeed = options.movementSpeed || 6;  // Grid squares per turn
+    this.baseSpeed = options.movementSpeed || 6;  // Grid squares per turn
+    this.remainingSpeed = this.baseSpeed;
     this.actions = 1;
     this.bonusActions = 1;
     this.reactions = 4;
+    this.resourceRegen = options.resourceRegen || 0;  // Share of max Tapas/Maya recovered each turn
+    
+    // Initiative (rolled by GameSession when the unit joins the turn order)
+    this.initiative = null;       // d20 + Dakshata modifier
+    this.initiativeRoll = null;   // The d20
+    this.joinOrder = null;        // Final tiebreak: who joined the order first
+    
+    // Readied action: { abilityId, triggerId, range } held until its trigger
+    // fires (spending a reaction) or the unit's next turn starts
+    this.readied = null;
     
     // Combat status
     this.status = 'active';  // 'active', 'downed', 'dead', 'stunned', etc.
     this.statusEffects = [];  // Array of active status effects
     
+    // Units that start the mission 'downed' are knocked out, not dying:
+    // badly hurt and unconscious until healed, but still there to protect
+    if (options.initialStatus === 'downed') {
+      this.currentPrana = Math.max(1, Math.floor(character.maxPrana / 4));
+      this.addStatusEffect('unconscious');
+    }
+    
     // Combat history (for logging/UI)
     this.damageDealt = 0;
     this.damageReceived = 0;
@@ -197,18 +221,34 @@ export class SessionCharacter {
   
   /**
    * Reset action economy at the start of a turn
+   * Runs status effect ticks, then decays effect durations
+   * Returns tick events for the combat log
    */
   reset() {
     this.actions = 1;
     this.bonusActions = 1;
     this.reactions = 4;
-    this.remainingSpeed = 6;  // Full movement reset
+    this.readied = null;  // Unfired readied actions lapse
+    
+    // Catch some breath (player units, rate set by the difficulty)
+    if (this.resourceRegen > 0 && this.status === 'active') {
+      this.restoreResource('tapas', Math.ceil(this.character.maxTapas * this.resourceRegen));
+      this.restoreResource('maya', Math.ceil(this.character.maxMaya * this.resourceRegen));
+    }
+    
+    // Full movement reset, adjusted by effects still active this turn
+    this.remainingSpeed = getStatusMovement(this, this.baseSpeed);
+    this.turnStartSpeed = this.remainingSpeed;
+    
+    const tickEvents = tickStatusEffects(this);
     
-    // Decay status effects with 1-turn duration
+    // Decay status effects (duration counts the bearer's turns)
     this.statusEffects = this.statusEffects.filter(effect => {
       effect.duration -= 1;
       return effect.duration > 0;
     });
+    
+    return tickEvents;
   }
   
   /**
@@ -229,6 +269,13 @@ export class SessionCharacter {
     }
   }
   
+  /**
+   * Has this unit moved or spent an action since its last reset
+   */
+  hasActed() {
+    return this.actions < 1 || this.bonusActions < 1 || this.remainingSpeed < this.turnStartSpeed;
+  }
+  
   /**
    * Spend an action point
    */
@@ -310,8 +357,14 @@ export class SessionCharacter {
   
   /**
    * Add a temporary status effect
+   * Duration defaults to the registry value for known effects
    */
-  addStatusEffect(effectName, duration = 1) {
+  addStatusEffect(effectName, duration = null) {
+    if (duration === null) {
+      const definition = getStatusEffect(effectName);
+      duration = definition ? definition.duration : 1;
+    }
+    
     // Check if effect already exists
     const existing = this.statusEffects.find(e => e.name === effectName);
     if (existing) {
@@ -369,6 +422,13 @@ export class SessionCharacter {
       this.status = 'active';
     }
     
+    if (actualHealing > 0) {
+      this.statusEffects = this.statusEffects.filter(effect => {
+        const definition = getStatusEffect(effect.name);
+        return !(definition && definition.endsOnHeal);
+      });
+    }
+    
     return actualHealing;
   }
   
@@ -387,7 +447,7 @@ export class SessionCharacter {
       prana: (this.currentPrana / this.character.maxPrana) * 100,
       tapas: (this.currentTapas / this.character.maxTapas) * 100,
       maya: (this.currentMaya / this.character.maxMaya) * 100,
-      speed: (this.remainingSpeed / 6) * 100  // Assuming base speed is 6
+      speed: (this.remainingSpeed / this.baseSpeed) * 100
     };
   }
   
@@ -429,6 +489,19 @@ export class GameSession {
     this.turnOrder = [];     // Ordered array of participant IDs
     this.currentTurnIndex = 0;
     this.round = 0;
+    this.joinCount = 0;      // Participants that have rolled initiative
+    this.rollD20 = options.rollD20 || (() => Math.floor(Math.random() * 20) + 1);
+    
+    // Team phases (turnSystem 'simultaneous' or 'alternating'): the party
+    // (player and ally units) and the enemy take turns as sides, and the
+    // player picks which party member acts. A round is one phase of each side.
+    this.turnSystem = options.turnSystem || TURN_SYSTEM_TYPES.INITIATIVE;
+    this.activeSide = 'party';   // 'party' or 'enemy'
+    this.currentActorId = null;
+    this.doneIds = [];           // Units that have finished their turn this round
+    this.sidesStarted = [];      // Sides that have had a phase this round
+    this.sideStarting = null;    // Side whose first phase of the round just began (its units reset); cleared by the scene
+    this.delayedIds = [];        // Units that delayed this round (initiative order comes back next round)
     
     // Map/battlefield
     this.mapWidth = options.mapWidth || 20;
@@ -459,42 +532,322 @@ export class GameSession {
    * Get current acting participant
    */
   getCurrentActor() {
+    if (this.isTeamPhased()) return this.participants.find(p => p.id === this.currentActorId) || null;
     if (this.turnOrder.length === 0) return null;
     return this.participants.find(p => p.id === this.turnOrder[this.currentTurnIndex]);
   }
   
   /**
    * Advance to next turn
+   * Team phases: the current unit is done; the next one on its side acts,
+   * or the other side's phase begins
    */
   nextTurn() {
+    if (this.isTeamPhased()) return this.advanceTeamTurn();
+    
     this.currentTurnIndex += 1;
     
     if (this.currentTurnIndex >= this.turnOrder.length) {
       this.currentTurnIndex = 0;
       this.round += 1;
-      
-      // Reset all participants at round start
-      for (const participant of this.participants) {
-        participant.reset();
-      }
+      this.restoreInitiativeOrder();
     }
     
+    // Participants reset at the start of their own turn (see SessionCharacter.reset)
     return this.getCurrentActor();
   }
   
   /**
-   * Establish turn order based on initiative (Dakshata modifier)
+   * Roll a participant's initiative: d20 + Dakshata modifier
+   */
+  rollInitiative(participant) {
+    participant.initiativeRoll = this.rollD20();
+    participant.initiative = participant.initiativeRoll + participant.character.getModifier(participant.character.dakshata);
+    participant.joinOrder = this.joinCount++;
+    return participant.initiative;
+  }
+  
+  /**
+   * Establish turn order: everyone rolls initiative, highest first
+   * (ties: see compareInitiative)
    */
   establishTurnOrder() {
-    // Sort by Dakshata modifier (dexterity)
-    const sorted = [...this.participants].sort((a, b) => {
-      const modA = a.character.getModifier(a.character.dakshata);
-      const modB = b.character.getModifier(b.character.dakshata);
-      return modB - modA;
-    });
+    for (const participant of this.participants) {
+      this.rollInitiative(participant);
+    }
     
+    const sorted = [...this.participants].sort(compareInitiative);
     this.turnOrder = sorted.map(p => p.id);
     this.currentTurnIndex = 0;
+    
+    if (this.isTeamPhased()) this.startTeamRound();
+    return sorted;
+  }
+
+  /**
+   * Slot a participant who joins mid-combat into the turn order by initiative
+   * options.midTurn: the current actor has already started their turn, so a
+   * newcomer slotted ahead of them first acts next round (pass false between
+   * turns to let them go first)
+   */
+  addToTurnOrder(participant, options = {}) {
+    const midTurn = options.midTurn !== false;
+    this.rollInitiative(participant);
+
+    let index = this.turnOrder.findIndex(id => {
+      const other = this.participants.find(p => p.id === id);
+      return other && compareInitiative(participant, other) < 0;
+    });
+    if (index === -1) index = this.turnOrder.length;
+
+    this.turnOrder.splice(index, 0, participant.id);
+    if (this.turnOrder.length > 1 && (index < this.currentTurnIndex || (midTurn && index === this.currentTurnIndex))) {
+      this.currentTurnIndex += 1;
+    }
+  }
+  
+  /**
+   * Turn order IDs sorted by initiative (what turnOrder is outside delays)
+   */
+  getInitiativeOrder() {
+    return this.turnOrder
+      .map(id => this.participants.find(p => p.id === id))
+      .filter(p => p)
+      .sort(compareInitiative)
+      .map(p => p.id);
+  }
+  
+  /**
+   * A new round: delayed units go back to their initiative slots
+   */
+  restoreInitiativeOrder() {
+    if (this.delayedIds.length === 0) return;
+    this.turnOrder = this.getInitiativeOrder();
+    this.delayedIds = [];
+  }
+  
+  /**
+   * Check if a unit has delayed this round (its turn has already started,
+   * so it doesn't reset again when it comes back round)
+   */
+  hasDelayed(participantId) {
+    return this.delayedIds.includes(participantId);
+  }
+  
+  /**
+   * The current actor waits and acts later this round:
+   *   initiative:  one place down the turn order (delay again to go further)
+   *   team phases: behind everyone else on its side still to act
+   * Only before the actor has moved or acted; the next actor's turn starts
+   * Returns { valid, message }
+   */
+  delayTurn() {
+    const actor = this.getCurrentActor();
+    if (!actor) return { valid: false, message: 'No one is acting' };
+    if (actor.hasActed()) {
+      return { valid: false, message: `${actor.character.name} has already acted` };
+    }
+    
+    if (this.isTeamPhased()) {
+      const others = this.getWaitingUnits().filter(p => p !== actor);
+      if (others.length === 0) return { valid: false, message: 'No one else is waiting to act' };
+      
+      this.turnOrder = [...this.turnOrder.filter(id => id !== actor.id), actor.id];
+      this.currentActorId = others[0].id;
+    } else {
+      const index = this.currentTurnIndex;
+      if (index >= this.turnOrder.length - 1) {
+        return { valid: false, message: `${actor.character.name} is already last this round` };
+      }
+      
+      this.turnOrder[index] = this.turnOrder[index + 1];
+      this.turnOrder[index + 1] = actor.id;
+    }
+    
+    if (!this.hasDelayed(actor.id)) this.delayedIds.push(actor.id);
+    return { valid: true, message: '' };
+  }
+  
+  // ==========================================
+  // TEAM PHASES
+  // ==========================================
+  
+  isTeamPhased() {
+    return this.turnSystem !== TURN_SYSTEM_TYPES.INITIATIVE;
+  }
+  
+  getSide(participant) {
+    return participant.team === 'enemy' ? 'enemy' : 'party';
+  }
+  
+  /**
+   * Units of a side still to act, in initiative order (the player's units
+   * before AI allies, who act once the player is done)
+   */
+  getWaitingUnits(side = this.activeSide) {
+    return this.turnOrder
+      .map(id => this.participants.find(p => p.id === id))
+      .filter(p => p && this.getSide(p) === side && p.status !== 'downed' && !this.doneIds.includes(p.id))
+      .sort((a, b) => (a.team === 'ally') - (b.team === 'ally'));
+  }
+  
+  /**
+   * Let the player switch to another party member this phase
+   * Alternating turns allow it only until the current unit has acted
+   * Returns { valid, message }
+   */
+  selectActor(participantId) {
+    const participant = this.participants.find(p => p.id === participantId);
+    const current = this.getCurrentActor();
+    
+    if (!this.isTeamPhased()) return { valid: false, message: 'Units act in initiative order' };
+    if (!participant || participant.team !== 'player') return { valid: false, message: 'Not a party member' };
+    if (!this.getWaitingUnits().includes(participant)) {
+      return { valid: false, message: `${participant.character.name} can't act now` };
+    }
+    if (this.turnSystem === TURN_SYSTEM_TYPES.ALTERNATING && current && current !== participant && current.hasActed()) {
+      return { valid: false, message: `Finish ${current.character.name}'s turn first` };
+    }
+    
+    this.currentActorId = participant.id;
+    return { valid: true, message: '' };
+  }
+  
+  /**
+   * Simultaneous turns: the player ends the party phase for all their units
+   * (AI allies still take their turns)
+   */
+  endPhase() {
+    for (const participant of this.getWaitingUnits()) {
+      if (participant.team === 'player') this.doneIds.push(participant.id);
+    }
+    return this.advanceTeamTurn();
+  }
+  
+  startTeamRound() {
+    this.restoreInitiativeOrder();
+    this.doneIds = [];
+    this.sidesStarted = [];
+    this.startSide(this.getWaitingUnits('party').length > 0 ? 'party' : 'enemy');
+  }
+  
+  startSide(side) {
+    this.activeSide = side;
+    if (!this.sidesStarted.includes(side)) {
+      this.sidesStarted.push(side);
+      this.sideStarting = side;
+    }
+    const waiting = this.getWaitingUnits(side);
+    this.currentActorId = waiting.length > 0 ? waiting[0].id : null;
+  }
+  
+  /**
+   * Mark the current unit done and pick who acts next:
+   *   simultaneous: the rest of the side, then the other side's phase
+   *   alternating:  the other side if it has anyone left, else this side again
+   * Once both sides are through, a new round starts with the party
+   */
+  advanceTeamTurn() {
+    if (this.currentActorId && !this.doneIds.includes(this.currentActorId)) {
+      this.doneIds.push(this.currentActorId);
+    }
+    const other = this.activeSide === 'party' ? 'enemy' : 'party';
+    
+    if (this.turnSystem === TURN_SYSTEM_TYPES.SIMULTANEOUS) {
+      const waiting = this.getWaitingUnits();
+      if (waiting.length > 0) {
+        this.currentActorId = waiting[0].id;
+      } else if (this.activeSide === 'party' && this.getWaitingUnits('enemy').length > 0) {
+        this.startSide('enemy');
+      } else {
+        this.round += 1;
+        this.startTeamRound();
+      }
+    } else if (this.getWaitingUnits(other).length > 0) {
+      this.startSide(other);
+    } else if (this.getWaitingUnits().length > 0) {
+      this.startSide(this.activeSide);
+    } else {
+      this.round += 1;
+      this.startTeamRound();
+    }
+    
+    return this.getCurrentActor();
+  }
+  
+  /**
+   * The next turns from the current one, wrapping into later rounds
+   * Downed units are left out (their turns are skipped)
+   * Returns Array<{ participant, round }> (round: this.round-based)
+   */
+  getUpcomingTurns(count) {
+    if (this.isTeamPhased()) return this.getUpcomingTeamTurns(count);
+    
+    const upcoming = [];
+    const length = this.turnOrder.length;
+    const laterOrder = this.getInitiativeOrder();  // Delays only last this round
+    
+    for (let step = 0; step < length * count && upcoming.length < count; step++) {
+      const position = this.currentTurnIndex + step;
+      const laterRound = position >= length;
+      const id = (laterRound ? laterOrder : this.turnOrder)[position % length];
+      const participant = this.participants.find(p => p.id === id);
+      if (participant && participant.status !== 'downed') {
+        upcoming.push({ participant, round: this.round + Math.floor(position / length) });
+      }
+    }
+    return upcoming;
+  }
+  
+  /**
+   * getUpcomingTurns for team phases: the current unit, the rest of this
+   * round, then later rounds with everyone still standing
+   */
+  getUpcomingTeamTurns(count) {
+    const upcoming = [];
+    const current = this.getCurrentActor();
+    if (!current) return upcoming;
+    
+    upcoming.push({ participant: current, round: this.round });
+    const waiting = {
+      party: this.getWaitingUnits('party').filter(p => p !== current),
+      enemy: this.getWaitingUnits('enemy').filter(p => p !== current)
+    };
+    const standing = (side) => this.getInitiativeOrder()
+      .map(id => this.participants.find(p => p.id === id))
+      .filter(p => p && this.getSide(p) === side && p.status !== 'downed')
+      .sort((a, b) => (a.team === 'ally') - (b.team === 'ally'));
+    
+    if (this.turnSystem === TURN_SYSTEM_TYPES.SIMULTANEOUS) {
+      // The rest of the active side's phase (and the enemy's, after the party's)
+      const sides = this.activeSide === 'party' ? ['party', 'enemy'] : ['enemy'];
+      for (const side of sides) {
+        upcoming.push(...waiting[side].map(participant => ({ participant, round: this.round })));
+      }
+      for (let round = this.round + 1; upcoming.length < count; round++) {
+        const units = [...standing('party'), ...standing('enemy')];
+        if (units.length === 0) break;
+        upcoming.push(...units.map(participant => ({ participant, round })));
+      }
+    } else {
+      // One unit a side in turn, while the other side has anyone left
+      let side = this.activeSide;
+      let round = this.round;
+      while (upcoming.length < count) {
+        if (waiting.party.length === 0 && waiting.enemy.length === 0) {
+          round += 1;
+          waiting.party = standing('party');
+          waiting.enemy = standing('enemy');
+          side = 'enemy';  // Rounds open with the party
+          if (waiting.party.length === 0 && waiting.enemy.length === 0) break;
+        }
+        const other = side === 'party' ? 'enemy' : 'party';
+        if (waiting[other].length > 0) side = other;
+        upcoming.push({ participant: waiting[side].shift(), round });
+      }
+    }
+    
+    return upcoming.slice(0, count);
   }
   
   /**
@@ -533,6 +886,31 @@ export class GameSession {
   }
 }
 
+/**
+ * Turn order comparator (negative: a acts first)
+ * Higher initiative, then higher Dakshata modifier, then higher Dakshata,
+ * then the party's side, then whoever joined the order first
+ */
+export function compareInitiative(a, b) {
+  const modifier = (p) => p.character.getModifier(p.character.dakshata);
+  const partySide = (p) => (p.team === 'enemy' ? 1 : 0);
+  
+  return (b.initiative - a.initiative) ||
+         (modifier(b) - modifier(a)) ||
+         (b.character.dakshata - a.character.dakshata) ||
+         (partySide(a) - partySide(b)) ||
+         (a.joinOrder - b.joinOrder);
+}
+
+/**
+ * True if two participants fight on opposite sides
+ * (player and ally units are on the same side)
+ */
+export function isOpposed(a, b) {
+  const side = (team) => (team === 'ally' ? 'player' : team);
+  return side(a.team) !== side(b.team);
+}
+
 /**
  * Simple ID generator for development
  * Replace with UUID library in production
@@ -0,0 +1,103 @@
+// src/data/Difficulty.js
+// Difficulty profiles for The Marakatas
+// Picked on mission select and applied by the mission scene as it builds
+// the enemy side; the profile is also recorded in the mission results.
+
+import { getEnemyTemplate } from './Enemies.js';
+import { ATTRIBUTES } from './Progression.js';
+
+/**
+ * Difficulty profiles
+ *   enemyLevelBonus:          added to every enemy's level
+ *   enemyAttributeBonus:      added to each of every enemy's attributes
+ *   enemyCountMultiplier:     mission enemies are copied up to this many times over
+ *   reinforcementMultiplier:  same for each reinforcement wave
+ *   aiWeights:                multipliers on the enemy AI's scoring weights
+ *                             (see TacticalPlanner DEFAULT_WEIGHTS); higher damage and
+ *                             kill, lower exposure makes enemies press the attack
+ *   playerRegen:              share of max Tapas and Maya player units recover
+ *                             at the start of each of their turns
+ */
+export const DIFFICULTY_PROFILES = {
+  normal: {
+    id: 'normal',
+    name: 'Normal',
+    color: '#4ade80',
+    enemyLevelBonus: 0,
+    enemyAttributeBonus: 0,
+    enemyCountMultiplier: 1,
+    reinforcementMultiplier: 1,
+    aiWeights: {},
+    playerRegen: 0.1
+  },
+
+  hard: {
+    id: 'hard',
+    name: 'Hard',
+    color: '#fbbf24',
+    enemyLevelBonus: 1,
+    enemyAttributeBonus: 1,
+    enemyCountMultiplier: 1.25,
+    reinforcementMultiplier: 1.5,
+    aiWeights: { damage: 1.2, kill: 1.3, exposure: 0.7 },
+    playerRegen: 0.05
+  },
+
+  nightmare: {
+    id: 'nightmare',
+    name: 'Nightmare',
+    color: '#ef4444',
+    enemyLevelBonus: 2,
+    enemyAttributeBonus: 2,
+    enemyCountMultiplier: 1.5,
+    reinforcementMultiplier: 2.5,
+    aiWeights: { damage: 1.4, kill: 1.6, exposure: 0.4 },
+    playerRegen: 0
+  }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Get difficulty profile by ID (normal if unknown)
+ */
+export function getDifficulty(difficultyId) {
+  return DIFFICULTY_PROFILES[difficultyId] || DIFFICULTY_PROFILES[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * An enemies entry with the profile's level and attribute bonuses
+ * folded into its overrides (see data/Enemies.js)
+ */
+export function scaleEnemy(enemyData, profile) {
+  if (!profile.enemyLevelBonus && !profile.enemyAttributeBonus) return enemyData;
+
+  const template = getEnemyTemplate(enemyData.type) || {};
+  const attributes = { ...template.attributes, ...enemyData.attributes };
+  for (const attribute of ATTRIBUTES) {
+    attributes[attribute] = (attributes[attribute] || 10) + profile.enemyAttributeBonus;
+  }
+
+  return {
+    ...enemyData,
+    level: (enemyData.level || template.level || 1) + profile.enemyLevelBonus,
+    attributes
+  };
+}
+
+/**
+ * A unit list grown by a count multiplier: extra units copy the listed
+ * ones in turn, without their id or patrol route, on the same spots (the
+ * scene places them on the nearest free tile)
+ */
+export function scaleEnemyCount(units, multiplier) {
+  const extra = Math.round(units.length * (multiplier - 1));
+  const copies = [];
+
+  for (let i = 0; i < extra; i++) {
+    const { id, patrol, ...copy } = units[i % units.length];
+    if (copy.state === 'patrolling') delete copy.state;
+    copies.push(copy);
+  }
+  return [...units, ...copies];
+}
@@ -0,0 +1,121 @@
+// src/data/Enemies.js
+// Enemy templates for The Marakatas
+// Missions place enemies by type (see data/missions.js); the template fills
+// in the rest and any field set on the mission entry overrides it.
+
+import { CharacterStats } from './Character.js';
+import { getUnlockedClassAbilities } from './Abilities.js';
+
+/**
+ * Enemy templates keyed by type
+ * Template fields:
+ *   name, class, level:  identity (class picks the default abilities)
+ *   attributes:          { bala, dakshata, dhriti, buddhi, prajna, samkalpa };
+ *                        missing attributes are 10
+ *   abilities:           ability IDs; defaults to what the class knows at its level
+ *   aiType:              AI archetype (see systems/EnemyAI.js)
+ *   detectionRange:      tiles the unit can see on stealth missions
+ *   loot:                { gold, items } dropped when the unit goes down
+ */
+export const ENEMY_TEMPLATES = {
+  sailor: {
+    name: 'Sailor',
+    class: 'Yodha',
+    level: 2,
+    attributes: { bala: 11, dakshata: 10, dhriti: 10, buddhi: 8, prajna: 10, samkalpa: 9 },
+    abilities: ['basic_strike', 'defensive_stance', 'opportunity_strike'],
+    aiType: 'patrol',
+    detectionRange: 3,
+    loot: { gold: 10 }
+  },
+
+  guard: {
+    name: 'Guard',
+    class: 'Yodha',
+    level: 3,
+    attributes: { bala: 12, dakshata: 10, dhriti: 11, buddhi: 9, prajna: 9, samkalpa: 10 },
+    aiType: 'aggressive',
+    loot: { gold: 20 }
+  },
+
+  deck_archer: {
+    name: 'Deck Archer',
+    class: 'Dhanurdhara',
+    level: 3,
+    attributes: { bala: 11, dakshata: 11, dhriti: 12, buddhi: 8, prajna: 8, samkalpa: 9 },
+    aiType: 'ranged',
+    loot: { gold: 20 }
+  },
+
+  ship_captain: {
+    name: 'Ship Captain',
+    class: 'Rishi',
+    level: 4,
+    attributes: { bala: 13, dakshata: 12, dhriti: 13, buddhi: 10, prajna: 10, samkalpa: 11 },
+    aiType: 'support',
+    loot: { gold: 60, items: ['tapas_tonic'] }
+  },
+
+  koya_warrior: {
+    name: 'Koya Warrior',
+    class: 'Yodha',
+    level: 3,
+    attributes: { bala: 13, dakshata: 11, dhriti: 12, buddhi: 8, prajna: 10, samkalpa: 11 },
+    abilities: ['basic_strike', 'power_attack', 'opportunity_strike'],
+    aiType: 'aggressive',
+    loot: { gold: 15 }
+  },
+
+  koya_hunter: {
+    name: 'Koya Hunter',
+    class: 'Dhanurdhara',
+    level: 3,
+    attributes: { bala: 10, dakshata: 14, dhriti: 10, buddhi: 9, prajna: 12, samkalpa: 10 },
+    abilities: ['blowpipe_shot', 'scatter_shot', 'tactical_repositioning'],
+    aiType: 'ranged',
+    loot: { gold: 15, items: ['healing_poultice'] }
+  },
+
+  koya_berserker: {
+    name: 'Koya Berserker',
+    class: 'Yodha',
+    level: 4,
+    attributes: { bala: 16, dakshata: 10, dhriti: 15, buddhi: 7, prajna: 8, samkalpa: 13 },
+    abilities: ['basic_strike', 'power_attack', 'intimidating_shout'],
+    aiType: 'berserker',
+    loot: { gold: 40, items: ['koya_war_axe'] }
+  }
+};
+
+/**
+ * Get enemy template by type
+ */
+export function getEnemyTemplate(type) {
+  return ENEMY_TEMPLATES[type] || null;
+}
+
+/**
+ * Build an enemy's CharacterStats from its template and the mission's
+ * overrides (name, class, level, attributes, abilities, loot)
+ * Overridden attributes are merged over the template's; overriding the
+ * class without abilities switches to that class's ability list
+ */
+export function createEnemyCharacter(enemyData) {
+  const template = getEnemyTemplate(enemyData.type) || {};
+  const className = enemyData.class || template.class;
+
+  const character = new CharacterStats(enemyData.name || template.name || enemyData.type, {
+    level: enemyData.level || template.level,
+    class: className,
+    ...template.attributes,
+    ...enemyData.attributes
+  });
+
+  character.abilities = [
+    ...(enemyData.abilities ||
+      (enemyData.class ? null : template.abilities) ||
+      getUnlockedClassAbilities(className, character.level))
+  ];
+  character.loot = enemyData.loot || template.loot || null;
+  return character;
+}
@@ -0,0 +1,273 @@
+// src/data/Items.js
+// Item definitions for The Marakatas
+// Weapons and armor are equipped between missions (see scenes/EquipmentScene.js)
+// and change the combat math; consumables ride along on a character's belt
+// and are used in combat like abilities (ID 'item:<itemId>').
+
+export const EQUIPMENT_SLOTS = ['weapon', 'armor'];
+export const BELT_SIZE = 2;  // Consumables a character can carry into a mission
+
+/**
+ * Item database
+ * Common fields: id, name, description, type ('weapon', 'armor', 'consumable', 'valuable'), value (gold)
+ * Equipment (weapon/armor):
+ *   slot:         EQUIPMENT_SLOTS entry
+ *   attributes:   { bala: +n, ... } added to the wearer's attributes
+ *   evasion:      added to the wearer's evasion DC
+ *   weaponType:   'melee' (range 1) or 'ranged' (range 2+) abilities it improves
+ *   damageDice:   extra dice rolled with those abilities' damage
+ *   range:        added to those abilities' range
+ * Consumables:
+ *   use:          the ability it grants: actionType ('action' | 'bonus_action'),
+ *                 targetType, effectType ('heal', 'restore' or 'status'),
+ *                 damageDice (heal), resource + amount (restore), statusEffect, range
+ */
+export const ITEM_DATABASE = {
+  // Weapons
+  'iron_khanda': {
+    id: 'iron_khanda',
+    name: 'Iron Khanda',
+    description: 'A broad straight sword; heavier blows up close',
+    type: 'weapon',
+    slot: 'weapon',
+    weaponType: 'melee',
+    damageDice: '1d4',
+    value: 60
+  },
+
+  'koya_war_axe': {
+    id: 'koya_war_axe',
+    name: 'Koya War Axe',
+    description: 'Brutal and unbalanced; hits hard but leaves you open',
+    type: 'weapon',
+    slot: 'weapon',
+    weaponType: 'melee',
+    damageDice: '1d6',
+    attributes: { bala: 1 },
+    evasion: -1,
+    value: 90
+  },
+
+  'long_blowpipe': {
+    id: 'long_blowpipe',
+    name: 'Long Blowpipe',
+    description: 'A longer bore carries darts further',
+    type: 'weapon',
+    slot: 'weapon',
+    weaponType: 'ranged',
+    range: 2,
+    value: 70
+  },
+
+  'hunting_bow': {
+    id: 'hunting_bow',
+    name: 'Hunting Bow',
+    description: 'A Koya hunter\'s bow, strung for power',
+    type: 'weapon',
+    slot: 'weapon',
+    weaponType: 'ranged',
+    damageDice: '1d4',
+    range: 1,
+    value: 80
+  },
+
+  // Armor
+  'padded_vest': {
+    id: 'padded_vest',
+    name: 'Padded Vest',
+    description: 'Quilted cotton that turns a glancing blade',
+    type: 'armor',
+    slot: 'armor',
+    evasion: 1,
+    value: 40
+  },
+
+  'bronze_scale': {
+    id: 'bronze_scale',
+    name: 'Bronze Scale',
+    description: 'Heavy scale armor; hard to hit, slow to dodge',
+    type: 'armor',
+    slot: 'armor',
+    evasion: 2,
+    attributes: { dakshata: -1 },
+    value: 120
+  },
+
+  'koya_hide': {
+    id: 'koya_hide',
+    name: 'Koya Hide',
+    description: 'Thick boar hide worn by Koya warriors',
+    type: 'armor',
+    slot: 'armor',
+    evasion: 1,
+    attributes: { dhriti: 1 },
+    value: 90
+  },
+
+  // Consumables
+  'healing_poultice': {
+    id: 'healing_poultice',
+    name: 'Healing Poultice',
+    description: 'Herbs bound in a leaf; pressed onto a wound',
+    type: 'consumable',
+    value: 20,
+    use: { actionType: 'bonus_action', targetType: 'ally', effectType: 'heal', damageDice: '2d4+2', range: 1 }
+  },
+
+  'tapas_tonic': {
+    id: 'tapas_tonic',
+    name: 'Tapas Tonic',
+    description: 'A bitter draught that puts fire back in tired limbs',
+    type: 'consumable',
+    value: 25,
+    use: { actionType: 'bonus_action', targetType: 'self', effectType: 'restore', resource: 'tapas', amount: 6 }
+  },
+
+  'maya_incense': {
+    id: 'maya_incense',
+    name: 'Maya Incense',
+    description: 'Burned and breathed in to clear the mind',
+    type: 'consumable',
+    value: 25,
+    use: { actionType: 'action', targetType: 'self', effectType: 'restore', resource: 'maya', amount: 6 }
+  },
+
+  'smoke_pot': {
+    id: 'smoke_pot',
+    name: 'Smoke Pot',
+    description: 'Shatters into choking smoke; you and those beside you are hard to hurt',
+    type: 'consumable',
+    value: 30,
+    use: { actionType: 'action', targetType: 'self', effectType: 'status', statusEffect: 'defended', effectRadius: 1 }
+  },
+
+  // Valuables (mission rewards worth gold)
+  'jewels_cache': {
+    id: 'jewels_cache',
+    name: 'Cache of Jewels',
+    description: 'The Rajasa\'s hidden cargo',
+    type: 'valuable',
+    value: 500
+  }
+};
+
+/**
+ * Get item object by ID
+ */
+export function getItem(itemId) {
+  return ITEM_DATABASE[itemId] || null;
+}
+
+/**
+ * Ability ID for using a consumable
+ */
+export function getItemAbilityId(itemId) {
+  return `item:${itemId}`;
+}
+
+/**
+ * Ability object for using a consumable (null if the item isn't one)
+ * The ability carries itemId so AbilitySystem can check and spend the item
+ */
+export function getItemAbility(itemId) {
+  const item = getItem(itemId);
+  if (!item || item.type !== 'consumable') return null;
+
+  return {
+    id: getItemAbilityId(itemId),
+    name: item.name,
+    description: item.description,
+    targetType: 'self',
+    range: 0,
+    effectRadius: 0,
+    resourceType: null,
+    resourceCost: 0,
+    requiresAttackRoll: false,
+    requiresLineOfSight: false,
+    requirements: null,
+    ...item.use,
+    itemId
+  };
+}
+
+/**
+ * Abilities for every consumable in the database
+ */
+export function getItemAbilities() {
+  return Object.keys(ITEM_DATABASE).map(getItemAbility).filter(a => a);
+}
+
+/**
+ * Items a character has equipped (character.equipment: { slot: itemId })
+ */
+function getEquippedItems(character) {
+  return Object.values(character.equipment || {}).map(getItem).filter(item => item);
+}
+
+/**
+ * The weapon type an ability counts as ('melee', 'ranged' or null)
+ */
+function getWeaponType(ability) {
+  if (ability.effectType !== 'damage' || typeof ability.range !== 'number') return null;
+  return ability.range > 1 ? 'ranged' : 'melee';
+}
+
+/**
+ * Total attribute bonuses from equipment ({ bala: n, ... })
+ */
+export function getEquipmentAttributes(equipment) {
+  const totals = {};
+  for (const item of getEquippedItems({ equipment })) {
+    for (const attribute in item.attributes || {}) {
+      totals[attribute] = (totals[attribute] || 0) + item.attributes[attribute];
+    }
+  }
+  return totals;
+}
+
+/**
+ * Evasion bonus from equipment
+ */
+export function getEquipmentEvasion(character) {
+  return getEquippedItems(character).reduce((sum, item) => sum + (item.evasion || 0), 0);
+}
+
+/**
+ * Range bonus equipment gives an ability
+ */
+export function getEquipmentRange(character, ability) {
+  const weaponType = getWeaponType(ability);
+  return getEquippedItems(character)
+    .filter(item => item.weaponType && item.weaponType === weaponType)
+    .reduce((sum, item) => sum + (item.range || 0), 0);
+}
+
+/**
+ * Extra damage dice equipment adds to an ability (e.g. '1d4'), or null
+ */
+export function getEquipmentDamageDice(character, ability) {
+  const weaponType = getWeaponType(ability);
+  const weapon = getEquippedItems(character).find(item => item.weaponType === weaponType && item.damageDice);
+  return weapon ? weapon.damageDice : null;
+}
+
+/**
+ * Dress a character in a roster entry's gear ({ weapon, armor, belt })
+ * and recalculate its pools; belt consumables become its inventory
+ */
+export function applyEquipment(character, equipment) {
+  if (!equipment) return character;
+
+  character.equipment = {};
+  for (const slot of EQUIPMENT_SLOTS) {
+    if (equipment[slot]) character.equipment[slot] = equipment[slot];
+  }
+  character.inventory = [...(equipment.belt || [])];
+
+  const bonuses = getEquipmentAttributes(character.equipment);
+  for (const attribute in bonuses) {
+    character[attribute] += bonuses[attribute];
+  }
+  character.recalculatePools();
+  return character;
+}
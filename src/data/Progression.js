@@ -0,0 +1,52 @@
+// src/data/Progression.js
+// Experience and levelling for The Marakatas
+// The campaign (systems/CampaignState.js) keeps each roster character's
+// progress; this turns it into CharacterStats for a mission.
+
+export const MAX_LEVEL = 10;
+export const ATTRIBUTE_POINTS_PER_LEVEL = 2;
+export const ATTRIBUTES = ['bala', 'dakshata', 'dhriti', 'buddhi', 'prajna', 'samkalpa'];
+
+/**
+ * Experience needed to go from a level to the next (null at MAX_LEVEL)
+ */
+export function getExperienceToNextLevel(level) {
+  return level >= MAX_LEVEL ? null : level * 300;
+}
+
+/**
+ * Add experience to a progress entry ({ level, experience, attributePoints })
+ * Experience counts toward the next level and carries over; each level
+ * gained grants attribute points
+ * Returns the number of levels gained
+ */
+export function gainExperience(progress, amount) {
+  let levelsGained = 0;
+  progress.experience += amount;
+
+  let needed = getExperienceToNextLevel(progress.level);
+  while (needed !== null && progress.experience >= needed) {
+    progress.experience -= needed;
+    progress.level += 1;
+    progress.attributePoints += ATTRIBUTE_POINTS_PER_LEVEL;
+    levelsGained++;
+    needed = getExperienceToNextLevel(progress.level);
+  }
+
+  if (needed === null) progress.experience = 0;
+  return levelsGained;
+}
+
+/**
+ * Apply campaign progress (level and spent attribute points) to a
+ * character and recalculate its pools
+ * attributes: { bala: +n, ... } points spent on top of the base character
+ */
+export function applyProgress(character, progress) {
+  character.level = progress.level;
+  for (const attribute of ATTRIBUTES) {
+    character[attribute] += (progress.attributes && progress.attributes[attribute]) || 0;
+  }
+  character.recalculatePools();
+  return character;
+}
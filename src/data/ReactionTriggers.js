@@ -0,0 +1,119 @@
+// src/data/ReactionTriggers.js
+// Reaction trigger definitions for The Marakatas
+// Reaction abilities name one of these in their `reactionTrigger` field;
+// AbilitySystem raises combat events and offers matching reactions.
+// Triggers marked `ready` can also set off a readied action (see
+// AbilitySystem.readyAction), which fires without asking.
+
+import { isOpposed } from './Character.js';
+
+/**
+ * Chebyshev distance between two positioned objects
+ */
+function distanceBetween(a, b) {
+  return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+/**
+ * Trigger definitions
+ *
+ * event:              combat event type this trigger listens for
+ *                     ('attack_declared', 'attack_hit', 'movement' before a
+ *                     move, 'moved' after it)
+ * ready:              can be chosen when readying an action
+ * isEligible(reactor, event) -> true if the reactor may respond
+ * describe(event)            -> prompt text shown to the player
+ */
+export const REACTION_TRIGGERS = {
+  'ally_attacked': {
+    id: 'ally_attacked',
+    name: 'Ally Attacked',
+    description: 'An ally within 2 tiles (or yourself) is attacked',
+    event: 'attack_declared',
+    range: 2,
+    ready: true,
+    isEligible(reactor, event) {
+      return !isOpposed(reactor, event.target) &&
+             isOpposed(reactor, event.attacker) &&
+             distanceBetween(reactor, event.target) <= this.range;
+    },
+    describe(event) {
+      return `${event.attacker.character.name} attacks ${event.target.character.name} with ${event.ability.name}!`;
+    }
+  },
+
+  'enemy_leaves_adjacent': {
+    id: 'enemy_leaves_adjacent',
+    name: 'Enemy Retreats',
+    description: 'An adjacent enemy moves out of reach',
+    event: 'movement',
+    isEligible(reactor, event) {
+      return isOpposed(reactor, event.mover) &&
+             distanceBetween(reactor, event.from) <= 1 &&
+             distanceBetween(reactor, event.to) > 1;
+    },
+    describe(event) {
+      return `${event.mover.character.name} is leaving your reach!`;
+    }
+  },
+
+  'enemy_enters_reach': {
+    id: 'enemy_enters_reach',
+    name: 'Enemy Closes In',
+    description: 'An enemy moves next to you',
+    event: 'moved',
+    ready: true,
+    isEligible(reactor, event) {
+      return isOpposed(reactor, event.mover) &&
+             distanceBetween(reactor, event.from) > 1 &&
+             distanceBetween(reactor, event.to) <= 1;
+    },
+    describe(event) {
+      return `${event.mover.character.name} closes in!`;
+    }
+  },
+
+  'enemy_enters_range': {
+    id: 'enemy_enters_range',
+    name: 'Enemy In Range',
+    description: 'An enemy moves into range of the readied ability',
+    event: 'moved',
+    ready: true,
+    isEligible(reactor, event) {
+      const range = reactor.readied ? reactor.readied.range : 1;
+      return isOpposed(reactor, event.mover) &&
+             distanceBetween(reactor, event.from) > range &&
+             distanceBetween(reactor, event.to) <= range;
+    },
+    describe(event) {
+      return `${event.mover.character.name} comes into range!`;
+    }
+  },
+
+  'hit_by_ranged': {
+    id: 'hit_by_ranged',
+    name: 'Hit by Ranged Attack',
+    description: 'You are hit by a ranged attack',
+    event: 'attack_hit',
+    isEligible(reactor, event) {
+      return reactor.id === event.target.id && event.isRanged;
+    },
+    describe(event) {
+      return `${event.attacker.character.name}'s ${event.ability.name} hits ${event.target.character.name}!`;
+    }
+  }
+};
+
+/**
+ * Get reaction trigger definition by ID
+ */
+export function getReactionTrigger(triggerId) {
+  return REACTION_TRIGGERS[triggerId] || null;
+}
+
+/**
+ * Triggers a readied action can wait for
+ */
+export function getReadyTriggers() {
+  return Object.values(REACTION_TRIGGERS).filter(trigger => trigger.ready);
+}
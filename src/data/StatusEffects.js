@@ -0,0 +1,191 @@
+// src/data/StatusEffects.js
+// Status effect registry for The Marakatas
+// Each effect declares the hooks it uses; combat code queries them through
+// the helper functions below instead of checking effect names directly.
+
+/**
+ * Status effect definitions
+ *
+ * Optional hooks (all receive the bearing SessionCharacter first):
+ *   attackModifier(bearer, context)              -> number added to attack rolls
+ *   evasionModifier(bearer, context)             -> number added to evasion DC
+ *   modifyIncomingDamage(bearer, damage, context) -> adjusted damage
+ *   modifyMovement(bearer, speed)                -> adjusted speed at turn start
+ *   deniesAction(bearer, actionType)             -> true if that action type is blocked
+ *   onTurnStart(bearer)                          -> log event or null (per-turn tick)
+ *
+ * Optional flags:
+ *   endsOnHeal: removed as soon as the bearer regains any Prana
+ */
+export const STATUS_EFFECTS = {
+  'frightened': {
+    id: 'frightened',
+    name: 'Frightened',
+    description: 'Shaken by fear: -2 to attack rolls and -2 movement',
+    duration: 2,
+    harmful: true,
+    attackModifier: () => -2,
+    modifyMovement: (bearer, speed) => Math.max(0, speed - 2)
+  },
+
+  'defended': {
+    id: 'defended',
+    name: 'Defended',
+    description: 'Braced in a defensive stance: incoming damage is halved',
+    duration: 1,
+    harmful: false,
+    modifyIncomingDamage: (bearer, damage) => Math.floor(damage / 2)
+  },
+
+  'shielded': {
+    id: 'shielded',
+    name: 'Shielded',
+    description: 'Covered by a raised shield: +2 evasion and 3 damage reduction',
+    duration: 1,
+    harmful: false,
+    evasionModifier: () => 2,
+    modifyIncomingDamage: (bearer, damage) => Math.max(0, damage - 3)
+  },
+
+  'braced': {
+    id: 'braced',
+    name: 'Braced',
+    description: 'Rolling with the impact: incoming damage reduced by 4',
+    duration: 1,
+    harmful: false,
+    modifyIncomingDamage: (bearer, damage) => Math.max(0, damage - 4)
+  },
+
+  'stunned': {
+    id: 'stunned',
+    name: 'Stunned',
+    description: 'Reeling from a blow: cannot take actions, bonus actions or reactions',
+    duration: 1,
+    harmful: true,
+    deniesAction: (bearer, actionType) => actionType !== 'free',
+    modifyMovement: () => 0
+  },
+
+  'unconscious': {
+    id: 'unconscious',
+    name: 'Unconscious',
+    description: 'Out cold: cannot act or move, and easy to hit (-4 evasion) until healed',
+    duration: Infinity,
+    harmful: true,
+    endsOnHeal: true,
+    evasionModifier: () => -4,
+    deniesAction: () => true,
+    modifyMovement: () => 0
+  },
+
+  'poisoned': {
+    id: 'poisoned',
+    name: 'Poisoned',
+    description: 'Loses 3 Prana at the start of each turn and -1 to attack rolls',
+    duration: 3,
+    harmful: true,
+    attackModifier: () => -1,
+    onTurnStart: (bearer) => {
+      const damage = bearer.takeDamage(3);
+      return {
+        eventType: 'status_tick',
+        target: bearer.character.name,
+        statusEffect: 'poisoned',
+        damage: damage,
+        message: `☠️ ${bearer.character.name} suffers ${damage} poison damage`
+      };
+    }
+  }
+};
+
+/**
+ * Get status effect definition by ID
+ */
+export function getStatusEffect(effectId) {
+  return STATUS_EFFECTS[effectId] || null;
+}
+
+/**
+ * Iterate the definitions of every active effect on a participant
+ * (unknown effect names are skipped)
+ */
+function getActiveDefinitions(participant) {
+  return participant.statusEffects
+    .map(effect => getStatusEffect(effect.name))
+    .filter(definition => definition !== null);
+}
+
+/**
+ * Total attack roll modifier from the attacker's status effects
+ */
+export function getStatusAttackModifier(participant, context = {}) {
+  return getActiveDefinitions(participant).reduce((total, definition) => {
+    return definition.attackModifier ? total + definition.attackModifier(participant, context) : total;
+  }, 0);
+}
+
+/**
+ * Total evasion modifier from the defender's status effects
+ */
+export function getStatusEvasionModifier(participant, context = {}) {
+  return getActiveDefinitions(participant).reduce((total, definition) => {
+    return definition.evasionModifier ? total + definition.evasionModifier(participant, context) : total;
+  }, 0);
+}
+
+/**
+ * Run incoming damage through the defender's status effects
+ * Returns { damage, reducedBy: Array<{ name, amount }> }
+ */
+export function applyStatusDamageModifiers(participant, damage, context = {}) {
+  let current = damage;
+  const reducedBy = [];
+
+  for (const definition of getActiveDefinitions(participant)) {
+    if (!definition.modifyIncomingDamage) continue;
+
+    const modified = Math.max(0, definition.modifyIncomingDamage(participant, current, context));
+    if (modified !== current) {
+      reducedBy.push({ name: definition.name, amount: current - modified });
+      current = modified;
+    }
+  }
+
+  return { damage: current, reducedBy };
+}
+
+/**
+ * Movement speed after status effects are applied
+ */
+export function getStatusMovement(participant, baseSpeed) {
+  return getActiveDefinitions(participant).reduce((speed, definition) => {
+    return definition.modifyMovement ? definition.modifyMovement(participant, speed) : speed;
+  }, baseSpeed);
+}
+
+/**
+ * Find the first status effect that blocks an action type
+ * Returns the effect definition, or null if the action is allowed
+ */
+export function getStatusActionDenial(participant, actionType) {
+  return getActiveDefinitions(participant).find(definition => {
+    return definition.deniesAction && definition.deniesAction(participant, actionType);
+  }) || null;
+}
+
+/**
+ * Run per-turn ticks for every active effect
+ * Returns an array of log events
+ */
+export function tickStatusEffects(participant) {
+  const events = [];
+
+  for (const definition of getActiveDefinitions(participant)) {
+    if (!definition.onTurnStart) continue;
+
+    const event = definition.onTurnStart(participant);
+    if (event) events.push(event);
+  }
+
+  return events;
+}
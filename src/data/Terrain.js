@@ -0,0 +1,217 @@
+// src/data/Terrain.js
+// Battlefield terrain, obstacle and prop definitions for The Marakatas
+// Terrain is the ground a tile is made of; obstacles stand on a tile and
+// block movement; props are decoration only
+
+/**
+ * Terrain types
+ *   walkable:     false if units can never stand on the tile
+ *   movementCost: speed spent to enter the tile (before climbing)
+ *   cover:        'none' | 'half' | 'full' - protection for units behind it
+ *   blocksSight:  true if ranged abilities can't see through the tile
+ *   height:       drawn wall height in pixels (0 for flat ground)
+ *   color/alpha:  tile fill in both views
+ */
+export const TERRAIN_TYPES = {
+  'deck': {
+    id: 'deck',
+    name: 'Deck',
+    walkable: true,
+    movementCost: 1,
+    cover: 'none',
+    blocksSight: false,
+    height: 0,
+    color: 0x8b6914,
+    alpha: 0.2
+  },
+
+  'cabin_floor': {
+    id: 'cabin_floor',
+    name: 'Cabin Floor',
+    walkable: true,
+    movementCost: 1,
+    cover: 'none',
+    blocksSight: false,
+    height: 0,
+    color: 0x6b4423,
+    alpha: 0.35
+  },
+
+  'cargo': {
+    id: 'cargo',
+    name: 'Loose Cargo',
+    walkable: true,
+    movementCost: 2,
+    cover: 'half',
+    blocksSight: false,
+    height: 0,
+    color: 0xa16207,
+    alpha: 0.45
+  },
+
+  'water': {
+    id: 'water',
+    name: 'Open Water',
+    walkable: false,
+    movementCost: 1,
+    cover: 'none',
+    blocksSight: false,
+    height: 0,
+    color: 0x1e3a5f,
+    alpha: 0.6
+  },
+
+  'railing': {
+    id: 'railing',
+    name: 'Railing',
+    walkable: false,
+    movementCost: 1,
+    cover: 'half',
+    blocksSight: false,
+    height: 8,
+    color: 0x5c4033,
+    alpha: 0.9
+  },
+
+  'cabin_wall': {
+    id: 'cabin_wall',
+    name: 'Cabin Wall',
+    walkable: false,
+    movementCost: 1,
+    cover: 'full',
+    blocksSight: true,
+    height: 40,
+    color: 0x4a3728,
+    alpha: 1
+  },
+
+  'courtyard': {
+    id: 'courtyard',
+    name: 'Courtyard Flagstones',
+    walkable: true,
+    movementCost: 1,
+    cover: 'none',
+    blocksSight: false,
+    height: 0,
+    color: 0x78716c,
+    alpha: 0.3
+  },
+
+  'estate_wall': {
+    id: 'estate_wall',
+    name: 'Estate Wall',
+    walkable: false,
+    movementCost: 1,
+    cover: 'full',
+    blocksSight: true,
+    height: 32,
+    color: 0x57534e,
+    alpha: 1
+  }
+};
+
+/**
+ * Single-character codes for terrain in mission map layouts
+ */
+export const TERRAIN_LEGEND = {
+  '.': 'deck',
+  ',': 'cabin_floor',
+  'c': 'cargo',
+  '~': 'water',
+  '=': 'railing',
+  '#': 'cabin_wall'
+};
+
+/**
+ * Obstacle types
+ *   cover:       'none' | 'half' | 'full' - protection for units behind it
+ *   blocksSight: true if ranged abilities can't see through the tile
+ *   height:      drawn height in pixels (isometric view)
+ */
+export const OBSTACLE_TYPES = {
+  'crate': {
+    id: 'crate',
+    name: 'Cargo Crate',
+    cover: 'half',
+    blocksSight: false,
+    height: 14,
+    color: 0xa16207
+  },
+
+  'barrel': {
+    id: 'barrel',
+    name: 'Barrel',
+    cover: 'half',
+    blocksSight: false,
+    height: 12,
+    color: 0x78350f
+  },
+
+  'mast': {
+    id: 'mast',
+    name: 'Mast',
+    cover: 'full',
+    blocksSight: true,
+    height: 48,
+    color: 0x57534e
+  }
+};
+
+/**
+ * Decorative prop types (no effect on movement, sight or cover)
+ *   shape: 'box' | 'circle' | 'coil'
+ */
+export const PROP_TYPES = {
+  'lantern': {
+    id: 'lantern',
+    name: 'Lantern',
+    shape: 'circle',
+    size: 5,
+    color: 0xfbbf24
+  },
+
+  'rope_coil': {
+    id: 'rope_coil',
+    name: 'Coiled Rope',
+    shape: 'coil',
+    size: 9,
+    color: 0xd6b98c
+  },
+
+  'net': {
+    id: 'net',
+    name: 'Fishing Net',
+    shape: 'box',
+    size: 14,
+    color: 0x94a3b8
+  },
+
+  'sack': {
+    id: 'sack',
+    name: 'Grain Sack',
+    shape: 'circle',
+    size: 7,
+    color: 0xe7d3a8
+  }
+};
+
+/**
+ * Get terrain definition by ID
+ */
+export function getTerrainType(terrainId) {
+  return TERRAIN_TYPES[terrainId] || null;
+}
+
+/**
+ * Get obstacle definition by ID
+ */
+export function getObstacleType(obstacleId) {
+  return OBSTACLE_TYPES[obstacleId] || null;
+}
+
+/**
+ * Get prop definition by ID
+ */
+export function getPropType(propId) {
+  return PROP_TYPES[propId] || null;
+}
@@ -1,3 +1,64 @@
+// src/data/missions.js
+// Mission definitions for The Marakatas
+// Every mission follows the schema below and is validated at boot by
+// systems/MissionLoader.js - scenes read missions through the loader.
+//
+// Mission schema
+//   id, name, description:  identity and menu text
+//   objective:              one-line summary shown on mission select
+//   type:                   MISSION_TYPES
+//   controlMode:            CONTROL_MODES
+//   environmentType:        backdrop for the GameSession (e.g. 'ship_deck')
+//   novelChapter:           optional chapter reference
+//   map:                    battlefield (see IsometricGrid.applyMap)
+//   availableCharacters:    roster ids (MARAKATAS_ROSTER) that may deploy once unlocked
+//   forcedCharacters:       roster ids that must deploy (unlocked or not); companions
+//                           under AI control in single mode
+//   startingPositions:      { rosterId|npcId: { x, y } }
+//   deployment:             { min, max, tiles } optional; party size for the 'selected'
+//                           control mode (default 3-4) and the start tiles [[x, y]] the
+//                           party may be arranged on (default: their startingPositions)
+//                           (see systems/PartyDeployment.js)
+//   npcs:                   [{ id, name, mustSurvive, class, level, attributes, behavior (NPC_BEHAVIORS),
+//                              aiType }] non-roster characters fighting on the party's side
+//   protectedUnit:          { character, x, y, initialStatus ('active' | 'downed'), behavior }
+//                           roster member to keep alive; 'downed' starts them unconscious
+//   enemies:                [{ type (ENEMY_TEMPLATES), id, x, y, aiType, patrol, state, facing }]
+//                           the template (data/Enemies.js) supplies the stats; name, class,
+//                           level, attributes, abilities, loot and detectionRange on the
+//                           entry override it. id is optional, for story events to refer to the unit
+//   objectives:             [{ id, type (OBJECTIVE_TYPES), description, required, bonus, ... }]
+//                           interact: positions [[x, y]], targetName (shown on use)
+//                           constraint: condition (CONSTRAINT_CONDITIONS)
+//                           bonus: { experience } awarded if achieved on victory
+//   failureConditions:      [{ type (FAILURE_CONDITION_TYPES), ... }]
+//   turnSystem:             { type (TURN_SYSTEM_TYPES), timeLimit }
+//   specialRules:           { stealth, alertLevel, reinforcements }
+//                           reinforcements: { triggerAt, waves: [{ units: [{ type, x, y, ... }], turn }] }
+//                             turn is a round number or 'immediate'; with triggerAt (alert
+//                             threshold) rounds count from the alarm, otherwise from the start.
+//                             Waves are marked on the map one round before they arrive
+//                             (see systems/ReinforcementSchedule.js)
+//   storyEvents:            [{ id, trigger, actions, once }] scripted story beats
+//                           (see systems/MissionScript.js); once defaults to true
+//                           trigger: { type (STORY_TRIGGER_TYPES), ... }
+//                             round: round (1 is the opening round)
+//                             unit_downed: unitId | team (any unit if neither)
+//                             tile_entered: positions [[x, y]], unitId | team (default 'player')
+//                             objective_completed: objectiveId
+//                             hp_below: percent, unitId | team
+//                           actions: [{ type (STORY_ACTION_TYPES), ... }] played in order
+//                             dialogue: text, speaker, unitId, portrait (texture key);
+//                                       waits for the player to dismiss it
+//                             spawn: units [{ type (ENEMY_TEMPLATES), x, y, ... }] like enemies
+//                             status: unitId, effect + duration | removeEffect | status ('downed')
+//                             camera: x, y (pan to the tile)
+//   rewards:                { experience, gold, unlocks, items, story, narrative }
+//                           unlocks: roster ids ('lachi') or missions ('mission:koya_attack');
+//                           story: flag set in the campaign (see systems/CampaignState.js)
+//   failureConsequences:    { experience, narrative }
+//                           experience: shared by the deployed party on a defeat
+
 export const MISSION_TYPES = {
   STEALTH_HEIST: 'stealth_heist',
   DEFENSE: 'defense',
@@ -11,20 +72,332 @@ export const CONTROL_MODES = {
   SELECTED_PARTY: 'selected'    // Choose 3-4 from roster
 };
 
+export const TURN_SYSTEM_TYPES = {
+  INITIATIVE: 'initiative',        // Every unit acts in initiative order
+  SIMULTANEOUS: 'simultaneous',    // All player units act (in any order), then all enemy units
+  ALTERNATING: 'alternating'       // The sides take turns activating one unit each
+};                                 // (team phases: see GameSession in data/Character.js)
+
+export const OBJECTIVE_TYPES = {
+  SURVIVE: 'survive',        // Last a number of turns
+  PROTECT: 'protect',        // Keep targetId alive
+  INTERACT: 'interact',      // Use the object at each position (Interact ability)
+  DEFEAT_ALL: 'defeat_all',  // Down every enemy
+  CONSTRAINT: 'constraint'   // Optional condition (e.g. no_enemy_deaths)
+};
+
+export const NPC_BEHAVIORS = {
+  PASSIVE: 'passive',  // Never acts; just has to be kept alive
+  AI: 'ai'             // Fights for the party using its aiType archetype
+};
+
+export const STORY_TRIGGER_TYPES = {
+  ROUND: 'round',
+  UNIT_DOWNED: 'unit_downed',
+  TILE_ENTERED: 'tile_entered',
+  OBJECTIVE_COMPLETED: 'objective_completed',
+  HP_BELOW: 'hp_below'
+};
+
+export const STORY_ACTION_TYPES = {
+  DIALOGUE: 'dialogue',
+  SPAWN: 'spawn',
+  STATUS: 'status',
+  CAMERA: 'camera'
+};
+
+export const CONSTRAINT_CONDITIONS = ['no_enemy_deaths', 'not_detected'];
+
+export const FAILURE_CONDITION_TYPES = {
+  ALL_UNITS_DEFEATED: 'all_units_defeated',  // Every player unit is down
+  NPC_DEATH: 'npc_death',                    // An NPC or protected unit (targetId) dies
+  TIME_LIMIT: 'time_limit'                   // turns have passed
+};
+
+/**
+ * What a new campaign starts with; everything else is unlocked by
+ * mission rewards
+ */
+export const CAMPAIGN_START = {
+  missions: ['koya_attack'],
+  characters: ['kona', 'chennappa'],
+  gold: 0,
+  items: ['padded_vest', 'healing_poultice', 'healing_poultice', 'tapas_tonic']
+};
+
 export const MISSIONS = {
+  merchant_ship_heist: {
+    id: 'merchant_ship_heist',
+    name: 'The Merchant Ship Heist',
+    type: MISSION_TYPES.STORY_BATTLE,
+    controlMode: CONTROL_MODES.SELECTED_PARTY,
+    novelChapter: 13,
+    environmentType: 'ship_deck',
+    
+    description: 'Four nights ago... The Marakatas plan a daring midnight raid on a merchant vessel off the coast of Masuli.',
+    objective: 'Neutralize merchant crew without sinking the ship',
+    
+    // Battlefield (terrain codes in data/Terrain.js TERRAIN_LEGEND)
+    map: {
+      id: 'merchant_deck',
+      width: 20,
+      height: 12,
+      terrain: 'deck',
+      layout: [
+        '~~~~~~~~~~~~~~~~~~~~',
+        '~===================',
+        '=............##.....',
+        '=............##.....',
+        '=...................',
+        '=...................',
+        '=...................',
+        '=...................',
+        '=........cc.........',
+        '=........cc.........',
+        '~===================',
+        '~~~~~~~~~~~~~~~~~~~~'
+      ],
+      
+      // Raised areas of the deck (elevation in levels)
+      elevatedAreas: [
+        { name: 'crows_nest', x: 2, y: 7, width: 1, height: 1, elevation: 2 },
+        { name: 'quarterdeck', x: 16, y: 5, width: 4, height: 5, elevation: 1 }
+      ],
+      
+      // Deck obstacles: crates give half cover, masts block sight entirely
+      obstacles: [
+        { x: 8, y: 3, type: 'crate' },
+        { x: 8, y: 4, type: 'crate' },
+        { x: 9, y: 7, type: 'crate' },
+        { x: 11, y: 2, type: 'barrel' },
+        { x: 6, y: 5, type: 'mast' },
+        { x: 12, y: 5, type: 'mast' }
+      ],
+      
+      props: [
+        { x: 5, y: 2, type: 'lantern' },
+        { x: 15, y: 9, type: 'lantern' },
+        { x: 4, y: 9, type: 'rope_coil' },
+        { x: 7, y: 2, type: 'net' },
+        { x: 10, y: 4, type: 'sack' }
+      ]
+    },
+    
+    availableCharacters: ['lachi', 'kona', 'reddy', 'gopa', 'chennappa'],
+    forcedCharacters: ['lachi', 'kona'],  // Lachi's collapse is part of the story
+    deployment: { min: 3, max: 4 },
+    
+    startingPositions: {
+      lachi: { x: 2, y: 7 },      // Ranged damage, up the crow's nest
+      kona: { x: 3, y: 7 },       // Melee damage
+      reddy: { x: 2, y: 8 },      // Tank/support
+      gopa: { x: 3, y: 8 },       // Melee damage
+      chennappa: { x: 3, y: 6 }   // Ranged damage
+    },
+    
+    enemies: [
+      { type: 'guard', name: 'Merchant Guard A', x: 15, y: 6 },
+      { type: 'deck_archer', name: 'Merchant Guard B', x: 16, y: 8 },
+      { type: 'ship_captain', id: 'captain', x: 17, y: 7 }
+    ],
+    
+    objectives: [
+      {
+        id: 'defeat_crew',
+        type: 'defeat_all',
+        description: 'Defeat the merchant crew',
+        required: true
+      }
+    ],
+    
+    failureConditions: [
+      { type: 'all_units_defeated' }
+    ],
+    
+    turnSystem: {
+      type: 'initiative',
+      timeLimit: null
+    },
+    
+    // Story events that trigger during mission
+    storyEvents: [
+      {
+        id: 'lachi_collapses',
+        trigger: { type: 'round', round: 5 },
+        actions: [
+          { type: 'camera', x: 2, y: 7 },
+          { type: 'dialogue', text: 'Lachi takes a blow to the head and collapses to the deck...' },
+          { type: 'status', unitId: 'lachi', effect: 'unconscious' }
+        ]
+      },
+      {
+        id: 'call_for_backup',
+        trigger: { type: 'unit_downed', team: 'enemy' },
+        actions: [
+          { type: 'dialogue', unitId: 'captain', text: 'Guards! To the deck - we are boarded!' },
+          { type: 'camera', x: 18, y: 2 },
+          { type: 'spawn', units: [{ type: 'guard', x: 18, y: 2 }] }
+        ]
+      },
+      {
+        id: 'captain_wavers',
+        trigger: { type: 'hp_below', unitId: 'captain', percent: 50 },
+        actions: [
+          { type: 'dialogue', unitId: 'captain', text: 'Take the cargo, pirates, but spare my ship!' }
+        ]
+      }
+    ],
+    
+    rewards: {
+      experience: 500,
+      gold: 200,
+      unlocks: ['mission:protecting_lachi'],
+      narrative: 'The merchant vessel secured. Now to escape...'
+    },
+    
+    failureConsequences: {
+      experience: 100,
+      narrative: 'The guards overwhelmed the Marakatas. A dangerous setback.'
+    }
+  },
+  
+  protecting_lachi: {
+    id: 'protecting_lachi',
+    name: 'Protecting Lachi',
+    type: MISSION_TYPES.DEFENSE,
+    controlMode: CONTROL_MODES.ALL_PARTY,
+    novelChapter: 13,
+    environmentType: 'ship_cabin',
+    
+    description: 'Lachi is hurt and vulnerable. The Marakatas must defend her while she recovers.',
+    objective: 'Protect Lachi for 8 rounds',
+    
+    // Lachi's cabin, with two doors onto the deck
+    map: {
+      id: 'captains_cabin',
+      width: 18,
+      height: 12,
+      terrain: 'deck',
+      layout: [
+        '###########.......',
+        '#,,,,,,,,,#.......',
+        '#,,,,,,cc,#.......',
+        '#,,,,,,,,,#.......',
+        '#,,,,,,,,,,.......',
+        '#,,,,,,,,,#.......',
+        '#,,,,,,,,,#.......',
+        '#,,,,,,,,,#.......',
+        '#,,,,,,,,,,.......',
+        '#,,,,,,,,,#.......',
+        '#,,,,,,,,,#.......',
+        '###########======='
+      ],
+      props: [
+        { x: 2, y: 1, type: 'lantern' },
+        { x: 3, y: 10, type: 'net' },
+        { x: 8, y: 10, type: 'sack' },
+        { x: 14, y: 10, type: 'rope_coil' }
+      ]
+    },
+    
+    availableCharacters: ['kona', 'reddy', 'gopa'],
+    forcedCharacters: ['kona', 'reddy', 'gopa'],
+    
+    startingPositions: {
+      kona: { x: 5, y: 5 },    // Defender
+      reddy: { x: 4, y: 6 },   // Protector
+      gopa: { x: 6, y: 6 }     // Attacker
+    },
+    
+    // Lachi is downed at start - must be protected
+    protectedUnit: {
+      character: 'lachi',
+      x: 5,
+      y: 6,
+      initialStatus: 'downed',
+      behavior: 'ai'  // Joins the fight once someone patches her up (First Aid)
+    },
+    
+    enemies: [
+      { type: 'guard', name: 'Reinforcement Guard 1', x: 14, y: 4 },
+      { type: 'guard', name: 'Reinforcement Guard 2', class: 'Chara', x: 14, y: 8, aiType: 'berserker' }
+    ],
+    
+    objectives: [
+      {
+        id: 'survive',
+        type: 'survive',
+        turns: 8,
+        description: 'Hold out for 8 rounds',
+        required: true
+      },
+      {
+        id: 'protect_lachi',
+        type: 'protect',
+        targetId: 'lachi',
+        description: 'Keep Lachi from taking fatal damage',
+        required: true
+      }
+    ],
+    
+    failureConditions: [
+      { type: 'npc_death', targetId: 'lachi' },
+      { type: 'all_units_defeated' }
+    ],
+    
+    turnSystem: {
+      type: 'initiative',
+      timeLimit: null
+    },
+    
+    rewards: {
+      experience: 400,
+      gold: 100,
+      unlocks: ['mission:rajasa_heist'],
+      narrative: 'Lachi stirs. She will live. The Marakatas escape into the night.'
+    }
+  },
+
   rajasa_heist: {
     id: 'rajasa_heist',
     name: 'The Rajasa Heist',
     type: MISSION_TYPES.STEALTH_HEIST,
     controlMode: CONTROL_MODES.ALL_PARTY,
+    environmentType: 'ship_deck',
     
     description: 'Loot the merchant ship Rajasa under cover of darkness. Avoid detection or face the entire crew.',
+    objective: 'Steal the cargo without raising the alarm',
     
     map: {
       id: 'ship_deck',
       width: 14,
       height: 10,
-      tiles: [] // We'll define this later
+      terrain: 'deck',
+      layout: [
+        '...##.........',
+        '...##.........',
+        '..............',
+        '..............',
+        '..............',
+        '.............c',
+        '.............c',
+        '..............',
+        '..............',
+        '..............'
+      ],
+      tiles: [],
+      elevatedAreas: [
+        { name: 'crows_nest', x: 0, y: 8, width: 1, height: 1, elevation: 2 }
+      ],
+      obstacles: [
+        { x: 5, y: 4, type: 'mast' },
+        { x: 9, y: 3, type: 'crate' },
+        { x: 11, y: 8, type: 'barrel' }
+      ],
+      props: [
+        { x: 2, y: 2, type: 'lantern' },
+        { x: 12, y: 3, type: 'rope_coil' }
+      ]
     },
     
     availableCharacters: ['kona', 'lachi', 'gopa', 'reddy', 'chennappa'],
@@ -32,7 +405,7 @@ export const MISSIONS = {
     
     startingPositions: {
       kona: { x: 1, y: 5 },
-      lachi: { x: 0, y: 8, special: 'crows_nest' }, // Starts on elevation
+      lachi: { x: 0, y: 8 }, // Starts up the crow's nest
       gopa: { x: 1, y: 6 },
       reddy: { x: 1, y: 4 },
       chennappa: { x: 0, y: 5 }
@@ -50,6 +423,7 @@ export const MISSIONS = {
         id: 'steal_cargo',
         type: 'interact',
         target: 'cargo_crates',
+        targetName: 'cargo crate',
         positions: [[13, 5], [13, 6]],
         description: 'Move cargo to your cutter',
         required: true
@@ -106,19 +480,40 @@ export const MISSIONS = {
     name: 'Defense of Bhojadasa Estate',
     type: MISSION_TYPES.DEFENSE,
     controlMode: CONTROL_MODES.ALL_PARTY,
+    environmentType: 'estate',
     
     description: 'Koya warriors breach the estate walls. Protect Bhojadasa and survive the assault.',
+    objective: 'Protect Bhojadasa for 10 turns',
     
     map: {
       id: 'estate_courtyard',
       width: 12,
-      height: 10
+      height: 10,
+      terrain: 'courtyard',
+      legend: { '.': 'courtyard', '#': 'estate_wall' },
+      // The Koya have broken through the north-west corner of the wall
+      layout: [
+        '....########',
+        '...........#',
+        '...........#',
+        '...........#',
+        '...........#',
+        '...........#',
+        '...........#',
+        '...........#',
+        '...........#',
+        '############'
+      ],
+      props: [
+        { x: 8, y: 4, type: 'lantern' },
+        { x: 9, y: 7, type: 'sack' }
+      ]
     },
     
     availableCharacters: ['kona', 'chennappa'],
     forcedCharacters: ['kona', 'chennappa'],
     npcs: [
-      { id: 'bhojadasa', name: 'Bhojadasa', mustSurvive: true }
+      { id: 'bhojadasa', name: 'Bhojadasa', mustSurvive: true, class: 'Chara', level: 3, behavior: 'passive' }
     ],
     
     startingPositions: {
@@ -153,7 +548,7 @@ export const MISSIONS = {
     
     failureConditions: [
       { type: 'npc_death', targetId: 'bhojadasa' },
-      { type: 'all_player_units_defeated' }
+      { type: 'all_units_defeated' }
     ],
     
     turnSystem: {
@@ -171,7 +566,7 @@ export const MISSIONS = {
     
     rewards: {
       experience: 800,
-      unlocks: ['reddy', 'gopa', 'lachi'], // Companions join after this
+      unlocks: ['reddy', 'gopa', 'lachi', 'mission:merchant_ship_heist'], // Companions join after this
       story: 'koya_aftermath'
     }
   }
@@ -249,61 +644,3 @@ export const CHARACTERS = {
     abilities: ['tactical_command', 'inspire']
   }
 };
-
-export const ENEMY_TYPES = {
-  sailor: {
-    name: 'Sailor',
-    hp: 80,
-    maxHp: 80,
-    movement: 2,
-    attackRange: 1,
-    damage: 15,
-    defense: 2,
-    detectionRange: 3, // For stealth missions
-    aiType: 'patrol'
-  },
-  
-  guard: {
-    name: 'Guard',
-    hp: 100,
-    maxHp: 100,
-    movement: 2,
-    attackRange: 1,
-    damage: 15,
-    defense: 3,
-    aiType: 'aggressive'
-  },
-  
-  koya_warrior: {
-    name: 'Koya Warrior',
-    hp: 90,
-    maxHp: 90,
-    movement: 3,
-    attackRange: 1,
-    damage: 20,
-    defense: 4,
-    aiType: 'aggressive'
-  },
-  
-  koya_hunter: {
-    name: 'Koya Hunter',
-    hp: 70,
-    maxHp: 70,
-    movement: 3,
-    attackRange: 3,
-    damage: 18,
-    defense: 2,
-    aiType: 'ranged'
-  },
-  
-  koya_berserker: {
-    name: 'Koya Berserker',
-    hp: 150,
-    maxHp: 150,
-    movement: 2,
-    attackRange: 1,
-    damage: 35,
-    defense: 3,
-    aiType: 'berserker'
-  }
-};
\ No newline at end of file
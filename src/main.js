@@ -10,9 +10,12 @@ import BootScene from './scenes/BootScene.js';
 import MainMenu from './scenes/MainMenu.js';
 import MissionSelectScene from './scenes/MissionSelectScene.js';
 import MissionSceneIsometric from './scenes/MissionScene_Isometric.js';
+import LevelUpScene from './scenes/LevelUpScene.js';
+import EquipmentScene from './scenes/EquipmentScene.js';
+import DeploymentScene from './scenes/DeploymentScene.js';
 
 // Add all scenes to config
-GameConfig.scene = [BootScene, MainMenu, MissionSelectScene, MissionSceneIsometric];
+GameConfig.scene = [BootScene, MainMenu, MissionSelectScene, DeploymentScene, MissionSceneIsometric, LevelUpScene, EquipmentScene];
 
 const game = new Phaser.Game(GameConfig);
 window.game = game;
@@ -22,4 +25,4 @@ console.log('║     THE MARAKATAS - Game Initialized       ║');
 console.log('║          Pirates of the Loka Verse         ║');
 console.log('╚════════════════════════════════════════════╝');
 console.log('Phaser Version:', Phaser.VERSION);
-console.log('Scene Order: BootScene → MainMenu → MissionSelect → MissionScene');
\ No newline at end of file
+console.log('Scene Order: BootScene → MainMenu → MissionSelect → Deployment → MissionScene');
\ No newline at end of file
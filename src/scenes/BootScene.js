@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import { loadMissions } from '../systems/MissionLoader.js';
 
 export default class BootScene extends Phaser.Scene {
   constructor() {
@@ -22,8 +23,27 @@ export default class BootScene extends Phaser.Scene {
   }
 
   create() {
-    // Move to main menu after loading
-    this.time.delayedCall(1000, () => {
+    // Validate mission data; broken missions are left out of mission select
+    const { errors } = loadMissions();
+    
+    if (errors.length > 0) {
+      errors.forEach(message => console.error(`Mission data error - ${message}`));
+      
+      this.add.text(
+        this.cameras.main.centerX,
+        this.cameras.main.centerY + 50,
+        ['⚠️ Some missions failed to load:', ...errors].join('\n'),
+        {
+          fontSize: '14px',
+          color: '#f87171',
+          align: 'center',
+          wordWrap: { width: this.cameras.main.width - 100 }
+        }
+      ).setOrigin(0.5, 0);
+    }
+    
+    // Move to main menu after loading (longer if there are errors to read)
+    this.time.delayedCall(errors.length > 0 ? 5000 : 1000, () => {
       this.scene.start('MainMenu');
     });
   }
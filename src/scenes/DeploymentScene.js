@@ -0,0 +1,209 @@
+// src/scenes/DeploymentScene.js
+/**
+ * The Marakatas - Deployment Scene
+ * Between mission select and the mission: choose who deploys and arrange
+ * them on the start tiles, as the mission's control mode allows
+ * (see systems/PartyDeployment.js)
+ */
+
+import Phaser from 'phaser';
+import { MARAKATAS_ROSTER } from '../data/Character.js';
+import { CONTROL_MODES } from '../data/missions.js';
+import { getMission } from '../systems/MissionLoader.js';
+import { getCampaign } from '../systems/CampaignState.js';
+import PartyDeployment from '../systems/PartyDeployment.js';
+
+const CARD_WIDTH = 360;
+const CARD_HEIGHT = 64;
+const TILE_SIZE = 64;
+
+const MODE_HINTS = {
+  [CONTROL_MODES.ALL_PARTY]: 'The whole party deploys. Click a unit on the deck, then a start tile to move it.',
+  [CONTROL_MODES.SELECTED_PARTY]: 'Choose your party. Click a unit on the deck, then a start tile to move it.',
+  [CONTROL_MODES.SINGLE_CHARACTER]: 'Choose who you play; companions follow on their own.'
+};
+
+export default class DeploymentScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'Deployment' });
+  }
+
+  init(data) {
+    this.missionId = data.missionId;
+    this.difficultyId = data.difficulty;
+    this.picked = null;         // Roster ID picked up to move to another tile
+    this.dynamicObjects = [];   // Redrawn on every change
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+    const mission = getMission(this.missionId);
+    this.deployment = new PartyDeployment(mission, getCampaign());
+
+    this.add.rectangle(width / 2, height / 2, width, height, 0x1a2e4a).setDepth(-100);
+
+    this.add.text(width / 2, 36, mission.name.toUpperCase(), {
+      fontSize: '30px',
+      color: '#4ade80',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+    this.add.text(width / 2, 72, MODE_HINTS[this.deployment.controlMode] || '', {
+      fontSize: '14px',
+      color: '#cbd5e1'
+    }).setOrigin(0.5);
+
+    this.add.text(40, 100, 'ROSTER', { fontSize: '16px', color: '#fbbf24', fontStyle: 'bold' });
+    this.add.text(480, 100, 'START TILES', { fontSize: '16px', color: '#fbbf24', fontStyle: 'bold' });
+
+    this.statusText = this.add.text(width / 2, height - 95, '', {
+      fontSize: '13px',
+      color: '#f87171'
+    }).setOrigin(0.5);
+
+    this.createButton(120, height - 45, 'BACK', 0x333333, () => this.scene.start('MissionSelect'));
+    this.createButton(width - 120, height - 45, 'DEPLOY', 0x3b82f6, () => this.deploy());
+
+    this.refresh();
+  }
+
+  createButton(x, y, label, color, onClick) {
+    const button = this.add.rectangle(x, y, 180, 50, color)
+      .setStrokeStyle(2, 0x888888)
+      .setInteractive({ useHandCursor: true });
+    this.add.text(x, y, label, {
+      fontSize: '18px',
+      color: '#ffffff',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    button.on('pointerover', () => button.setStrokeStyle(2, 0x4ade80));
+    button.on('pointerout', () => button.setStrokeStyle(2, 0x888888));
+    button.on('pointerdown', onClick);
+  }
+
+  track(object) {
+    this.dynamicObjects.push(object);
+    return object;
+  }
+
+  refresh() {
+    for (const object of this.dynamicObjects) object.destroy();
+    this.dynamicObjects = [];
+
+    let cardY = 135 + CARD_HEIGHT / 2;
+    for (const rosterId of this.deployment.candidates) {
+      this.createRosterCard(rosterId, 40 + CARD_WIDTH / 2, cardY);
+      cardY += CARD_HEIGHT + 8;
+    }
+
+    const { size, selected, controlMode } = this.deployment;
+    if (controlMode === CONTROL_MODES.SELECTED_PARTY) {
+      const range = size.min === size.max ? `${size.max}` : `${size.min}-${size.max}`;
+      this.track(this.add.text(40, cardY + 4, `Deploying ${selected.length} of ${range}`, {
+        fontSize: '14px',
+        color: '#fbbf24'
+      }));
+    }
+
+    this.createStartTiles(480, 135);
+  }
+
+  createRosterCard(rosterId, x, y) {
+    const deployment = this.deployment;
+    const character = MARAKATAS_ROSTER[rosterId]();
+    const entry = getCampaign().getRosterEntry(rosterId);
+    const deploying = deployment.isSelected(rosterId);
+
+    const card = this.track(this.add.rectangle(x, y, CARD_WIDTH, CARD_HEIGHT, deploying ? 0x14532d : 0x0f172a, 0.95))
+      .setStrokeStyle(2, deploying ? 0x4ade80 : 0x334155)
+      .setInteractive({ useHandCursor: true });
+    card.on('pointerdown', () => {
+      const result = deployment.toggle(rosterId);
+      if (this.picked && !deployment.isSelected(this.picked)) this.picked = null;
+      this.statusText.setText(result.valid ? '' : result.message);
+      this.refresh();
+    });
+
+    const left = x - CARD_WIDTH / 2 + 14;
+    this.track(this.add.text(left, y - 14, character.name, {
+      fontSize: '18px',
+      color: '#ffffff',
+      fontStyle: 'bold'
+    }).setOrigin(0, 0.5));
+    this.track(this.add.text(left, y + 12, `${character.class}  Lv ${entry ? entry.level : character.level}`, {
+      fontSize: '12px',
+      color: '#94a3b8'
+    }).setOrigin(0, 0.5));
+
+    let tag = '';
+    if (deployment.controlMode === CONTROL_MODES.SINGLE_CHARACTER && deployment.controlled === rosterId) {
+      tag = '🎮 You';
+    } else if (deployment.isForced(rosterId)) {
+      tag = deployment.controlMode === CONTROL_MODES.SINGLE_CHARACTER ? '🤝 Companion' : '📌 Required';
+    } else if (deploying) {
+      tag = '✔ Deploying';
+    }
+    this.track(this.add.text(x + CARD_WIDTH / 2 - 14, y, tag, {
+      fontSize: '13px',
+      color: '#fbbf24'
+    }).setOrigin(1, 0.5));
+  }
+
+  /**
+   * The start tiles laid out as they sit on the map
+   */
+  createStartTiles(left, top) {
+    const tiles = this.deployment.tiles;
+    const minX = Math.min(...tiles.map(t => t.x));
+    const minY = Math.min(...tiles.map(t => t.y));
+
+    for (const tile of tiles) {
+      const x = left + (tile.x - minX) * (TILE_SIZE + 6) + TILE_SIZE / 2;
+      const y = top + (tile.y - minY) * (TILE_SIZE + 6) + TILE_SIZE / 2;
+      const occupant = this.deployment.getOccupant(tile.x, tile.y);
+      const picked = occupant && occupant === this.picked;
+
+      const box = this.track(this.add.rectangle(x, y, TILE_SIZE, TILE_SIZE, occupant ? 0x1e3a5f : 0x1e293b))
+        .setStrokeStyle(2, picked ? 0xfbbf24 : 0x475569)
+        .setInteractive({ useHandCursor: true });
+      box.on('pointerdown', () => this.clickTile(tile, occupant));
+
+      this.track(this.add.text(x, y - 20, `${tile.x},${tile.y}`, { fontSize: '9px', color: '#64748b' }).setOrigin(0.5));
+      if (occupant) {
+        this.track(this.add.text(x, y + 4, MARAKATAS_ROSTER[occupant]().name, {
+          fontSize: '12px',
+          color: '#ffffff',
+          fontStyle: 'bold'
+        }).setOrigin(0.5));
+      }
+    }
+  }
+
+  /**
+   * First click picks a unit up, the second puts it down (swapping if taken)
+   */
+  clickTile(tile, occupant) {
+    if (!this.picked) {
+      this.picked = occupant;
+    } else {
+      const result = this.deployment.place(this.picked, tile.x, tile.y);
+      this.statusText.setText(result.valid ? '' : result.message);
+      this.picked = null;
+    }
+    this.refresh();
+  }
+
+  deploy() {
+    const validation = this.deployment.validate();
+    if (!validation.valid) {
+      this.statusText.setText(validation.message);
+      return;
+    }
+
+    this.scene.start('MissionSceneIsometric', {
+      missionId: this.missionId,
+      difficulty: this.difficultyId,
+      deployment: this.deployment.getDeployment()
+    });
+  }
+}
@@ -0,0 +1,207 @@
+// src/scenes/EquipmentScene.js
+/**
+ * The Marakatas - Equipment Scene
+ * Between missions: pick a character, then click inventory items to equip
+ * them (weapons and armor in their slot, consumables on the belt) and
+ * equipped items to put them back
+ * Changes are saved to the campaign on Done
+ */
+
+import Phaser from 'phaser';
+import { MARAKATAS_ROSTER } from '../data/Character.js';
+import { EQUIPMENT_SLOTS, BELT_SIZE, getItem, getEquipmentEvasion } from '../data/Items.js';
+import { getCampaign } from '../systems/CampaignState.js';
+
+const ROW_HEIGHT = 110;
+const SLOT_WIDTH = 150;
+
+export default class EquipmentScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'Equipment' });
+  }
+
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MissionSelect';
+    this.selectedId = null;
+    this.dynamicObjects = [];  // Redrawn on every change
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+    const campaign = getCampaign();
+
+    this.add.rectangle(width / 2, height / 2, width, height, 0x1a2e4a).setDepth(-100);
+
+    this.add.text(width / 2, 40, 'EQUIPMENT', {
+      fontSize: '36px',
+      color: '#4ade80',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    this.add.text(900, 80, 'INVENTORY', {
+      fontSize: '18px',
+      color: '#fbbf24',
+      fontStyle: 'bold'
+    });
+
+    this.statusText = this.add.text(20, height - 40, '', {
+      fontSize: '13px',
+      color: '#f87171'
+    }).setOrigin(0, 0.5);
+
+    this.selectedId = campaign.unlockedCharacters[0] || null;
+    this.refresh();
+
+    // Done: save and go back
+    const doneButton = this.add.rectangle(width - 100, height - 40, 150, 50, 0x3b82f6)
+      .setInteractive({ useHandCursor: true });
+    this.add.text(width - 100, height - 40, 'DONE', {
+      fontSize: '16px',
+      color: '#ffffff',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    doneButton.on('pointerover', () => doneButton.setFillStyle(0x2563eb));
+    doneButton.on('pointerout', () => doneButton.setFillStyle(0x3b82f6));
+    doneButton.on('pointerdown', () => {
+      const saved = campaign.save();
+      if (!saved.valid) console.warn(saved.message);
+      this.scene.start(this.returnTo);
+    });
+  }
+
+  /**
+   * Redraw the party rows and the inventory
+   */
+  refresh() {
+    for (const object of this.dynamicObjects) object.destroy();
+    this.dynamicObjects = [];
+
+    const campaign = getCampaign();
+    let rowY = 90 + ROW_HEIGHT / 2;
+    for (const rosterId of campaign.unlockedCharacters) {
+      this.createPartyRow(rosterId, rowY);
+      rowY += ROW_HEIGHT + 10;
+    }
+
+    this.createInventoryList(900, 115);
+  }
+
+  track(object) {
+    this.dynamicObjects.push(object);
+    return object;
+  }
+
+  createPartyRow(rosterId, y) {
+    const entry = getCampaign().getRosterEntry(rosterId);
+    const character = MARAKATAS_ROSTER[rosterId]();
+    const selected = rosterId === this.selectedId;
+
+    const row = this.track(this.add.rectangle(440, y, 840, ROW_HEIGHT, 0x0f172a, 0.95))
+      .setStrokeStyle(2, selected ? 0x4ade80 : 0x334155)
+      .setInteractive({ useHandCursor: true });
+    row.on('pointerdown', () => {
+      this.selectedId = rosterId;
+      this.statusText.setText('');
+      this.refresh();
+    });
+
+    const left = 35;
+    this.track(this.add.text(left, y - 40, character.name, {
+      fontSize: '18px',
+      color: selected ? '#4ade80' : '#ffffff',
+      fontStyle: 'bold'
+    }));
+    this.track(this.add.text(left, y - 15, `${character.class}  Lv ${entry.level}`, {
+      fontSize: '12px',
+      color: '#94a3b8'
+    }));
+
+    const evasion = getEquipmentEvasion({ equipment: entry.equipment });
+    this.track(this.add.text(left, y + 5, `Evasion ${evasion >= 0 ? '+' : ''}${evasion}`, {
+      fontSize: '12px',
+      color: '#cbd5e1'
+    }));
+
+    // Weapon, armor, then the belt
+    let slotX = 250;
+    for (const slot of EQUIPMENT_SLOTS) {
+      this.createSlot(rosterId, slotX, y, slot.toUpperCase(), entry.equipment[slot]);
+      slotX += SLOT_WIDTH + 10;
+    }
+    for (let i = 0; i < BELT_SIZE; i++) {
+      this.createSlot(rosterId, slotX, y, 'BELT', entry.equipment.belt[i] || null);
+      slotX += SLOT_WIDTH + 10;
+    }
+  }
+
+  /**
+   * One equipment slot; clicking a filled one unequips it
+   */
+  createSlot(rosterId, x, y, label, itemId) {
+    const item = itemId ? getItem(itemId) : null;
+    const box = this.track(this.add.rectangle(x, y + 5, SLOT_WIDTH, 70, 0x1e293b))
+      .setStrokeStyle(1, 0x475569);
+
+    this.track(this.add.text(x, y - 20, label, { fontSize: '10px', color: '#64748b' }).setOrigin(0.5));
+    this.track(this.add.text(x, y + 8, item ? item.name : '—', {
+      fontSize: '13px',
+      color: item ? '#ffffff' : '#475569',
+      align: 'center',
+      wordWrap: { width: SLOT_WIDTH - 10 }
+    }).setOrigin(0.5));
+
+    if (!item) return;
+
+    box.setInteractive({ useHandCursor: true });
+    box.on('pointerover', () => box.setStrokeStyle(1, 0xf87171));
+    box.on('pointerout', () => box.setStrokeStyle(1, 0x475569));
+    box.on('pointerdown', () => this.applyChange(getCampaign().unequipItem(rosterId, itemId)));
+  }
+
+  /**
+   * Inventory grouped by item, with counts; clicking equips on the
+   * selected character
+   */
+  createInventoryList(x, y) {
+    const campaign = getCampaign();
+    const counts = {};
+    for (const itemId of campaign.inventory) counts[itemId] = (counts[itemId] || 0) + 1;
+
+    if (Object.keys(counts).length === 0) {
+      this.track(this.add.text(x, y, 'Nothing to equip', { fontSize: '13px', color: '#64748b' }));
+      return;
+    }
+
+    for (const itemId in counts) {
+      const item = getItem(itemId);
+      if (!item) continue;
+
+      const equippable = EQUIPMENT_SLOTS.includes(item.slot) || item.type === 'consumable';
+      const text = this.track(this.add.text(x, y, `${item.name} ×${counts[itemId]}`, {
+        fontSize: '14px',
+        color: equippable ? '#ffffff' : '#64748b'
+      }));
+      this.track(this.add.text(x, y + 18, item.description, {
+        fontSize: '10px',
+        color: '#94a3b8',
+        wordWrap: { width: 340 }
+      }));
+
+      if (equippable) {
+        text.setInteractive({ useHandCursor: true });
+        text.on('pointerover', () => text.setColor('#4ade80'));
+        text.on('pointerout', () => text.setColor('#ffffff'));
+        text.on('pointerdown', () => {
+          if (this.selectedId) this.applyChange(campaign.equipItem(this.selectedId, itemId));
+        });
+      }
+      y += 48;
+    }
+  }
+
+  applyChange(result) {
+    this.statusText.setText(result.valid ? '' : result.message);
+    this.refresh();
+  }
+}
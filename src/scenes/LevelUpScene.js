@@ -0,0 +1,212 @@
+// src/scenes/LevelUpScene.js
+/**
+ * The Marakatas - Level Up Scene
+ * Shows the characters who levelled up (before and after pools, newly
+ * learned abilities) and lets the player spend their attribute points
+ * Points are only committed to the campaign on Confirm
+ */
+
+import Phaser from 'phaser';
+import { MARAKATAS_ROSTER } from '../data/Character.js';
+import { getAbility, getUnlockedClassAbilities } from '../data/Abilities.js';
+import { ATTRIBUTES, applyProgress, getExperienceToNextLevel } from '../data/Progression.js';
+import { getCampaign } from '../systems/CampaignState.js';
+
+const CARD_WIDTH = 230;
+const CARD_HEIGHT = 520;
+
+export default class LevelUpScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'LevelUp' });
+  }
+
+  init(data) {
+    this.returnTo = (data && data.returnTo) || 'MissionSelect';
+    this.staged = {};  // rosterId -> { attribute: points } not yet committed
+    this.cards = {};   // rosterId -> text objects to refresh
+  }
+
+  create() {
+    const { width, height } = this.cameras.main;
+    const campaign = getCampaign();
+
+    this.add.rectangle(width / 2, height / 2, width, height, 0x1a2e4a).setDepth(-100);
+
+    // Characters with something new; otherwise the whole unlocked party
+    const pending = campaign.getPendingLevelUps().filter(id => campaign.isCharacterUnlocked(id));
+    const rosterIds = pending.length > 0 ? pending : campaign.unlockedCharacters;
+
+    this.add.text(width / 2, 40, pending.length > 0 ? 'LEVEL UP' : 'THE PARTY', {
+      fontSize: '36px',
+      color: '#4ade80',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    const totalWidth = rosterIds.length * (CARD_WIDTH + 15) - 15;
+    let cardX = width / 2 - totalWidth / 2 + CARD_WIDTH / 2;
+    for (const rosterId of rosterIds) {
+      this.staged[rosterId] = {};
+      this.createCard(rosterId, cardX, 80 + CARD_HEIGHT / 2);
+      cardX += CARD_WIDTH + 15;
+    }
+
+    // Confirm: commit the points and move on
+    const confirmButton = this.add.rectangle(width / 2, height - 50, 200, 50, 0x3b82f6)
+      .setInteractive({ useHandCursor: true });
+    this.add.text(width / 2, height - 50, 'CONFIRM', {
+      fontSize: '18px',
+      color: '#ffffff',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    confirmButton.on('pointerover', () => confirmButton.setFillStyle(0x2563eb));
+    confirmButton.on('pointerout', () => confirmButton.setFillStyle(0x3b82f6));
+    confirmButton.on('pointerdown', () => this.confirm(rosterIds));
+  }
+
+  /**
+   * The character as it would be with the staged points spent
+   * (before: as it was before its latest level-ups, nothing staged)
+   */
+  buildCharacter(rosterId, before = false) {
+    const entry = getCampaign().getRosterEntry(rosterId);
+    const attributes = { ...entry.attributes };
+    if (!before) {
+      for (const attribute in this.staged[rosterId]) {
+        attributes[attribute] = (attributes[attribute] || 0) + this.staged[rosterId][attribute];
+      }
+    }
+
+    const level = before && entry.previousLevel !== null ? entry.previousLevel : entry.level;
+    return applyProgress(MARAKATAS_ROSTER[rosterId](), { level, attributes });
+  }
+
+  getStagedTotal(rosterId) {
+    return Object.values(this.staged[rosterId]).reduce((sum, points) => sum + points, 0);
+  }
+
+  createCard(rosterId, x, y) {
+    const entry = getCampaign().getRosterEntry(rosterId);
+    const before = this.buildCharacter(rosterId, true);
+    const top = y - CARD_HEIGHT / 2;
+    const left = x - CARD_WIDTH / 2 + 12;
+
+    this.add.rectangle(x, y, CARD_WIDTH, CARD_HEIGHT, 0x0f172a, 0.95).setStrokeStyle(2, 0x4ade80);
+
+    this.add.text(left, top + 12, before.name, {
+      fontSize: '20px',
+      color: '#4ade80',
+      fontStyle: 'bold'
+    });
+    this.add.text(left, top + 40, before.class, { fontSize: '12px', color: '#94a3b8' });
+
+    const levelLine = entry.previousLevel !== null
+      ? `Level ${entry.previousLevel} → ${entry.level}`
+      : `Level ${entry.level}`;
+    this.add.text(left, top + 60, levelLine, {
+      fontSize: '16px',
+      color: '#fbbf24',
+      fontStyle: 'bold'
+    });
+
+    const needed = getExperienceToNextLevel(entry.level);
+    this.add.text(left, top + 84, needed ? `XP ${entry.experience} / ${needed}` : 'XP max level', {
+      fontSize: '12px',
+      color: '#cbd5e1'
+    });
+
+    const card = { attributes: {}, pools: null, points: null, abilities: null };
+
+    // Attribute rows with -/+ buttons
+    let rowY = top + 120;
+    for (const attribute of ATTRIBUTES) {
+      card.attributes[attribute] = this.add.text(left, rowY, '', { fontSize: '13px', color: '#ffffff' })
+        .setOrigin(0, 0.5);
+      this.createStepButton(x + 55, rowY, '-', () => this.stagePoint(rosterId, attribute, -1));
+      this.createStepButton(x + 85, rowY, '+', () => this.stagePoint(rosterId, attribute, 1));
+      rowY += 30;
+    }
+
+    card.points = this.add.text(left, rowY + 5, '', { fontSize: '13px', color: '#fbbf24' });
+    card.pools = this.add.text(left, rowY + 35, '', { fontSize: '13px', color: '#ffffff', lineSpacing: 6 });
+    card.abilities = this.add.text(left, rowY + 120, '', {
+      fontSize: '12px',
+      color: '#a855f7',
+      wordWrap: { width: CARD_WIDTH - 24 }
+    });
+
+    this.cards[rosterId] = card;
+    this.refreshCard(rosterId);
+  }
+
+  createStepButton(x, y, label, onClick) {
+    const button = this.add.rectangle(x, y, 24, 22, 0x333333)
+      .setStrokeStyle(1, 0x888888)
+      .setInteractive({ useHandCursor: true });
+    this.add.text(x, y, label, { fontSize: '14px', color: '#ffffff', fontStyle: 'bold' }).setOrigin(0.5);
+
+    button.on('pointerover', () => button.setStrokeStyle(1, 0x4ade80));
+    button.on('pointerout', () => button.setStrokeStyle(1, 0x888888));
+    button.on('pointerdown', onClick);
+  }
+
+  /**
+   * Add (delta 1) or take back (delta -1) a staged attribute point
+   */
+  stagePoint(rosterId, attribute, delta) {
+    const entry = getCampaign().getRosterEntry(rosterId);
+    const staged = this.staged[rosterId];
+    const current = staged[attribute] || 0;
+
+    if (delta > 0 && this.getStagedTotal(rosterId) >= entry.attributePoints) return;
+    if (delta < 0 && current === 0) return;
+
+    staged[attribute] = current + delta;
+    this.refreshCard(rosterId);
+  }
+
+  /**
+   * Redraw a card's attributes and before/after pools
+   */
+  refreshCard(rosterId) {
+    const entry = getCampaign().getRosterEntry(rosterId);
+    const card = this.cards[rosterId];
+    const before = this.buildCharacter(rosterId, true);
+    const after = this.buildCharacter(rosterId);
+
+    for (const attribute of ATTRIBUTES) {
+      const staged = this.staged[rosterId][attribute] || 0;
+      card.attributes[attribute].setText(`${attribute.toUpperCase()} ${after[attribute]}${staged ? ` (+${staged})` : ''}`);
+      card.attributes[attribute].setColor(staged ? '#4ade80' : '#ffffff');
+    }
+
+    card.points.setText(`Points to spend: ${entry.attributePoints - this.getStagedTotal(rosterId)}`);
+
+    const poolLine = (label, from, to) => from === to ? `${label} ${to}` : `${label} ${from} → ${to}`;
+    card.pools.setText([
+      poolLine('Prana', before.maxPrana, after.maxPrana),
+      poolLine('Tapas', before.maxTapas, after.maxTapas),
+      poolLine('Maya', before.maxMaya, after.maxMaya)
+    ].join('\n'));
+
+    const known = getUnlockedClassAbilities(before.class, before.level);
+    const learned = getUnlockedClassAbilities(after.class, after.level).filter(id => !known.includes(id));
+    card.abilities.setText(learned.length > 0
+      ? `New: ${learned.map(id => getAbility(id).name).join(', ')}`
+      : '');
+  }
+
+  confirm(rosterIds) {
+    const campaign = getCampaign();
+
+    for (const rosterId of rosterIds) {
+      const result = campaign.spendAttributePoints(rosterId, this.staged[rosterId]);
+      if (!result.valid) console.warn(`${rosterId}: ${result.message}`);
+      campaign.acknowledgeLevelUp(rosterId);
+    }
+
+    const saved = campaign.save();
+    if (!saved.valid) console.warn(saved.message);
+    this.scene.start(this.returnTo);
+  }
+}
@@ -1,4 +1,5 @@
 import Phaser from 'phaser';
+import CampaignState, { useCampaignSlot } from '../systems/CampaignState.js';
 
 export default class MainMenuScene extends Phaser.Scene {
   constructor() {
@@ -21,25 +22,12 @@ export default class MainMenuScene extends Phaser.Scene {
       color: '#888888'
     }).setOrigin(0.5);
 
-    // Start button
-    const startButton = this.add.text(width / 2, height / 2 + 50, 'START CAMPAIGN', {
-  fontSize: '32px',
-  color: '#ffffff',
-  backgroundColor: '#333333',
-  padding: { x: 20, y: 10 }
-}).setOrigin(0.5).setInteractive();
-
-startButton.on('pointerover', () => {
-  startButton.setStyle({ backgroundColor: '#4ade80', color: '#000000' });
-});
-
-startButton.on('pointerout', () => {
-  startButton.setStyle({ backgroundColor: '#333333', color: '#ffffff' });
-});
-
-startButton.on('pointerdown', () => {
-  this.scene.start('MissionSelect'); // Changed from 'GameScene'
-});
+    // One button per save slot: continue its campaign or start a new one
+    let slotY = height / 2 + 40;
+    for (const summary of CampaignState.listSlots()) {
+      this.createSlotButton(summary, width / 2, slotY);
+      slotY += 60;
+    }
 
     // Credits
     this.add.text(width / 2, height - 40, 'Built with Phaser 3 | MIT License', {
@@ -47,4 +35,54 @@ startButton.on('pointerdown', () => {
       color: '#666666'
     }).setOrigin(0.5);
   }
+
+  /**
+   * Button for a save slot (summary from CampaignState.listSlots)
+   */
+  createSlotButton(summary, x, y) {
+    const label = summary.empty
+      ? `SLOT ${summary.slot} - NEW CAMPAIGN`
+      : `SLOT ${summary.slot} - CONTINUE (${summary.cleared} cleared, ${summary.gold} gold)`;
+
+    const slotButton = this.add.text(x, y, label, {
+      fontSize: '22px',
+      color: '#ffffff',
+      backgroundColor: '#333333',
+      padding: { x: 20, y: 10 }
+    }).setOrigin(0.5).setInteractive();
+
+    slotButton.on('pointerover', () => {
+      slotButton.setStyle({ backgroundColor: '#4ade80', color: '#000000' });
+    });
+
+    slotButton.on('pointerout', () => {
+      slotButton.setStyle({ backgroundColor: '#333333', color: '#ffffff' });
+    });
+
+    slotButton.on('pointerdown', () => {
+      useCampaignSlot(summary.slot);
+      this.scene.start('MissionSelect');
+    });
+
+    if (summary.empty) return;
+
+    // Delete the save (click twice to confirm)
+    const deleteButton = this.add.text(x + slotButton.width / 2 + 16, y, 'DELETE', {
+      fontSize: '12px',
+      color: '#f87171',
+      backgroundColor: '#333333',
+      padding: { x: 8, y: 6 }
+    }).setOrigin(0, 0.5).setInteractive();
+
+    let armed = false;
+    deleteButton.on('pointerdown', () => {
+      if (!armed) {
+        armed = true;
+        deleteButton.setText('CONFIRM?');
+        return;
+      }
+      CampaignState.deleteSlot(summary.slot);
+      this.scene.restart();
+    });
+  }
 }
\ No newline at end of file
@@ -13,9 +13,25 @@
 
 import Phaser from 'phaser';
 import IsometricGrid from '../systems/IsometricGrid.js';
+import StealthSystem, { GUARD_STATES } from '../systems/StealthSystem.js';
+import PatrolRoute, { getReachableStep } from '../systems/PatrolRoute.js';
+import { planEnemyTurn, resolveAIType } from '../systems/EnemyAI.js';
 import { AbilitySystem, calculateDistance } from '../systems/AbilitySystem.js';
-import { CharacterStats, SessionCharacter, GameSession, MARAKATAS_ROSTER } from '../data/Character.js';
-import { ABILITY_DATABASE, CLASS_ABILITIES, MISSIONS, getAbility } from '../data/Abilities.js';
+import { CharacterStats, SessionCharacter, GameSession, MARAKATAS_ROSTER, isOpposed } from '../data/Character.js';
+import { ABILITY_DATABASE, getAbility, getUnlockedClassAbilities } from '../data/Abilities.js';
+import { getReactionTrigger, getReadyTriggers } from '../data/ReactionTriggers.js';
+import { getStatusMovement } from '../data/StatusEffects.js';
+import { getEnemyTemplate, createEnemyCharacter } from '../data/Enemies.js';
+import { getDifficulty, scaleEnemy, scaleEnemyCount } from '../data/Difficulty.js';
+import { applyProgress } from '../data/Progression.js';
+import { applyEquipment, getItemAbilities, getItemAbility, getItemAbilityId } from '../data/Items.js';
+import { TURN_SYSTEM_TYPES } from '../data/missions.js';
+import { getMission } from '../systems/MissionLoader.js';
+import MissionManager from '../systems/MissionManager.js';
+import MissionScript from '../systems/MissionScript.js';
+import ReinforcementSchedule from '../systems/ReinforcementSchedule.js';
+import { getCampaign } from '../systems/CampaignState.js';
+import PartyDeployment from '../systems/PartyDeployment.js';
 
 const UI_COLORS = {
   action: 0x4ade80,      // Green
@@ -27,11 +43,23 @@ const UI_COLORS = {
   speed: 0xfbbf24        // Yellow
 };
 
+// Actors shown on the turn order timeline in the top bar
+const TURN_TIMELINE_LENGTH = 8;
+
+// Vision cone tint and name tag icon per guard state (stealth missions)
+const GUARD_STATE_STYLES = {
+  [GUARD_STATES.PATROLLING]: { color: 0xfde047, icon: '' },
+  [GUARD_STATES.SLEEPING]: { color: 0x64748b, icon: ' 💤' },
+  [GUARD_STATES.SUSPICIOUS]: { color: 0xf97316, icon: ' ❓' },
+  [GUARD_STATES.ALERTED]: { color: 0xef4444, icon: ' ❗' }
+};
+
 export default class MissionSceneIsometric extends Phaser.Scene {
     constructor() {
     super({ key: 'MissionSceneIsometric' });
     
     // Combat state
+    this.difficulty = null;       // Difficulty profile (data/Difficulty.js), set in init
     this.combatActive = false;
     this.participants = [];
     this.abilitySystem = null;
@@ -43,12 +71,39 @@ export default class MissionSceneIsometric extends Phaser.Scene {
     this.targetingMode = false;
     this.targetingAbility = null;
     this.movementMode = false;
+    this.readyMode = false;       // The next ability picked is readied, not used
     this.uiCollapsed = false;
+    this.reactionPrompt = null;
+    this.unitMoving = false;      // A unit is walking along its path
+    this.betweenTurns = true;     // One turn has ended and the next not yet begun
+    
+    // Objectives, victory and failure
+    this.missionManager = null;
+    this.campaignUpdate = null;   // What the result changed in the campaign (unlocks etc.)
+    
+    // Scripted story events (combat waits while they play)
+    this.missionScript = null;
+    this.storyQueue = [];         // Story actions waiting to play
+    this.storyPlaying = false;
+    this.afterStory = [];         // Callbacks held until the story queue empties
+    
+    // Reinforcement waves and their spawn-tile markers
+    this.reinforcements = null;
+    this.reinforcementLayer = null;
+    
+    // Stealth missions only
+    this.stealthSystem = null;
+    this.visionLayer = null;
+    this.patrolRoutes = {};  // participantId -> PatrolRoute
+    this.patrolLayer = null;
     
     // Visual elements
     this.participantSprites = {}; // id -> {sprite, shadow, nameText, healthBar, etc}
     this.eventLog = [];
     this.movementHighlight = null;
+    this.pathLayer = null;        // Hovered move path preview
+    this.pathCostText = null;
+    this.hoveredMoveTile = null;
     
     // Grid system
     this.grid = null;
@@ -66,6 +121,8 @@ export default class MissionSceneIsometric extends Phaser.Scene {
   
   init(data) {
     this.missionId = data.missionId || 'merchant_ship_heist';
+    this.difficulty = getDifficulty(data.difficulty);
+    this.deployment = data.deployment || null;  // From the Deployment scene (see systems/PartyDeployment.js)
   }
   
   create() {
@@ -74,15 +131,23 @@ export default class MissionSceneIsometric extends Phaser.Scene {
 
     // Create background (dark ocean/night)
     this.createBackground();
-    this.grid = new IsometricGrid(this, 20, 10, {
+    
+    // Battlefield size and terrain come from the mission's map
+    const missionData = getMission(this.missionId);
+    const map = (missionData && missionData.map) || { width: 20, height: 10 };
+    this.grid = new IsometricGrid(this, map.width, map.height, {
   tileWidth: 64,
   tileHeight: 32,
-  offsetX: width / 2 - ((20 + 10) * 64 / 2) / 2,   // Center horizontally
-  offsetY: height / 2 + ((20 + 10) * 64 / 2) / 8   // Center vertically
+  offsetX: width / 2 - ((map.width + map.height) * 64 / 2) / 2,   // Center horizontally
+  offsetY: height / 2 + ((map.width + map.height) * 64 / 2) / 8   // Center vertically
 });
     
     this.grid.createGrid();
     
+    // Terrain, raised decks, obstacles and props
+    this.grid.applyMap(map);
+    this.placeInteractables(missionData);
+    
     // Initialize game systems
     this.initializeGameSystems();
     
@@ -105,11 +170,17 @@ export default class MissionSceneIsometric extends Phaser.Scene {
   setupInputHandlers() {
     // Mouse button handling
     this.input.on('pointerdown', (pointer) => {
+      // Battlefield input is paused during reaction prompts, story beats and walks
+      if (this.reactionPrompt || this.storyPlaying || this.unitMoving) return;
+      
       if (pointer.rightButtonDown()) {
         this.handleRightClick(pointer);
       } else if (this.movementMode && pointer.leftButtonDown()) {
         // Left-click in move mode
         this.handleMovementClick(pointer);
+      } else if (this.targetingMode && this.targetingAbility?.targetType === 'ground' && pointer.leftButtonDown()) {
+        // Left-click on a tile with a ground-targeted ability
+        this.handleGroundTargetClick(pointer);
       } else if (pointer.middleButtonDown()) {
         // Middle mouse button - start camera drag
         this.startCameraDrag(pointer);
@@ -119,6 +190,8 @@ export default class MissionSceneIsometric extends Phaser.Scene {
     this.input.on('pointermove', (pointer) => {
       if (this.isDragging) {
         this.updateCameraDrag(pointer);
+      } else if (this.movementMode) {
+        this.updateMovePathPreview(pointer);
       }
     });
     
@@ -215,14 +288,15 @@ export default class MissionSceneIsometric extends Phaser.Scene {
     // Check if valid movement destination
     if (!this.grid.isValidTile(gridPos.x, gridPos.y)) return;
     
-    const distance = Math.abs(actor.x - gridPos.x) + Math.abs(actor.y - gridPos.y);
-    if (distance > actor.remainingSpeed) {
-      this.addLog(`⚠️ Out of movement range (${actor.remainingSpeed} remaining)`);
+    if (this.grid.isOccupied(gridPos.x, gridPos.y)) {
+      this.addLog('⚠️ Tile occupied');
       return;
     }
     
-    if (this.grid.isOccupied(gridPos.x, gridPos.y)) {
-      this.addLog('⚠️ Tile occupied');
+    // There must be a route around obstacles and enemies within remaining speed
+    const distance = this.grid.getPathCost(actor.x, actor.y, gridPos.x, gridPos.y, actor.remainingSpeed, actor);
+    if (distance === null) {
+      this.addLog(`⚠️ Out of movement range (${actor.remainingSpeed} remaining)`);
       return;
     }
     
@@ -230,6 +304,23 @@ export default class MissionSceneIsometric extends Phaser.Scene {
     this.moveCharacter(actor, gridPos.x, gridPos.y);
   }
   
+  handleGroundTargetClick(pointer) {
+    const actor = this.gameSession.getCurrentActor();
+    if (!actor || actor.team !== 'player') return;
+    
+    const gridPos = this.grid.screenToGrid(pointer.x, pointer.y);
+    if (gridPos.x < 0 || gridPos.x >= this.grid.gridWidth ||
+        gridPos.y < 0 || gridPos.y >= this.grid.gridHeight) return;
+    
+    this.executeAbility(actor, this.targetingAbility, gridPos);
+    
+    // Clear targeting
+    this.clearEnemyHighlights();
+    this.grid.clearHighlights();
+    this.targetingMode = false;
+    this.selectedAbility = null;
+  }
+  
   handleRightClick(pointer) {
     const actor = this.gameSession.getCurrentActor();
     if (!actor || actor.team !== 'player') return;
@@ -239,14 +330,15 @@ export default class MissionSceneIsometric extends Phaser.Scene {
     // Check if valid movement destination
     if (!this.grid.isValidTile(gridPos.x, gridPos.y)) return;
     
-    const distance = Math.abs(actor.x - gridPos.x) + Math.abs(actor.y - gridPos.y);
-    if (distance > actor.remainingSpeed) {
-      this.addLog(`⚠️ Out of movement range (${actor.remainingSpeed} remaining)`);
+    if (this.grid.isOccupied(gridPos.x, gridPos.y)) {
+      this.addLog('⚠️ Tile occupied');
       return;
     }
     
-    if (this.grid.isOccupied(gridPos.x, gridPos.y)) {
-      this.addLog('⚠️ Tile occupied');
+    // There must be a route around obstacles and enemies within remaining speed
+    const distance = this.grid.getPathCost(actor.x, actor.y, gridPos.x, gridPos.y, actor.remainingSpeed, actor);
+    if (distance === null) {
+      this.addLog(`⚠️ Out of movement range (${actor.remainingSpeed} remaining)`);
       return;
     }
     
@@ -268,69 +360,195 @@ export default class MissionSceneIsometric extends Phaser.Scene {
     waterOverlay.setDepth(-90);
   }
   
+  /**
+   * Put the objects of interact objectives on the grid (e.g. cargo crates)
+   */
+  placeInteractables(missionData) {
+    const objectives = ((missionData && missionData.objectives) || []).filter(o => o.type === 'interact');
+    
+    for (const objective of objectives) {
+      objective.positions.forEach(([x, y], index) => {
+        this.grid.addInteractable(x, y, {
+          id: `${objective.id}_${index}`,
+          objectiveId: objective.id,
+          name: objective.targetName || 'objective'
+        });
+      });
+    }
+    this.grid.renderGrid();
+  }
+  
   initializeGameSystems() {
+    const missionData = getMission(this.missionId) || {};
     this.gameSession = new GameSession(this.missionId, {
-      mapWidth: 20,
-      mapHeight: 10,
-      environmentType: 'ship_deck'
+      mapWidth: this.grid.gridWidth,
+      mapHeight: this.grid.gridHeight,
+      environmentType: missionData.environmentType || 'ship_deck',
+      turnSystem: missionData.turnSystem && missionData.turnSystem.type,
+      rollD20: () => Phaser.Math.Between(1, 20)
     });
     
     this.abilitySystem = new AbilitySystem(this);
     this.abilitySystem.participants = this.participants;
-    this.abilitySystem.abilities = Object.values(ABILITY_DATABASE);
+    this.abilitySystem.abilities = [...Object.values(ABILITY_DATABASE), ...getItemAbilities()];
     this.gameSession.participants = this.participants;
     this.abilitySystem.gameSession = this.gameSession;
+    
+    // Guards, vision cones and the alert meter
+    if (missionData.specialRules && missionData.specialRules.stealth) {
+      this.stealthSystem = new StealthSystem(this.grid, missionData);
+    }
+    
+    // Reinforcement waves, by round or when the alarm goes up
+    const rules = missionData.specialRules || {};
+    this.reinforcements = rules.reinforcements ? new ReinforcementSchedule(missionData) : null;
+    this.reinforcementLayer = null;
+    
+    // Story events from the mission script
+    this.missionScript = missionData.storyEvents ? new MissionScript(missionData) : null;
+    this.storyQueue = [];
+    this.storyPlaying = false;
+    this.afterStory = [];
+    
+    // Objectives decide how the mission ends
+    if (missionData.objectives) {
+      this.missionManager = new MissionManager(this, missionData, { difficulty: this.difficulty.id });
+      
+      this.events.on('objectiveCompleted', (objective) => {
+        this.addLog(`🎯 Objective complete: ${objective.description}`);
+        this.updateObjectivesPanel();
+        this.fireStoryEvent({ type: 'objective_completed', objectiveId: objective.id });
+      });
+      this.events.on('objectiveFailed', (objective, reason) => {
+        const label = objective.required ? '❌ Objective failed' : '⚠️ Bonus objective lost';
+        this.addLog(`${label}: ${objective.description}${reason ? ` (${reason})` : ''}`);
+        this.updateObjectivesPanel();
+      });
+      this.events.once('shutdown', () => {
+        this.events.off('objectiveCompleted');
+        this.events.off('objectiveFailed');
+      });
+    }
   }
   
   createParticipants() {
-    const missionData = MISSIONS[this.missionId];
+    const missionData = getMission(this.missionId);
     if (!missionData) {
       console.error(`Mission ${this.missionId} not found`);
       return;
     }
     
-    // Create player party
-    for (const partyMember of missionData.playerParty) {
-      const character = this.createCharacter(partyMember.character);
+    // Missions with objects to use give the whole party Interact
+    const canInteract = (missionData.objectives || []).some(o => o.type === 'interact');
+    
+    // Create player party (the default line-up if the deployment screen was skipped)
+    this.deployment = this.deployment || new PartyDeployment(missionData, getCampaign()).getDeployment();
+    for (const { rosterId: characterId, x, y } of this.deployment.party) {
+      const character = this.createCharacter(characterId);
       const sessionChar = new SessionCharacter(character, this.missionId, {
-        x: partyMember.startX,
-        y: partyMember.startY,
-        team: 'player'
+        x,
+        y,
+        team: 'player',
+        rosterId: characterId,
+        resourceRegen: this.difficulty.playerRegen
       });
       
-      sessionChar.character.abilities = CLASS_ABILITIES[character.class] || [];
+      sessionChar.character.abilities = [
+        ...getUnlockedClassAbilities(character.class, character.level),
+        ...(canInteract ? ['interact'] : []),
+        ...[...new Set(character.inventory)].filter(itemId => getItemAbility(itemId)).map(getItemAbilityId)
+      ];
       this.participants.push(sessionChar);
     }
     
-    // Create enemies
-    for (const enemyData of missionData.enemies) {
-      const character = new CharacterStats(enemyData.name, {
-        level: enemyData.level,
-        class: enemyData.class,
-        ...enemyData.attributes
+    // Companions in single-character missions fight alongside under AI control
+    for (const { rosterId, x, y } of this.deployment.allies) {
+      this.createAllyParticipant(this.createCharacter(rosterId), rosterId, { x, y }, { behavior: 'ai' });
+    }
+    
+    // Escorted NPCs and the protected unit fight on the party's side
+    for (const npc of missionData.npcs || []) {
+      const character = new CharacterStats(npc.name, {
+        level: npc.level,
+        class: npc.class,
+        ...npc.attributes
       });
+      this.createAllyParticipant(character, npc.id, missionData.startingPositions[npc.id], npc);
+    }
+    
+    const protectedUnit = missionData.protectedUnit;
+    if (protectedUnit) {
+      this.createAllyParticipant(this.createCharacter(protectedUnit.character), protectedUnit.character, protectedUnit, protectedUnit);
+    }
+    
+    // Create enemies (higher difficulties add copies of them)
+    for (const enemyData of scaleEnemyCount(missionData.enemies, this.difficulty.enemyCountMultiplier)) {
+      const position = this.findFreeTileNear(enemyData.x, enemyData.y);
+      if (!position) continue;
       
-      const sessionChar = new SessionCharacter(character, this.missionId, {
-        x: enemyData.startX,
-        y: enemyData.startY,
-        team: 'enemy'
-      });
+      const sessionChar = this.createEnemyParticipant(enemyData, position);
       
-      sessionChar.character.abilities = CLASS_ABILITIES[character.class] || [];
-      this.participants.push(sessionChar);
+      if (enemyData.patrol) {
+        const route = new PatrolRoute(enemyData.patrol);
+        route.syncToPosition(sessionChar.x, sessionChar.y);
+        this.patrolRoutes[sessionChar.id] = route;
+      }
+      
+      if (this.stealthSystem) {
+        this.stealthSystem.registerGuard(sessionChar, {
+          state: enemyData.state,
+          facing: enemyData.facing,
+          detectionRange: enemyData.detectionRange || getEnemyTemplate(enemyData.type).detectionRange
+        });
+      }
     }
   }
   
-  createCharacter(characterId) {
-    const roster = {
-      lachi: () => MARAKATAS_ROSTER.lachi(),
-      kona: () => MARAKATAS_ROSTER.kona(),
-      reddy: () => MARAKATAS_ROSTER.reddy(),
-      gopa: () => MARAKATAS_ROSTER.gopa()
-    };
+  /**
+   * Add an enemy from a mission entry: its template (data/Enemies.js)
+   * with the entry's overrides and the difficulty's bonuses applied
+   */
+  createEnemyParticipant(enemyData, position) {
+    const character = createEnemyCharacter(scaleEnemy(enemyData, this.difficulty));
+    const participant = new SessionCharacter(character, this.missionId, {
+      x: position.x,
+      y: position.y,
+      team: 'enemy',
+      aiType: resolveAIType(enemyData, getEnemyTemplate(enemyData.type), character.class),
+      rosterId: enemyData.id
+    });
+    
+    this.participants.push(participant);
+    return participant;
+  }
+  
+  /**
+   * Add a non-party unit on the player's side (team 'ally')
+   * unitData: the mission's npcs entry or protectedUnit
+   */
+  createAllyParticipant(character, unitId, position, unitData) {
+    const participant = new SessionCharacter(character, this.missionId, {
+      x: position.x,
+      y: position.y,
+      team: 'ally',
+      rosterId: unitId,
+      behavior: unitData.behavior || 'passive',
+      aiType: resolveAIType(unitData, {}, character.class),
+      initialStatus: unitData.initialStatus
+    });
     
-    if (roster[characterId]) {
-      return roster[characterId]();
+    participant.character.abilities = getUnlockedClassAbilities(character.class, character.level);
+    this.participants.push(participant);
+    return participant;
+  }
+  
+  createCharacter(characterId) {
+    if (MARAKATAS_ROSTER[characterId]) {
+      const character = MARAKATAS_ROSTER[characterId]();
+      
+      // Levels, attribute points and gear from the campaign
+      const progress = getCampaign().getRosterEntry(characterId);
+      return progress ? applyEquipment(applyProgress(character, progress), progress.equipment) : character;
     }
     
     return new CharacterStats(characterId, { level: 1, class: 'Yodha' });
@@ -338,90 +556,103 @@ export default class MissionSceneIsometric extends Phaser.Scene {
   
   createCharacterSprites() {
     for (const participant of this.participants) {
-      const screenPos = this.grid.gridToScreen(participant.x, participant.y);
-      const depth = this.grid.calculateDepth(participant.x, participant.y, 'units');
-          const rangeHighlight = this.add.circle(screenPos.x, screenPos.y, 24, 0xff0000, 0)
-  .setStrokeStyle(3, 0xfbbf24, 0.8);  // Gold highlight
-rangeHighlight.setDepth(depth - 0.3);
-rangeHighlight.setVisible(false);
-
-
-      // Shadow (drawn first, under character)
-      const shadow = this.add.ellipse(
-        screenPos.x,
-        screenPos.y + 30,
-        30,
-        12,
-        0x000000,
-        0.3
-      );
-      shadow.setDepth(depth - 0.5);
-      
-      // Character sprite (simple circle for now, replace with actual sprites)
-      const color = participant.team === 'player' ? 0x4ade80 : 0xef4444;
-      const sprite = this.add.circle(screenPos.x, screenPos.y, 18, color)
-        .setStrokeStyle(3, 0xffffff);
-      sprite.setDepth(depth);
-      sprite.setInteractive({ useHandCursor: true });
-      
-      // Character name (above sprite)
-      const nameText = this.add.text(screenPos.x, screenPos.y - 45, participant.character.name, {
-        fontSize: '14px',
-        color: '#ffffff',
-        fontStyle: 'bold',
-        stroke: '#000000',
-        strokeThickness: 3
-      }).setOrigin(0.5);
-      nameText.setDepth(depth + 0.1);
-      
-      // Health bar container (simple bar below name)
-      const healthBarBg = this.add.rectangle(screenPos.x, screenPos.y + 40, 60, 6, 0x1e293b)
-        .setOrigin(0.5, 0.5)
-        .setStrokeStyle(1, 0x475569);
-      healthBarBg.setDepth(depth + 0.1);
-      
-      const healthPercent = participant.getHealthPercent() / 100;
-      const healthBarColor = healthPercent > 0.5 ? 0x4ade80 : 
-                              healthPercent > 0.25 ? 0xfbbf24 : 0xef4444;
-      
-      const healthBar = this.add.rectangle(
-        screenPos.x - 30,
-        screenPos.y + 40,
-        60 * healthPercent,
-        6,
-        healthBarColor
-      ).setOrigin(0, 0.5);
-      healthBar.setDepth(depth + 0.1);
-      
-      // Store references
-      this.participantSprites[participant.id] = {
-        participant,
-        sprite,
-        shadow,
-        nameText,
-        healthBar,
-        healthBarBg,
-        rangeHighlight,
-        screenX: screenPos.x,
-        screenY: screenPos.y
-      };
-      
-      // Click handler
-      sprite.on('pointerdown', () => this.onCharacterClick(participant.id));
-      sprite.on('pointerover', () => this.onCharacterHover(participant.id));
-      sprite.on('pointerout', () => this.onCharacterHoverEnd(participant.id));
-      
-      // Place in grid
-      this.grid.placeUnit(participant, participant.x, participant.y);
+      this.createParticipantSprite(participant);
     }
   }
   
+  /**
+   * Create the sprite group for one participant and place it on the grid
+   */
+  createParticipantSprite(participant) {
+    participant.z = this.grid.getElevation(participant.x, participant.y);
+    const screenPos = this.grid.tileToScreen(participant.x, participant.y);
+    const depth = this.grid.calculateDepth(participant.x, participant.y, 'units');
+    const rangeHighlight = this.add.circle(screenPos.x, screenPos.y, 24, 0xff0000, 0)
+      .setStrokeStyle(3, 0xfbbf24, 0.8);  // Gold highlight
+    rangeHighlight.setDepth(depth - 0.3);
+    rangeHighlight.setVisible(false);
+    
+    // Shadow (drawn first, under character)
+    const shadow = this.add.ellipse(
+      screenPos.x,
+      screenPos.y + 30,
+      30,
+      12,
+      0x000000,
+      0.3
+    );
+    shadow.setDepth(depth - 0.5);
+    
+    // Character sprite (simple circle for now, replace with actual sprites)
+    const color = participant.team === 'player' ? 0x4ade80 :
+                  participant.team === 'ally' ? 0x60a5fa : 0xef4444;
+    const sprite = this.add.circle(screenPos.x, screenPos.y, 18, color)
+      .setStrokeStyle(3, 0xffffff);
+    sprite.setDepth(depth);
+    sprite.setInteractive({ useHandCursor: true });
+    
+    // Character name (above sprite)
+    const nameText = this.add.text(screenPos.x, screenPos.y - 45, participant.character.name, {
+      fontSize: '14px',
+      color: '#ffffff',
+      fontStyle: 'bold',
+      stroke: '#000000',
+      strokeThickness: 3
+    }).setOrigin(0.5);
+    nameText.setDepth(depth + 0.1);
+    
+    // Health bar container (simple bar below name)
+    const healthBarBg = this.add.rectangle(screenPos.x, screenPos.y + 40, 60, 6, 0x1e293b)
+      .setOrigin(0.5, 0.5)
+      .setStrokeStyle(1, 0x475569);
+    healthBarBg.setDepth(depth + 0.1);
+    
+    const healthPercent = participant.getHealthPercent() / 100;
+    const healthBarColor = healthPercent > 0.5 ? 0x4ade80 : 
+                            healthPercent > 0.25 ? 0xfbbf24 : 0xef4444;
+    
+    const healthBar = this.add.rectangle(
+      screenPos.x - 30,
+      screenPos.y + 40,
+      60 * healthPercent,
+      6,
+      healthBarColor
+    ).setOrigin(0, 0.5);
+    healthBar.setDepth(depth + 0.1);
+    
+    // Store references
+    this.participantSprites[participant.id] = {
+      participant,
+      sprite,
+      shadow,
+      nameText,
+      healthBar,
+      healthBarBg,
+      rangeHighlight,
+      screenX: screenPos.x,
+      screenY: screenPos.y
+    };
+    
+    // Click handler
+    sprite.on('pointerdown', () => this.onCharacterClick(participant.id));
+    sprite.on('pointerover', () => this.onCharacterHover(participant.id));
+    sprite.on('pointerout', () => this.onCharacterHoverEnd(participant.id));
+    
+    // Place in grid
+    this.grid.placeUnit(participant, participant.x, participant.y);
+  }
+  
   createUI() {
     const { width, height } = this.cameras.main;
     
     // ===== TOP BAR (Always visible) =====
     this.createTopBar();
     
+    // ===== ALERT METER (Stealth missions) =====
+    if (this.stealthSystem) {
+      this.createAlertMeter();
+    }
+    
     // ===== COMBAT LOG PANEL (NEW - ADD THIS) =====
     this.createCombatLogPanel();  // ← ADD THIS LINE
     
@@ -431,6 +662,11 @@ rangeHighlight.setVisible(false);
     // ===== LEFT PANEL (Actor Stats) =====
     this.createLeftPanel();
     
+    // ===== OBJECTIVES TRACKER (bottom of left panel) =====
+    if (this.missionManager) {
+      this.createObjectivesPanel();
+    }
+    
     // ===== BOTTOM ACTION BAR (Transistor style) =====
     this.createActionBar();
     
@@ -487,6 +723,13 @@ rangeHighlight.setVisible(false);
       fontStyle: 'bold'
     }).setOrigin(0, 0.5).setDepth(301);
     
+    // Difficulty the mission is being played on
+    this.difficultyText = this.add.text(130, 25, this.difficulty.name.toUpperCase(), {
+      fontSize: '12px',
+      color: this.difficulty.color,
+      fontStyle: 'bold'
+    }).setOrigin(0, 0.5).setDepth(301);
+    
     // Current turn indicator
     this.currentTurnText = this.add.text(width / 2, 25, '', {
       fontSize: '18px',
@@ -494,22 +737,65 @@ rangeHighlight.setVisible(false);
       fontStyle: 'bold'
     }).setOrigin(0.5).setDepth(301);
     
-    // End turn button (right side)
+    // Turn order timeline: the next actors, current one first
+    this.turnTimeline = { x: width / 2 + 140, objects: [] };
+    
+    // End turn button (right side); simultaneous turns end the whole party's phase
+    const endsPhase = this.gameSession.turnSystem === TURN_SYSTEM_TYPES.SIMULTANEOUS;
     const endTurnBtn = this.add.rectangle(width - 100, 25, 150, 35, 0x3b82f6)
       .setInteractive({ useHandCursor: true })
       .setDepth(301);
     
-    const endTurnText = this.add.text(width - 100, 25, 'END TURN', {
+    const endTurnText = this.add.text(width - 100, 25, endsPhase ? 'END PHASE' : 'END TURN', {
       fontSize: '14px',
       color: '#ffffff',
       fontStyle: 'bold'
     }).setOrigin(0.5).setDepth(302);
     
-    endTurnBtn.on('pointerdown', () => this.handleEndTurn());
+    endTurnBtn.on('pointerdown', () => this.handleEndTurn({ endPhase: endsPhase }));
     endTurnBtn.on('pointerover', () => endTurnBtn.setFillStyle(0x2563eb));
     endTurnBtn.on('pointerout', () => endTurnBtn.setFillStyle(0x3b82f6));
     
-    this.uiPanels.topBar = { topBar, roundText: this.roundText, currentTurnText: this.currentTurnText };
+    this.uiPanels.topBar = {
+      topBar,
+      roundText: this.roundText,
+      difficultyText: this.difficultyText,
+      currentTurnText: this.currentTurnText
+    };
+  }
+  
+  createAlertMeter() {
+    const barX = 200;
+    const barWidth = 140;
+    
+    const label = this.add.text(barX - 10, 25, 'ALERT', {
+      fontSize: '12px',
+      color: '#94a3b8',
+      fontStyle: 'bold'
+    }).setOrigin(1, 0.5).setDepth(301);
+    
+    const barBg = this.add.rectangle(barX, 25, barWidth, 12, 0x1e293b)
+      .setOrigin(0, 0.5)
+      .setStrokeStyle(1, 0x475569)
+      .setDepth(301);
+    
+    const barFill = this.add.rectangle(barX, 25, 0, 12, 0xfde047)
+      .setOrigin(0, 0.5)
+      .setDepth(302);
+    
+    // Reinforcement threshold tick
+    const reinforcements = this.stealthSystem.reinforcements;
+    if (reinforcements && reinforcements.triggerAt !== undefined) {
+      this.add.rectangle(barX + barWidth * reinforcements.triggerAt / 100, 25, 2, 16, 0xef4444)
+        .setDepth(303);
+    }
+    
+    const valueText = this.add.text(barX + barWidth + 10, 25, '0%', {
+      fontSize: '12px',
+      color: '#ffffff'
+    }).setOrigin(0, 0.5).setDepth(301);
+    
+    this.uiPanels.alertMeter = { label, barBg, barFill, valueText, barWidth };
   }
   
  createLeftPanel() {
@@ -650,6 +936,57 @@ rangeHighlight.setVisible(false);
   };
 }
   
+  createObjectivesPanel() {
+    const panel = this.uiPanels.leftPanel;
+    const objectivesY = 555;
+    
+    const objectivesTitle = this.add.text(panel.expandedX, objectivesY, 'OBJECTIVES', {
+      fontSize: '14px',
+      color: '#fbbf24',
+      fontStyle: 'bold'
+    }).setOrigin(0.5).setDepth(301);
+    
+    const objectivesText = this.add.text(20, objectivesY + 15, '', {
+      fontSize: '11px',
+      color: '#e2e8f0',
+      lineSpacing: 4,
+      wordWrap: { width: 240 }
+    }).setDepth(301);
+    
+    panel.objectivesTitle = objectivesTitle;
+    panel.objectivesText = objectivesText;
+    this.updateObjectivesPanel();
+  }
+  
+  /**
+   * Refresh the objectives tracker from the mission manager
+   */
+  updateObjectivesPanel() {
+    const panel = this.uiPanels.leftPanel;
+    if (!this.missionManager || !panel || !panel.objectivesText) return;
+    
+    const progress = this.missionManager.getMissionProgress();
+    const lines = progress.objectives.map(objective => {
+      const icon = objective.completed ? '✅' : objective.failed ? '❌' : '⬜';
+      const count = objective.type === 'survive' ? ` (${objective.progress}/${objective.turns})` : '';
+      const optional = objective.required ? '' : ' (optional)';
+      return `${icon} ${objective.description}${count}${optional}`;
+    });
+    
+    if (progress.turnLimit) {
+      lines.push(`⏳ Turn limit: ${progress.turnCount}/${progress.turnLimit}`);
+    }
+    
+    // Escorted and protected units' health
+    for (const ally of this.participants.filter(p => p.team === 'ally')) {
+      const state = ally.status !== 'active' ? ' - DOWN'
+        : ally.hasStatusEffect('unconscious') ? ' - unconscious' : '';
+      lines.push(`🛡️ ${ally.character.name}: ${ally.currentPrana}/${ally.character.maxPrana} Prana${state}`);
+    }
+    
+    panel.objectivesText.setText(lines.join('\n'));
+  }
+  
   createRightPanel() {
     const { width, height } = this.cameras.main;
     const panelWidth = 300;
@@ -737,6 +1074,35 @@ rangeHighlight.setVisible(false);
     moveModeBtn.setFillStyle(this.movementMode ? 0x3b82f6 : 0x334155);
   });
   
+  // Delay (left of move) and Ready (right of move)
+  const delayBtn = this.add.rectangle(width / 2 - 170, height - barHeight / 2, 150, 40, 0x334155)
+    .setInteractive({ useHandCursor: true })
+    .setDepth(301);
+  this.add.text(width / 2 - 170, height - barHeight / 2, '⏳ DELAY', {
+    fontSize: '14px',
+    color: '#94a3b8',
+    fontStyle: 'bold'
+  }).setOrigin(0.5).setDepth(302);
+  
+  delayBtn.on('pointerdown', () => this.handleDelay());
+  delayBtn.on('pointerover', () => delayBtn.setFillStyle(0x475569));
+  delayBtn.on('pointerout', () => delayBtn.setFillStyle(0x334155));
+  
+  const readyBtn = this.add.rectangle(width / 2 + 170, height - barHeight / 2, 150, 40, 0x334155)
+    .setInteractive({ useHandCursor: true })
+    .setDepth(301);
+  const readyText = this.add.text(width / 2 + 170, height - barHeight / 2, '🎯 READY', {
+    fontSize: '14px',
+    color: '#94a3b8',
+    fontStyle: 'bold'
+  }).setOrigin(0.5).setDepth(302);
+  
+  readyBtn.on('pointerdown', () => this.setReadyMode(!this.readyMode));
+  readyBtn.on('pointerover', () => readyBtn.setFillStyle(0x475569));
+  readyBtn.on('pointerout', () => {
+    readyBtn.setFillStyle(this.readyMode ? 0x3b82f6 : 0x334155);
+  });
+  
   // Camera controls hint (right side)
   this.add.text(width - 20, height - 30, 'Camera: WASD or Middle Mouse', {
     fontSize: '11px',
@@ -747,7 +1113,9 @@ rangeHighlight.setVisible(false);
   this.uiPanels.actionBar = { 
     bar, 
     moveModeBtn,
-    moveModeText
+    moveModeText,
+    readyBtn,
+    readyText
   };
 }
 
@@ -876,8 +1244,10 @@ toggleLeftPanel() {
     panel.resourceValues,
     panel.actionsTitle,
     panel.actionLabels,
-    panel.actionValues
-  ];
+    panel.actionValues,
+    panel.objectivesTitle,
+    panel.objectivesText
+  ].filter(Boolean);
   
   // Animate panel sliding
   this.tweens.add({
@@ -986,6 +1356,7 @@ toggleCombatLogPanel() {
       // Redraw with new offset
       this.grid.renderGrid();
       this.updateAllSpritePositions();
+      this.renderStealth();
     });
     
     this.uiPanels.viewToggle = { toggleBtn, toggleText };
@@ -1077,7 +1448,7 @@ updateAllSpritePositions() {
   for (const participantId in this.participantSprites) {
     const data = this.participantSprites[participantId];
     const participant = data.participant;
-    const screenPos = this.grid.gridToScreen(participant.x, participant.y);
+    const screenPos = this.grid.tileToScreen(participant.x, participant.y);
     const depth = this.grid.calculateDepth(participant.x, participant.y, 'units');
     
     data.sprite.setPosition(screenPos.x, screenPos.y).setDepth(depth);
@@ -1107,114 +1478,756 @@ updateAllSpritePositions() {
     data.screenX = screenPos.x;
     data.screenY = screenPos.y;
   }
+  
+  this.drawReinforcementMarkers();
 }
 
 
   
   // ==========================================
-  // COMBAT FLOW
+  // STEALTH
   // ==========================================
   
-  startCombat() {
-    this.combatActive = true;
-    this.gameSession.establishTurnOrder();
-    this.gameSession.isActive = true;
-    this.addLog('⚔️ Combat started!');
-    this.startTurn();
+  /**
+   * Let guards look around after something moved or happened,
+   * then redraw cones and the alert meter
+   */
+  updateStealth() {
+    if (!this.stealthSystem) return;
+    
+    this.handleStealthEvents(this.stealthSystem.updateDetection(this.participants));
   }
   
-  startTurn() {
-    const actor = this.gameSession.getCurrentActor();
-    if (!actor) {
-      this.endCombat();
-      return;
+  /**
+   * Log stealth events and call in reinforcements when the alarm goes up
+   */
+  handleStealthEvents(events) {
+    for (const event of events) {
+      this.addLog(event.message);
+      
+      if (event.eventType === 'reinforcements' && this.reinforcements) {
+        this.applyReinforcements(this.reinforcements.raiseAlarm(this.gameSession.round + 1));
+      }
     }
     
-    this.currentActorId = actor.id;
-    actor.reset();
-    
-    this.updateTurnDisplay();
-    this.updateAbilityPanel();
+    this.renderStealth();
+  }
+  
+  /**
+   * Draw guard vision cones, state icons and the alert meter
+   */
+  renderStealth() {
+    if (!this.stealthSystem) return;
     
-    this.addLog(`${actor.character.name}'s turn!`);
+    if (!this.visionLayer) {
+      this.visionLayer = this.add.graphics();
+      this.visionLayer.setDepth(this.grid.depthLayers.gridLines + 0.5);
+    }
+    this.visionLayer.clear();
     
-    // Highlight current actor
-    this.highlightCurrentActor(actor.id);
+    for (const guardId in this.stealthSystem.guards) {
+      const guard = this.stealthSystem.guards[guardId];
+      const style = GUARD_STATE_STYLES[guard.state];
+      const sprites = this.participantSprites[guardId];
+      
+      if (sprites && guard.participant.status === 'active') {
+        sprites.nameText.setText(guard.participant.character.name + style.icon);
+        this.grid.fillTiles(this.visionLayer, this.stealthSystem.getVisionTiles(guardId), style.color, 0.18);
+      }
+    }
     
-    // Enemy AI
-    if (actor.team === 'enemy') {
-      this.time.delayedCall(1000, () => {
-        this.processAITurn(actor);
-      });
+    const meter = this.uiPanels.alertMeter;
+    if (meter) {
+      const percent = this.stealthSystem.getAlertPercent();
+      const color = percent >= 75 ? 0xef4444 : percent >= 40 ? 0xf97316 : 0xfde047;
+      meter.barFill.setSize(meter.barWidth * percent / 100, 12).setFillStyle(color);
+      meter.valueText.setText(`${percent}%`);
     }
   }
   
-  highlightCurrentActor(participantId) {
-    // Remove all highlights
-    for (const id in this.participantSprites) {
-      this.participantSprites[id].sprite.setStrokeStyle(3, 0xffffff);
+  /**
+   * Turn for a guard who hasn't been alerted: sleepers sleep, suspicious
+   * guards investigate what they noticed, patrols walk their route
+   */
+  processUnawareGuardTurn(actor) {
+    const guard = this.stealthSystem.getGuard(actor.id);
+    const route = this.patrolRoutes[actor.id];
+    const endTurn = () => {
+      this.updateStealth();
+      setTimeout(() => this.handleEndTurn(), 800);
+    };
+    
+    if (guard.state === GUARD_STATES.SLEEPING) {
+      this.addLog(`💤 ${actor.character.name} is asleep`);
+      endTurn();
+      return;
     }
     
-    // Highlight current actor
-    const sprites = this.participantSprites[participantId];
-    if (sprites) {
-      sprites.sprite.setStrokeStyle(4, 0xfbbf24);
+    // Investigate: walk toward the disturbance, then look around
+    if (guard.state === GUARD_STATES.SUSPICIOUS && guard.lastSeen) {
+      const { x, y } = guard.lastSeen;
+      const path = this.grid.findPath(actor.x, actor.y, x, y, { mover: actor });
+      const step = path ? getReachableStep(this.grid, actor, path, actor.remainingSpeed) : null;
+      
+      if (step && calculateDistance(actor.x, actor.y, x, y) > 1) {
+        this.addLog(`👀 ${actor.character.name} goes to investigate`);
+        this.stealthSystem.setFacing(actor.id, step.facing.x, step.facing.y);
+        this.moveCharacter(actor, step.x, step.y, endTurn);
+        return;
+      }
+      
+      // Nothing here: sweep the view sideways
+      this.stealthSystem.setFacing(actor.id, -guard.facing.y, guard.facing.x);
+      this.addLog(`👀 ${actor.character.name} looks around (${x}, ${y})`);
+      endTurn();
+      return;
     }
-  }
-  
-  updateTurnDisplay() {
-    const actor = this.gameSession.getCurrentActor();
-    this.roundText.setText(`Round: ${this.gameSession.round}`);
-    this.currentTurnText.setText(`${actor.character.name}'s Turn`);
     
-    // Update left panel with current actor stats
-    this.updateLeftPanel(actor);
+    // Patrol: walk toward the next waypoint, pausing to turn at each corner
+    if (route) {
+      const plan = route.planTurn(actor, this.grid, actor.remainingSpeed);
+      if (plan.facing) {
+        this.stealthSystem.setFacing(actor.id, plan.facing.x, plan.facing.y);
+      }
+      
+      if (plan.destination) {
+        this.moveCharacter(actor, plan.destination.x, plan.destination.y, endTurn);
+        return;
+      }
+      
+      if (plan.reachedWaypoint) {
+        this.addLog(`${actor.character.name} turns at the corner`);
+        endTurn();
+        return;
+      }
+    }
+    
+    this.addLog(`${actor.character.name} keeps watch`);
+    endTurn();
   }
   
-  updateLeftPanel(actor) {
-    if (!actor) return;
-    
-    const panel = this.uiPanels.leftPanel;
-    
-    // Update name
-    panel.actorName.setText(actor.character.name);
-    
-    // Update stats
-    const stats = 
-      `${actor.character.bala} (${actor.character.getModifier(actor.character.bala) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.bala)})\n` +
-      `${actor.character.dakshata} (${actor.character.getModifier(actor.character.dakshata) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.dakshata)})\n` +
-      `${actor.character.dhriti} (${actor.character.getModifier(actor.character.dhriti) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.dhriti)})\n` +
-      `${actor.character.buddhi} (${actor.character.getModifier(actor.character.buddhi) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.buddhi)})\n` +
-      `${actor.character.prajna} (${actor.character.getModifier(actor.character.prajna) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.prajna)})\n` +
-      `${actor.character.samkalpa} (${actor.character.getModifier(actor.character.samkalpa) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.samkalpa)})`;
-    panel.statValues.setText(stats);
+  /**
+   * Faint overlay of an enemy's upcoming patrol lap
+   */
+  showPatrolPath(participant) {
+    const route = this.patrolRoutes[participant.id];
+    if (!route || participant.status !== 'active') return;
+    if (this.stealthSystem && this.stealthSystem.isHostile(participant.id)) return;
     
-    // Update resources
-    const resources =
-      `${actor.currentPrana}/${actor.character.maxPrana}\n` +
-      `${actor.currentTapas}/${actor.character.maxTapas}\n` +
-      `${actor.currentMaya}/${actor.character.maxMaya}\n` +
-      `${actor.remainingSpeed}/6`;
-    panel.resourceValues.setText(resources);
+    if (!this.patrolLayer) {
+      this.patrolLayer = this.add.graphics();
+      this.patrolLayer.setDepth(this.grid.depthLayers.gridLines + 0.6);
+    }
     
-    // Update actions
-    const actions =
-      `${actor.actions}\n` +
-      `${actor.bonusActions}\n` +
-      `${actor.reactions}`;
-    panel.actionValues.setText(actions);
+    this.patrolLayer.clear();
+    this.grid.fillTiles(this.patrolLayer, route.getUpcomingPath(participant, this.grid), 0xe2e8f0, 0.12);
+    this.grid.fillTiles(this.patrolLayer, route.waypoints, 0xe2e8f0, 0.25);
   }
   
-updateAbilityPanel() {
-  const actor = this.gameSession.getCurrentActor();
-  if (!actor || actor.team !== 'player') {
-    for (const btnId in this.abilityButtons) {
-      if (this.abilityButtons[btnId].destroy) {
-        this.abilityButtons[btnId].destroy();
-      }
+  clearPatrolPath() {
+    if (this.patrolLayer) {
+      this.patrolLayer.clear();
     }
-    this.abilityButtons = {};
-    return;
+  }
+  
+  /**
+   * Bring reinforcement waves onto the battlefield
+   * waves: Array<{ units: Array<{ type, x, y }> }>
+   */
+  spawnReinforcements(waves) {
+    for (const wave of waves) {
+      for (const unit of scaleEnemyCount(wave.units, this.difficulty.reinforcementMultiplier)) {
+        this.spawnEnemy(unit);
+      }
+    }
+  }
+  
+  /**
+   * A round has begun: waves due now arrive, waves due next round are announced
+   */
+  startReinforcementRound() {
+    if (!this.reinforcements) return;
+    this.applyReinforcements(this.reinforcements.startRound(this.gameSession.round + 1));
+  }
+  
+  /**
+   * Act on a ReinforcementSchedule result ({ arriving, telegraphed })
+   */
+  applyReinforcements({ arriving, telegraphed }) {
+    if (telegraphed.length > 0) {
+      this.addLog('🚩 Reinforcements sighted - they arrive next round!');
+    }
+    if (arriving.length > 0) {
+      this.addLog('⚔️ Reinforcements have arrived!');
+      this.spawnReinforcements(arriving);
+      this.updateObjectivesPanel();
+    }
+    this.drawReinforcementMarkers();
+  }
+  
+  /**
+   * Pulsing markers on the spawn tiles of announced waves
+   */
+  drawReinforcementMarkers() {
+    if (!this.reinforcements) return;
+    
+    if (!this.reinforcementLayer) {
+      this.reinforcementLayer = this.add.graphics();
+      this.reinforcementLayer.setDepth(this.grid.depthLayers.gridLines + 0.7);
+      this.tweens.add({
+        targets: this.reinforcementLayer,
+        alpha: 0.35,
+        duration: 700,
+        yoyo: true,
+        repeat: -1
+      });
+    }
+    
+    this.reinforcementLayer.clear();
+    this.grid.fillTiles(this.reinforcementLayer, this.reinforcements.getTelegraphedTiles(), 0xef4444, 0.45);
+  }
+  
+  /**
+   * Bring one enemy into the fight mid-mission, on or near its tile
+   * unit: an enemies entry ({ type, x, y, ...overrides })
+   * Returns the new participant, or null if there was no room
+   */
+  spawnEnemy(unit) {
+    const position = this.findFreeTileNear(unit.x, unit.y);
+    if (!position) return null;
+    
+    const participant = this.createEnemyParticipant(unit, position);
+    this.createParticipantSprite(participant);
+    this.gameSession.addToTurnOrder(participant, { midTurn: !this.betweenTurns });
+    this.updateTurnTimeline();
+    
+    if (this.stealthSystem) {
+      this.stealthSystem.registerGuard(participant, {
+        state: GUARD_STATES.ALERTED,
+        detectionRange: unit.detectionRange || getEnemyTemplate(unit.type).detectionRange
+      });
+    }
+    
+    this.addLog(`⚠️ ${participant.character.name} joins the fight at (${position.x}, ${position.y})!`);
+    return participant;
+  }
+  
+  // ==========================================
+  // STORY EVENTS
+  // ==========================================
+  
+  /**
+   * Report a combat event to the mission script and queue whatever it fires
+   * (see MissionScript.trigger for event shapes)
+   */
+  fireStoryEvent(event) {
+    if (!this.missionScript) return;
+    
+    const actions = this.missionScript.trigger(event);
+    if (actions.length === 0) return;
+    
+    this.storyQueue.push(...actions);
+    if (!this.storyPlaying) {
+      this.playNextStoryAction();
+    }
+  }
+  
+  /**
+   * Run a callback now, or once queued story actions have finished
+   */
+  whenStoryIdle(callback) {
+    if (this.storyPlaying) {
+      this.afterStory.push(callback);
+    } else {
+      callback();
+    }
+  }
+  
+  playNextStoryAction() {
+    if (this.storyQueue.length === 0) {
+      this.storyPlaying = false;
+      
+      const waiting = this.afterStory;
+      this.afterStory = [];
+      waiting.forEach(callback => callback());
+      return;
+    }
+    
+    this.storyPlaying = true;
+    this.runStoryAction(this.storyQueue.shift(), () => this.playNextStoryAction());
+  }
+  
+  runStoryAction(action, onDone) {
+    switch (action.type) {
+      case 'dialogue':
+        this.showDialogue(action, onDone);
+        return;
+        
+      case 'spawn':
+        action.units.forEach(unit => this.spawnEnemy(unit));
+        this.checkMissionEnd();
+        break;
+        
+      case 'status':
+        this.applyStoryStatus(action);
+        break;
+        
+      case 'camera':
+        this.panCameraTo(action.x, action.y, onDone);
+        return;
+    }
+    onDone();
+  }
+  
+  /**
+   * Change a unit's condition from a story event
+   * action: { unitId, effect, duration, removeEffect, status }
+   */
+  applyStoryStatus(action) {
+    const participant = this.participants.find(p => p.rosterId === action.unitId);
+    if (!participant) return;
+    
+    if (action.effect) participant.addStatusEffect(action.effect, action.duration || null);
+    if (action.removeEffect) participant.removeStatusEffect(action.removeEffect);
+    if (action.status === 'downed') participant.takeDamage(participant.currentPrana);
+    
+    // Effects that slow or root the unit bite straight away, even mid-turn
+    participant.remainingSpeed = getStatusMovement(participant, participant.remainingSpeed);
+    
+    this.updateAbilityPanel();
+    this.resolveCasualties([participant.id]);
+  }
+  
+  /**
+   * Scroll the battlefield so a tile sits in the middle of the screen
+   */
+  panCameraTo(gridX, gridY, onComplete = null) {
+    const { width, height } = this.cameras.main;
+    const screenPos = this.grid.tileToScreen(gridX, gridY);
+    const total = { x: width / 2 - screenPos.x, y: height / 2 - screenPos.y };
+    const pan = { progress: 0 };
+    let applied = { x: 0, y: 0 };
+    
+    this.tweens.add({
+      targets: pan,
+      progress: 1,
+      duration: 600,
+      ease: 'Sine.easeInOut',
+      onUpdate: () => {
+        const step = {
+          x: total.x * pan.progress - applied.x,
+          y: total.y * pan.progress - applied.y
+        };
+        applied = { x: applied.x + step.x, y: applied.y + step.y };
+        
+        this.cameraOffsetX += step.x;
+        this.cameraOffsetY += step.y;
+        this.grid.offsetX += step.x;
+        this.grid.offsetY += step.y;
+        this.grid.renderGrid();
+        this.updateAllSpritePositions();
+      },
+      onComplete: () => {
+        if (onComplete) onComplete();
+      }
+    });
+  }
+  
+  /**
+   * Story dialogue box: portrait, speaker name and text along the bottom of
+   * the screen; combat waits until the player clicks to continue
+   * action: { text, speaker, unitId, portrait (texture key) }
+   */
+  showDialogue(action, onDone) {
+    const { width, height } = this.cameras.main;
+    const elements = [];
+    
+    const unit = action.unitId ? this.participants.find(p => p.rosterId === action.unitId) : null;
+    const speaker = action.speaker || (unit ? unit.character.name : null);
+    
+    const boxWidth = Math.min(760, width - 80);
+    const boxHeight = 130;
+    const boxX = width / 2;
+    const boxY = height - boxHeight / 2 - 30;
+    const left = boxX - boxWidth / 2;
+    
+    // Dim the battlefield and swallow clicks beneath the dialogue
+    const overlay = this.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.3)
+      .setInteractive({ useHandCursor: true })
+      .setDepth(460);
+    elements.push(overlay);
+    
+    const box = this.add.rectangle(boxX, boxY, boxWidth, boxHeight, 0x0f172a, 0.96)
+      .setStrokeStyle(2, 0xfbbf24)
+      .setDepth(461);
+    elements.push(box);
+    
+    // Portrait: the given texture, else a badge in the speaker's team colour
+    let textLeft = left + 20;
+    if (speaker) {
+      const portraitX = left + 60;
+      if (action.portrait && this.textures.exists(action.portrait)) {
+        elements.push(this.add.image(portraitX, boxY, action.portrait).setDisplaySize(80, 80).setDepth(462));
+      } else {
+        const color = !unit ? 0x94a3b8 : unit.team === 'player' ? 0x4ade80 :
+                      unit.team === 'ally' ? 0x60a5fa : 0xef4444;
+        elements.push(this.add.circle(portraitX, boxY, 38, color).setStrokeStyle(3, 0xffffff).setDepth(462));
+        elements.push(this.add.text(portraitX, boxY, speaker.charAt(0), {
+          fontSize: '32px',
+          color: '#0f172a',
+          fontStyle: 'bold'
+        }).setOrigin(0.5).setDepth(463));
+      }
+      
+      elements.push(this.add.text(left + 115, boxY - boxHeight / 2 + 14, speaker, {
+        fontSize: '16px',
+        color: '#fbbf24',
+        fontStyle: 'bold'
+      }).setDepth(462));
+      textLeft = left + 115;
+    }
+    
+    // Narration (no speaker) is set in italics
+    elements.push(this.add.text(textLeft, boxY - boxHeight / 2 + (speaker ? 40 : 20), action.text, {
+      fontSize: '15px',
+      color: '#e2e8f0',
+      fontStyle: speaker ? 'normal' : 'italic',
+      wordWrap: { width: boxWidth - (textLeft - left) - 20 }
+    }).setDepth(462));
+    
+    elements.push(this.add.text(left + boxWidth - 15, boxY + boxHeight / 2 - 12, 'Click to continue ▸', {
+      fontSize: '11px',
+      color: '#94a3b8'
+    }).setOrigin(1, 1).setDepth(462));
+    
+    this.addLog(speaker ? `💬 ${speaker}: ${action.text}` : `📜 ${action.text}`);
+    
+    overlay.once('pointerdown', () => {
+      for (const element of elements) element.destroy();
+      onDone();
+    });
+  }
+  
+  /**
+   * Nearest walkable, unoccupied tile to a spot (the spot itself if free)
+   */
+  findFreeTileNear(x, y, maxRadius = 3) {
+    for (let radius = 0; radius <= maxRadius; radius++) {
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+          const tileX = x + dx;
+          const tileY = y + dy;
+          if (this.grid.isValidTile(tileX, tileY) && !this.grid.isOccupied(tileX, tileY) &&
+              !this.participants.some(p => p.x === tileX && p.y === tileY)) {
+            return { x: x + dx, y: y + dy };
+          }
+        }
+      }
+    }
+    return null;
+  }
+  
+  // ==========================================
+  // COMBAT FLOW
+  // ==========================================
+  
+  startCombat() {
+    this.combatActive = true;
+    const order = this.gameSession.establishTurnOrder();
+    this.gameSession.isActive = true;
+    this.addLog('⚔️ Combat started!');
+    this.addLog(`🎲 Initiative: ${order.map(p => `${p.character.name} ${p.initiative}`).join(', ')}`);
+    this.betweenTurns = true;
+    this.updateStealth();
+    
+    this.startReinforcementRound();
+    this.fireStoryEvent({ type: 'round', round: this.gameSession.round + 1 });
+    this.whenStoryIdle(() => this.startTurn());
+  }
+  
+  startTurn() {
+    if (!this.combatActive) return;
+    
+    const actor = this.gameSession.getCurrentActor();
+    if (!actor) {
+      this.endCombat();
+      return;
+    }
+    
+    this.currentActorId = actor.id;
+    
+    // Downed units lose their turns until someone gets them back up
+    if (actor.status === 'downed') {
+      this.handleEndTurn();
+      return;
+    }
+    
+    this.betweenTurns = false;
+    
+    // With initiative the actor resets now (unless it delayed and its turn
+    // already began); in team phases a side's units all reset when its first
+    // phase of the round begins
+    const phaseSide = this.gameSession.isTeamPhased() ? this.gameSession.sideStarting : null;
+    this.gameSession.sideStarting = null;
+    const resetUnits = !this.gameSession.isTeamPhased()
+      ? (this.gameSession.hasDelayed(actor.id) ? [] : [actor])
+      : phaseSide ? this.participants.filter(p => this.gameSession.getSide(p) === phaseSide && p.status !== 'downed')
+      : [];
+    const ticks = resetUnits.map(unit => ({ unit, tickEvents: unit.reset() }));
+    
+    this.updateTurnDisplay();
+    this.updateAbilityPanel();
+    
+    if (phaseSide) this.addLog(phaseSide === 'party' ? '🟢 Party phase' : '🔴 Enemy phase');
+    this.addLog(`${actor.character.name}'s turn!`);
+    
+    // Status effect ticks (poison etc.)
+    const ticked = ticks.filter(({ tickEvents }) => tickEvents.length > 0);
+    for (const { unit, tickEvents } of ticked) {
+      for (const event of tickEvents) {
+        this.addLog(event.message);
+      }
+      this.fireStoryEvent({ type: 'hp_changed', unit });
+      if (unit.status === 'downed') this.handleCharacterDeath(unit);
+    }
+    if (ticked.length > 0) {
+      this.updateHealthBars();
+      if (actor.status === 'downed') {
+        this.time.delayedCall(500, () => this.handleEndTurn());
+        return;
+      }
+    }
+    
+    // Highlight current actor
+    this.highlightCurrentActor(actor.id);
+    
+    // Enemy AI
+    if (actor.team === 'enemy') {
+      this.time.delayedCall(1000, () => {
+        this.whenStoryIdle(() => this.processAITurn(actor));
+      });
+    } else if (actor.team === 'ally') {
+      this.time.delayedCall(1000, () => {
+        this.whenStoryIdle(() => this.processAllyTurn(actor));
+      });
+    }
+  }
+  
+  /**
+   * Team phases: switch control to another party member still to act
+   * (each keeps their own actions and movement)
+   */
+  switchActor(participantId) {
+    const current = this.gameSession.getCurrentActor();
+    const target = this.participants.find(p => p.id === participantId);
+    if (!current || current.team !== 'player' || !target || target.team !== 'player' || target === current) return;
+    if (this.unitMoving || this.reactionPrompt || this.betweenTurns) return;
+    
+    const result = this.gameSession.selectActor(participantId);
+    if (!result.valid) {
+      this.addLog(`❌ ${result.message}`);
+      return;
+    }
+    
+    if (this.readyMode) this.setReadyMode(false);
+    this.clearEnemyHighlights();
+    this.grid.clearHighlights();
+    this.currentActorId = participantId;
+    this.updateTurnDisplay();
+    this.updateAbilityPanel();
+    this.highlightCurrentActor(participantId);
+    this.addLog(`${target.character.name} takes over.`);
+  }
+  
+  /**
+   * The current party member waits: it acts later this round and the next
+   * unit's turn starts now
+   */
+  handleDelay() {
+    const actor = this.gameSession.getCurrentActor();
+    if (!actor || actor.team !== 'player') return;
+    if (this.unitMoving || this.reactionPrompt || this.betweenTurns || this.storyPlaying) return;
+    
+    const result = this.gameSession.delayTurn();
+    if (!result.valid) {
+      this.addLog(`❌ ${result.message}`);
+      return;
+    }
+    
+    if (this.movementMode) this.toggleMoveMode();
+    if (this.readyMode) this.setReadyMode(false);
+    this.clearEnemyHighlights();
+    this.grid.clearHighlights();
+    this.targetingMode = false;
+    this.selectedAbility = null;
+    
+    this.addLog(`⏳ ${actor.character.name} delays`);
+    this.startTurn();
+  }
+  
+  /**
+   * Ready mode: the next ability picked is readied against a trigger
+   * instead of used
+   */
+  setReadyMode(on) {
+    const actor = this.gameSession.getCurrentActor();
+    if (on && (!actor || actor.team !== 'player' || this.betweenTurns)) return;
+    
+    this.readyMode = on;
+    const { readyBtn, readyText } = this.uiPanels.actionBar;
+    readyBtn.setFillStyle(on ? 0x3b82f6 : 0x334155);
+    readyText.setColor(on ? '#ffffff' : '#94a3b8');
+    
+    if (on) {
+      if (this.movementMode) this.toggleMoveMode();
+      this.clearEnemyHighlights();
+      this.grid.clearHighlights();
+      this.targetingMode = false;
+      this.selectedAbility = null;
+      this.addLog('Choose an action to ready...');
+    }
+    this.updateAbilityPanel();
+  }
+  
+  /**
+   * Ask what a readied ability waits for, then ready it
+   */
+  chooseReadyTrigger(actor, ability) {
+    const triggers = getReadyTriggers();
+    const prompt = {
+      title: `🎯 READY: ${ability.name}`,
+      message: 'Fire it when...',
+      passLabel: 'Cancel',
+      options: triggers.map((trigger, index) => ({ index, label: trigger.description }))
+    };
+    
+    this.showReactionPrompt(prompt, (choice) => {
+      this.setReadyMode(false);
+      if (choice === null) return;
+      
+      const result = this.abilitySystem.readyAction(actor.id, ability.id, triggers[choice].id);
+      this.applyAbilityResult(result);
+    });
+  }
+  
+  highlightCurrentActor(participantId) {
+    // Remove all highlights
+    for (const id in this.participantSprites) {
+      this.participantSprites[id].sprite.setStrokeStyle(3, 0xffffff);
+    }
+    
+    // Highlight current actor
+    const sprites = this.participantSprites[participantId];
+    if (sprites) {
+      sprites.sprite.setStrokeStyle(4, 0xfbbf24);
+    }
+  }
+  
+  updateTurnDisplay() {
+    const actor = this.gameSession.getCurrentActor();
+    this.roundText.setText(`Round: ${this.gameSession.round + 1}`);
+    if (this.gameSession.isTeamPhased()) {
+      const phase = this.gameSession.activeSide === 'party' ? 'Party Phase' : 'Enemy Phase';
+      this.currentTurnText.setText(`${phase}: ${actor.character.name}`);
+    } else {
+      this.currentTurnText.setText(`${actor.character.name}'s Turn`);
+    }
+    this.updateTurnTimeline();
+    
+    // Update left panel with current actor stats
+    this.updateLeftPanel(actor);
+  }
+  
+  /**
+   * Redraw the turn order timeline: the next TURN_TIMELINE_LENGTH actors
+   * (downed units left out), with a divider where the next round starts
+   */
+  updateTurnTimeline() {
+    const timeline = this.turnTimeline;
+    if (!timeline || !this.gameSession) return;
+    
+    for (const object of timeline.objects) object.destroy();
+    timeline.objects = [];
+    
+    let x = timeline.x;
+    let previousRound = null;
+    for (const { participant, round } of this.gameSession.getUpcomingTurns(TURN_TIMELINE_LENGTH)) {
+      if (previousRound !== null && round !== previousRound) {
+        timeline.objects.push(this.add.rectangle(x - 2, 25, 2, 36, 0x64748b).setDepth(301));
+        x += 8;
+      }
+      const isCurrent = previousRound === null;
+      previousRound = round;
+      
+      const color = participant.team === 'player' ? 0x4ade80 :
+                    participant.team === 'ally' ? 0x60a5fa : 0xef4444;
+      const portrait = this.add.circle(x + 15, 21, 14, color)
+        .setStrokeStyle(isCurrent ? 3 : 1, isCurrent ? 0xfbbf24 : 0xffffff)
+        .setDepth(301)
+        .setInteractive({ useHandCursor: true });
+      portrait.on('pointerover', () => this.onCharacterHover(participant.id));
+      portrait.on('pointerout', () => this.onCharacterHoverEnd(participant.id));
+      
+      const initials = this.add.text(x + 15, 21, participant.character.name.slice(0, 2), {
+        fontSize: '11px',
+        color: '#0f172a',
+        fontStyle: 'bold'
+      }).setOrigin(0.5).setDepth(302);
+      const initiative = this.add.text(x + 15, 43, `${participant.initiative}`, {
+        fontSize: '9px',
+        color: '#94a3b8'
+      }).setOrigin(0.5).setDepth(302);
+      
+      timeline.objects.push(portrait, initials, initiative);
+      x += 36;
+    }
+  }
+  
+  updateLeftPanel(actor) {
+    if (!actor) return;
+    
+    const panel = this.uiPanels.leftPanel;
+    
+    // Update name
+    panel.actorName.setText(actor.character.name);
+    
+    // Update stats
+    const stats = 
+      `${actor.character.bala} (${actor.character.getModifier(actor.character.bala) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.bala)})\n` +
+      `${actor.character.dakshata} (${actor.character.getModifier(actor.character.dakshata) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.dakshata)})\n` +
+      `${actor.character.dhriti} (${actor.character.getModifier(actor.character.dhriti) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.dhriti)})\n` +
+      `${actor.character.buddhi} (${actor.character.getModifier(actor.character.buddhi) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.buddhi)})\n` +
+      `${actor.character.prajna} (${actor.character.getModifier(actor.character.prajna) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.prajna)})\n` +
+      `${actor.character.samkalpa} (${actor.character.getModifier(actor.character.samkalpa) >= 0 ? '+' : ''}${actor.character.getModifier(actor.character.samkalpa)})`;
+    panel.statValues.setText(stats);
+    
+    // Update resources
+    const resources =
+      `${actor.currentPrana}/${actor.character.maxPrana}\n` +
+      `${actor.currentTapas}/${actor.character.maxTapas}\n` +
+      `${actor.currentMaya}/${actor.character.maxMaya}\n` +
+      `${actor.remainingSpeed}/6`;
+    panel.resourceValues.setText(resources);
+    
+    // Update actions
+    const actions =
+      `${actor.actions}\n` +
+      `${actor.bonusActions}\n` +
+      `${actor.reactions}`;
+    panel.actionValues.setText(actions);
+  }
+  
+updateAbilityPanel() {
+  const actor = this.gameSession.getCurrentActor();
+  if (!actor || actor.team !== 'player') {
+    for (const btnId in this.abilityButtons) {
+      if (this.abilityButtons[btnId].destroy) {
+        this.abilityButtons[btnId].destroy();
+      }
+    }
+    this.abilityButtons = {};
+    return;
   }
   
   const abilities = actor.character.abilities.map(id => getAbility(id)).filter(a => a);
@@ -1234,7 +2247,13 @@ updateAbilityPanel() {
     const btnHeight = 50;
     
     // FIXED: Check if ability is usable
-    const validation = this.abilitySystem.validateAbilityUse(actor, ability);
+    // Reactions only fire from their trigger, never from the action bar
+    const trigger = ability.actionType === 'reaction' ? getReactionTrigger(ability.reactionTrigger) : null;
+    const validation = ability.actionType === 'reaction'
+      ? { valid: false, message: `Reaction: ${trigger ? trigger.description : 'triggers automatically'}` }
+      : this.readyMode && ability.actionType !== 'action'
+        ? { valid: false, message: 'Only actions can be readied' }
+        : this.abilitySystem.validateAbilityUse(actor, ability);
     const isEnabled = validation.valid;
     
     // Button background (grayed if disabled)
@@ -1260,8 +2279,9 @@ updateAbilityPanel() {
       panelX + btnWidth/2 - 3, y, 6, btnHeight - 4, resourceColor
     ).setDepth(302).setAlpha(isEnabled ? 1 : 0.4);
     
-    // Ability name
-    const nameText = this.add.text(panelX - 80, y - 10, ability.name, {
+    // Ability name (consumables show how many are left)
+    const itemCount = ability.itemId ? actor.character.inventory.filter(id => id === ability.itemId).length : 0;
+    const nameText = this.add.text(panelX - 80, y - 10, ability.itemId ? `${ability.name} ×${itemCount}` : ability.name, {
       fontSize: '14px',
       color: isEnabled ? '#ffffff' : '#64748b',  // Gray text when disabled
       fontStyle: 'bold'
@@ -1287,7 +2307,7 @@ updateAbilityPanel() {
     }
     
     // Range indicator
-    const rangeText = this.add.text(panelX + 90, y + 10, `⭘ ${ability.range}`, {
+    const rangeText = this.add.text(panelX + 90, y + 10, `⭘ ${this.abilitySystem.getAbilityRange(actor, ability)}`, {
       fontSize: '9px',
       color: isEnabled ? '#64748b' : '#334155'
     }).setOrigin(1, 0.5).setDepth(302);
@@ -1408,15 +2428,27 @@ getResourceCostLabel(resourceType, cost) {
     this.toggleMoveMode();
   }
   
+  const actor = this.gameSession.getCurrentActor();
+  
+  if (this.readyMode) {
+    this.chooseReadyTrigger(actor, ability);
+    return;
+  }
+  
+  // Self-targeted abilities resolve immediately
+  if (ability.targetType === 'self') {
+    this.executeAbility(actor, ability, actor);
+    return;
+  }
+  
   this.selectedAbility = ability;
   this.targetingMode = true;
   this.targetingAbility = ability;
   
-  const actor = this.gameSession.getCurrentActor();
   this.addLog(`Select target for ${ability.name}...`);
   
   // Show range including potential movement
-  const maxRange = ability.range + actor.remainingSpeed;
+  const maxRange = this.abilitySystem.getAbilityRange(actor, ability) + actor.remainingSpeed;
   const validMoves = this.grid.calculateMovementRange(actor.x, actor.y, maxRange, true);
   this.grid.highlightTiles(validMoves, 0x3b82f6, 0.3);
   
@@ -1434,21 +2466,18 @@ highlightEnemiesInRange(actor, ability) {
   
   // Find all enemy targets
   const enemies = this.participants.filter(p => 
-    p.team !== actor.team && 
+    isOpposed(actor, p) && 
     p.status === 'active'
   );
   
   // Check each enemy
   for (const enemy of enemies) {
-    const distance = calculateDistance(actor.x, actor.y, enemy.x, enemy.y);
     const sprites = this.participantSprites[enemy.id];
     
     if (!sprites || !sprites.rangeHighlight) continue;
     
-    // Highlight if in range (including potential movement)
-    const maxRange = ability.range + actor.remainingSpeed;
-    
-    if (distance <= maxRange) {
+    // Highlight if attackable from here or after moving (range and line of sight)
+    if (this.canReachAndAttack(actor, ability, enemy).canAttack) {
       sprites.rangeHighlight.setVisible(true);
       
       // Pulse animation for highlighted enemies
@@ -1485,8 +2514,8 @@ clearEnemyHighlights() {
 canReachAndAttack(actor, ability, target) {
   const distance = calculateDistance(actor.x, actor.y, target.x, target.y);
   
-  // Already in range - attack directly
-  if (distance <= ability.range) {
+  // Already in range with a clear line of sight - attack directly
+  if (this.abilitySystem.validateTargeting(actor, ability, { participantId: target.id }).valid) {
     return {
       canAttack: true,
       needsMovement: false,
@@ -1495,7 +2524,7 @@ canReachAndAttack(actor, ability, target) {
   }
   
   // Out of range - check if we can move closer
-  const requiredDistance = distance - ability.range;
+  const requiredDistance = distance - this.abilitySystem.getAbilityRange(actor, ability);
   
   if (requiredDistance > actor.remainingSpeed) {
     return {
@@ -1506,7 +2535,7 @@ canReachAndAttack(actor, ability, target) {
   }
   
   // Calculate closest valid attack position
-  const closestPosition = this.findClosestAttackPosition(actor, target, ability.range);
+  const closestPosition = this.findClosestAttackPosition(actor, target, ability);
   
   if (!closestPosition) {
     return {
@@ -1523,34 +2552,80 @@ canReachAndAttack(actor, ability, target) {
   };
 }
 
-findClosestAttackPosition(actor, target, attackRange) {
+findClosestAttackPosition(actor, target, ability) {
   const validPositions = [];
   
-  // Check all tiles within movement range
-  for (let dx = -actor.remainingSpeed; dx <= actor.remainingSpeed; dx++) {
-    for (let dy = -actor.remainingSpeed; dy <= actor.remainingSpeed; dy++) {
-      const newX = actor.x + dx;
-      const newY = actor.y + dy;
-      
-      // Check if position is valid
-      if (!this.grid.isValidTile(newX, newY)) continue;
-      if (this.grid.isOccupied(newX, newY)) continue;
-      
-      // Check if this position would be in attack range
-      const distanceToTarget = calculateDistance(newX, newY, target.x, target.y);
-      if (distanceToTarget <= attackRange) {
-        const moveDistance = Math.abs(dx) + Math.abs(dy); // Manhattan distance
-        validPositions.push({ x: newX, y: newY, distance: moveDistance });
-      }
+  // Check all reachable, unoccupied tiles (dist is the speed needed to get there)
+  const reachable = this.grid.calculateMovementRange(actor.x, actor.y, actor.remainingSpeed, false, actor);
+  
+  for (const tile of reachable) {
+    if (tile.x === actor.x && tile.y === actor.y) continue;
+    
+    // Check if this position would be in attack range with line of sight
+    const origin = { x: tile.x, y: tile.y, z: this.grid.getElevation(tile.x, tile.y) };
+    if (this.abilitySystem.validateTargeting(actor, ability, { participantId: target.id }, origin).valid) {
+      validPositions.push({ x: tile.x, y: tile.y, distance: tile.dist });
+    }
+  }
+  
+  // Sort by shortest movement distance
+  validPositions.sort((a, b) => a.distance - b.distance);
+  
+  return validPositions.length > 0 ? validPositions[0] : null;
+}
+
+  /**
+   * Draw the exact route to the hovered tile while in move mode
+   */
+  updateMovePathPreview(pointer) {
+    const actor = this.gameSession.getCurrentActor();
+    if (!actor || actor.team !== 'player' || this.unitMoving) return;
+    
+    const gridPos = this.grid.screenToGrid(pointer.x, pointer.y);
+    const key = `${gridPos.x},${gridPos.y}`;
+    if (key === this.hoveredMoveTile) return;
+    this.hoveredMoveTile = key;
+    
+    const path = this.grid.isOccupied(gridPos.x, gridPos.y)
+      ? null
+      : this.grid.findPath(actor.x, actor.y, gridPos.x, gridPos.y, { mover: actor, maxDistance: actor.remainingSpeed });
+    
+    if (!path || path.length === 0) {
+      this.clearMovePathPreview(false);
+      return;
+    }
+    
+    if (!this.pathLayer) {
+      this.pathLayer = this.add.graphics();
+      this.pathLayer.setDepth(this.grid.depthLayers.gridLines + 0.7);
+      this.pathCostText = this.add.text(0, 0, '', {
+        fontSize: '12px',
+        color: '#ffffff',
+        backgroundColor: '#1e293b',
+        padding: { x: 4, y: 2 }
+      }).setOrigin(0.5).setDepth(this.grid.depthLayers.gridLines + 0.8);
     }
+    
+    this.pathLayer.clear();
+    this.grid.fillTiles(this.pathLayer, path, 0xfacc15, 0.25);
+    
+    // Line through tile centres, starting from the actor
+    const points = [{ x: actor.x, y: actor.y }, ...path].map(step => this.grid.tileToScreen(step.x, step.y));
+    this.pathLayer.lineStyle(3, 0xfacc15, 0.9);
+    this.pathLayer.strokePoints(points);
+    
+    const end = points[points.length - 1];
+    const cost = path[path.length - 1].cost;
+    const stopped = this.grid.isInZoneOfControl(gridPos.x, gridPos.y, actor) ? ' ⚔' : '';
+    this.pathCostText.setText(`${cost}/${actor.remainingSpeed}${stopped}`).setPosition(end.x, end.y - 24).setVisible(true);
   }
   
-  // Sort by shortest movement distance
-  validPositions.sort((a, b) => a.distance - b.distance);
+  clearMovePathPreview(forget = true) {
+    if (forget) this.hoveredMoveTile = null;
+    if (this.pathLayer) this.pathLayer.clear();
+    if (this.pathCostText) this.pathCostText.setVisible(false);
+  }
   
-  return validPositions.length > 0 ? validPositions[0] : null;
-}
-
   toggleMoveMode() {
     this.clearEnemyHighlights();
     this.movementMode = !this.movementMode;
@@ -1572,7 +2647,8 @@ findClosestAttackPosition(actor, target, attackRange) {
           actor.x, 
           actor.y, 
           actor.remainingSpeed,
-          false
+          false,
+          actor
         );
         this.grid.highlightTiles(validMoves, 0x4ade80, 0.3);
         this.addLog(`Click a tile to move (${actor.remainingSpeed} movement remaining)`);
@@ -1582,66 +2658,184 @@ findClosestAttackPosition(actor, target, attackRange) {
       moveModeBtn.setFillStyle(0x334155);
       moveModeText.setColor('#94a3b8');
       this.grid.clearHighlights();
+      this.clearMovePathPreview();
     }
   }
   
-moveCharacter(participant, newX, newY) {
-  const oldX = participant.x;
-  const oldY = participant.y;
-  const distance = Math.abs(newX - oldX) + Math.abs(newY - oldY);
+/**
+ * Move a participant along its route one tile at a time, giving opponents
+ * a chance to react before each step (so leaving reach mid-route counts)
+ * and setting off readied actions after each one
+ * onComplete(moved) runs once the move ends (moved: false if a reaction
+ * downed the mover on the way; it stays on the last tile it reached)
+ */
+moveCharacter(participant, newX, newY, onComplete = null) {
+  const path = this.findMovePath(participant, newX, newY);
+  let spent = 0;
   
-  participant.moveTo(newX, newY);
-  participant.spendResource('speed', distance);
-  this.grid.moveUnit(participant.id, newX, newY);
+  if (this.movementMode) {
+    this.toggleMoveMode();
+  }
+  this.unitMoving = true;
   
-  const sprites = this.participantSprites[participant.id];
-  if (sprites) {
-    const screenPos = this.grid.gridToScreen(newX, newY);
-    const newDepth = this.grid.calculateDepth(newX, newY, 'units');
+  const walk = (index) => {
+    const step = path[index];
+    if (!step) {
+      this.finishMove(participant, true, onComplete);
+      return;
+    }
     
-    // Animate ALL elements together in ONE tween
-    this.tweens.add({
-targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg, sprites.healthBar, sprites.rangeHighlight],
-
-      x: (target) => {
-        if (target === sprites.healthBar) {
-          // Health bar needs special X calculation (left edge of bar)
-          return screenPos.x - 30;
-        }
-        return screenPos.x;
-      },
-      y: (target) => {
-        if (target === sprites.shadow) return screenPos.y + 30;
-        if (target === sprites.nameText) return screenPos.y - 45;
-        if (target === sprites.healthBarBg) return screenPos.y + 40;
-        if (target === sprites.healthBar) return screenPos.y + 40;
-        if (target === sprites.rangeHighlight) return screenPos.y;
-        return screenPos.y;
-      },
-      duration: 300,
-      ease: 'Power2',
-      onUpdate: () => {
-        // Update depths during movement
-        sprites.sprite.setDepth(newDepth);
-        sprites.shadow.setDepth(newDepth - 0.5);
-        sprites.nameText.setDepth(newDepth + 0.1);
-        sprites.healthBarBg.setDepth(newDepth + 0.1);
-        sprites.healthBar.setDepth(newDepth + 0.1);
-      },
-      onComplete: () => {
-        sprites.screenX = screenPos.x;
-        sprites.screenY = screenPos.y;
-        
-        // Recreate health bar at final position to ensure correct rendering
-        this.updateHealthBars();
+    const reactionResult = this.abilitySystem.checkMovementReactions(participant.id, step);
+    this.handleReactionResult(reactionResult, (result) => {
+      this.logResultEvents(result);
+      this.resolveCasualties(result.affectedParticipants);
+      
+      if (participant.status !== 'active') {
+        this.finishMove(participant, false, onComplete);
+        return;
       }
+      
+      const from = { x: participant.x, y: participant.y };
+      const cost = step.cost - spent;
+      spent = step.cost;
+      this.performStep(participant, step, cost, () => {
+        // Readied actions waiting for someone to come close
+        this.handleReactionResult(this.abilitySystem.checkArrivalReactions(participant.id, from), (arrival) => {
+          this.logResultEvents(arrival);
+          this.syncUnitPositions(arrival.affectedParticipants);
+          this.resolveCasualties(arrival.affectedParticipants);
+          
+          if (participant.status !== 'active') {
+            this.finishMove(participant, false, onComplete);
+          } else if (participant.x !== step.x || participant.y !== step.y) {
+            // Pushed off the route: the move ends where it landed
+            this.finishMove(participant, true, onComplete);
+          } else {
+            walk(index + 1);
+          }
+        });
+      });
     });
+  };
+  
+  walk(0);
+}
+
+/**
+ * Cheapest legal route to a tile (steps as returned by IsometricGrid.findPath)
+ */
+findMovePath(participant, newX, newY) {
+  const path = this.grid.findPath(participant.x, participant.y, newX, newY, { mover: participant });
+  if (path && path.length > 0) return path;
+  return [{ x: newX, y: newY, cost: calculateDistance(participant.x, participant.y, newX, newY) }];
+}
+
+/**
+ * Take one step of a route, spending its terrain and climbing cost
+ * onArrive runs when the step's animation finishes
+ */
+performStep(participant, step, cost, onArrive = null) {
+  participant.moveTo(step.x, step.y, this.grid.getElevation(step.x, step.y));
+  participant.spendResource('speed', Math.min(cost, participant.remainingSpeed));
+  this.grid.moveUnit(participant.id, step.x, step.y);
+  
+  this.tweenUnitTo(participant, step.x, step.y, 140, 'Linear', onArrive);
+}
+
+/**
+ * Wrap up a move, wherever it ended
+ */
+finishMove(participant, moved, onComplete = null) {
+  this.unitMoving = false;
+  // Recreate health bar at final position to ensure correct rendering
+  this.updateHealthBars();
+  
+  this.updateStealth();
+  
+  if (!moved) {
+    if (onComplete) onComplete(false);
+    return;
   }
   
-  this.addLog(`${participant.character.name} moved to (${newX}, ${newY})`);
+  this.addLog(`${participant.character.name} moved to (${participant.x}, ${participant.y})`);
   
-  if (this.movementMode) {
-    this.toggleMoveMode();
+  // Arriving can set off a story event; the mover waits for it to play
+  this.fireStoryEvent({ type: 'tile_entered', unit: participant });
+  this.whenStoryIdle(() => {
+    if (onComplete) onComplete(true);
+  });
+}
+
+/**
+ * Tween a participant's sprite group to its current grid position
+ */
+animateUnitTo(participant) {
+  this.tweenUnitTo(participant, participant.x, participant.y, 300, 'Power2', () => this.updateHealthBars());
+}
+
+/**
+ * Tween a participant's sprite group to a grid position
+ */
+tweenUnitTo(participant, newX, newY, duration, ease, onComplete = null) {
+  const sprites = this.participantSprites[participant.id];
+  if (!sprites) {
+    if (onComplete) onComplete();
+    return;
+  }
+  
+  const screenPos = this.grid.tileToScreen(newX, newY);
+  const newDepth = this.grid.calculateDepth(newX, newY, 'units');
+  
+  // Animate ALL elements together in ONE tween
+  this.tweens.add({
+    targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg, sprites.healthBar, sprites.rangeHighlight],
+    x: (target) => {
+      if (target === sprites.healthBar) {
+        // Health bar needs special X calculation (left edge of bar)
+        return screenPos.x - 30;
+      }
+      return screenPos.x;
+    },
+    y: (target) => {
+      if (target === sprites.shadow) return screenPos.y + 30;
+      if (target === sprites.nameText) return screenPos.y - 45;
+      if (target === sprites.healthBarBg) return screenPos.y + 40;
+      if (target === sprites.healthBar) return screenPos.y + 40;
+      if (target === sprites.rangeHighlight) return screenPos.y;
+      return screenPos.y;
+    },
+    duration: duration,
+    ease: ease,
+    onUpdate: () => {
+      // Update depths during movement
+      sprites.sprite.setDepth(newDepth);
+      sprites.shadow.setDepth(newDepth - 0.5);
+      sprites.nameText.setDepth(newDepth + 0.1);
+      sprites.healthBarBg.setDepth(newDepth + 0.1);
+      sprites.healthBar.setDepth(newDepth + 0.1);
+    },
+    onComplete: () => {
+      sprites.screenX = screenPos.x;
+      sprites.screenY = screenPos.y;
+      if (onComplete) onComplete();
+    }
+  });
+}
+
+/**
+ * Bring grid occupancy and sprites in line with participants that
+ * an ability moved (teleport/repositioning effects)
+ */
+syncUnitPositions(participantIds) {
+  for (const pid of participantIds) {
+    const unit = this.grid.units[pid];
+    const participant = this.participants.find(p => p.id === pid);
+    if (!unit || !participant) continue;
+    
+    if (unit.gridX !== participant.x || unit.gridY !== participant.y) {
+      this.grid.moveUnit(pid, participant.x, participant.y);
+      this.animateUnitTo(participant);
+    }
   }
 }
   
@@ -1651,8 +2845,15 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
     return;
   }
   
-  // Handle ability targeting
+  // Team phases: clicking another party member hands control to them
+  if (!this.targetingMode && this.gameSession.isTeamPhased()) {
+    this.switchActor(participantId);
+    return;
+  }
+  
+  // Handle ability targeting (ground abilities target the clicked tile instead)
   if (!this.targetingMode || !this.targetingAbility) return;
+  if (this.targetingAbility.targetType === 'ground') return;
   
   const actor = this.gameSession.getCurrentActor();
   const target = this.participants.find(p => p.id === participantId);
@@ -1671,18 +2872,22 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
   if (reachCheck.needsMovement) {
     this.addLog(`→ Auto-moving to attack position...`);
     
-    // Move the character
-    this.moveCharacter(actor, reachCheck.movePath.x, reachCheck.movePath.y);
+    const ability = this.targetingAbility;
     
-    // Small delay for visual feedback, then attack
-    setTimeout(() => {
-      this.executeAbility(actor, this.targetingAbility, target);
-      
-      // Clear targeting
-      this.grid.clearHighlights();
-      this.targetingMode = false;
-      this.selectedAbility = null;
-    }, 350); // Wait for movement animation
+    // Move the character, then attack if no reaction stopped the move
+    this.moveCharacter(actor, reachCheck.movePath.x, reachCheck.movePath.y, (moved) => {
+      // Small delay for visual feedback, then attack
+      setTimeout(() => {
+        if (moved) {
+          this.executeAbility(actor, ability, target);
+        }
+        
+        // Clear targeting
+        this.grid.clearHighlights();
+        this.targetingMode = false;
+        this.selectedAbility = null;
+      }, 350); // Wait for movement animation
+    });
   } else {
     // Already in range - attack directly
     this.executeAbility(actor, this.targetingAbility, target);
@@ -1695,15 +2900,43 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
 }
 
   
-  executeAbility(actor, ability, target) {
+  executeAbility(actor, ability, target, onComplete = null) {
+  // Ground abilities take a tile; target may be a participant or a grid position
+  const primaryTarget = ability.targetType === 'ground'
+    ? { x: target.x, y: target.y }
+    : { participantId: target.id };
+  
   const result = this.abilitySystem.executeAbility({
     actorId: actor.id,
     abilityId: ability.id,
-    primaryTarget: { participantId: target.id }
+    primaryTarget
+  });
+  
+  this.handleReactionResult(result, (finalResult) => {
+    this.applyAbilityResult(finalResult);
+    if (onComplete) onComplete(finalResult);
   });
+}
+
+/**
+ * Wait out any reaction prompts in an AbilitySystem result
+ * Calls onResolved with the final (non-pending) result
+ */
+handleReactionResult(result, onResolved) {
+  if (!result.pending) {
+    onResolved(result);
+    return;
+  }
   
+  this.showReactionPrompt(result.reactionPrompt, (choice) => {
+    this.handleReactionResult(this.abilitySystem.resumeResolution(choice), onResolved);
+  });
+}
+
+applyAbilityResult(result) {
   if (result.success) {
-    this.addLog(result.message);
+    this.logResultEvents(result);
+    this.syncUnitPositions(result.affectedParticipants);
     this.updateHealthBars();
     
     // ✅ NEW: REFRESH ABILITY PANEL after action
@@ -1717,25 +2950,163 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
       }
     }
     
-    // Check for deaths
-    for (const pid of result.affectedParticipants) {
-      const p = this.participants.find(x => x.id === pid);
-      if (p && p.status === 'downed') {
-        this.handleCharacterDeath(p);
-      }
+    this.recordInteractions(result);
+    this.resolveCasualties(result.affectedParticipants);
+    this.applyStealthConsequences(result);
+  } else {
+    this.addLog(`❌ ${result.message}`);
+  }
+}
+
+/**
+ * Credit Interact events to their objectives and clear the used objects
+ */
+recordInteractions(result) {
+  const interactions = result.logEvents.filter(e => e.eventType === 'interact');
+  if (interactions.length === 0) return;
+  
+  for (const event of interactions) {
+    if (this.missionManager) this.missionManager.recordInteraction(event.objectiveId);
+  }
+  this.grid.renderGrid();
+  this.updateObjectivesPanel();
+}
+
+/**
+ * Guards react to being targeted, and fighting makes noise
+ */
+applyStealthConsequences(result) {
+  if (!this.stealthSystem) return;
+  
+  const actor = this.participants.find(p => p.id === result.actorId);
+  if (!actor) return;
+  
+  const events = [];
+  for (const pid of result.affectedParticipants) {
+    if (pid !== actor.id && actor.team === 'player') {
+      events.push(...this.stealthSystem.onGuardAttacked(pid, actor));
     }
+  }
+  
+  const ability = getAbility(result.abilityId);
+  if (ability && ability.effectType === 'damage') {
+    events.push(...this.stealthSystem.onNoise(actor.x, actor.y));
+  }
+  
+  this.handleStealthEvents(events);
+  this.updateStealth();
+}
+
+/**
+ * Log every event message in a result (reactions included, in order)
+ */
+logResultEvents(result) {
+  const messages = result.logEvents.filter(e => e.message).map(e => e.message);
+  if (messages.length === 0 && result.message) {
+    messages.push(result.message);
+  }
+  
+  for (const message of messages) {
+    this.addLog(message);
+  }
+}
+
+/**
+ * Handle downed participants and check whether combat is over
+ */
+resolveCasualties(affectedParticipants) {
+  this.updateHealthBars();
+  
+  // Check for deaths
+  for (const pid of affectedParticipants) {
+    const p = this.participants.find(x => x.id === pid);
+    if (!p) continue;
     
-    // Check victory
-    const combatResult = this.gameSession.checkCombatEnd();
-    if (combatResult) {
-      setTimeout(() => {
-        if (combatResult === 'players_won') this.showVictory();
-        else this.showDefeat();
-      }, 500);
+    this.fireStoryEvent({ type: 'hp_changed', unit: p });
+    if (p.status === 'downed') {
+      this.handleCharacterDeath(p);
     }
-  } else {
-    this.addLog(`❌ ${result.message}`);
   }
+  
+  this.checkMissionEnd();
+}
+
+/**
+ * Modal prompt offering the player's eligible reactions
+ * (also used for other choices: prompt.title, option.label and
+ * prompt.passLabel replace the reaction wording)
+ * onChoice receives the chosen option index, or null to pass
+ */
+showReactionPrompt(prompt, onChoice) {
+  const { width, height } = this.cameras.main;
+  const elements = [];
+  
+  const panelWidth = 440;
+  const panelHeight = 130 + (prompt.options.length + 1) * 45;
+  const panelY = height / 2;
+  
+  // Dim the battlefield and swallow clicks beneath the prompt
+  const overlay = this.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.4)
+    .setInteractive()
+    .setDepth(450);
+  elements.push(overlay);
+  
+  const panel = this.add.rectangle(width / 2, panelY, panelWidth, panelHeight, 0x0f172a, 0.97)
+    .setStrokeStyle(2, UI_COLORS.reaction)
+    .setDepth(451);
+  elements.push(panel);
+  
+  const title = this.add.text(width / 2, panelY - panelHeight / 2 + 25, prompt.title || `⚡ REACTION: ${prompt.triggerName}`, {
+    fontSize: '16px',
+    color: '#c084fc',
+    fontStyle: 'bold'
+  }).setOrigin(0.5).setDepth(452);
+  elements.push(title);
+  
+  const message = this.add.text(width / 2, panelY - panelHeight / 2 + 55, prompt.message, {
+    fontSize: '13px',
+    color: '#e2e8f0',
+    align: 'center',
+    wordWrap: { width: panelWidth - 40 }
+  }).setOrigin(0.5).setDepth(452);
+  elements.push(message);
+  
+  const close = (choice) => {
+    for (const element of elements) element.destroy();
+    this.reactionPrompt = null;
+    onChoice(choice);
+  };
+  
+  const buttons = [
+    ...prompt.options.map(option => ({
+      label: option.label || `${option.reactorName}: ${option.abilityName}`,
+      color: 0x6b21a8,
+      hover: 0x7e22ce,
+      choice: option.index
+    })),
+    { label: prompt.passLabel || 'Pass', color: 0x334155, hover: 0x475569, choice: null }
+  ];
+  
+  buttons.forEach((button, index) => {
+    const y = panelY - panelHeight / 2 + 100 + index * 45;
+    const btn = this.add.rectangle(width / 2, y, 300, 36, button.color)
+      .setInteractive({ useHandCursor: true })
+      .setDepth(452);
+    const label = this.add.text(width / 2, y, button.label, {
+      fontSize: '14px',
+      color: '#ffffff',
+      fontStyle: 'bold'
+    }).setOrigin(0.5).setDepth(453);
+    
+    btn.on('pointerover', () => btn.setFillStyle(button.hover));
+    btn.on('pointerout', () => btn.setFillStyle(button.color));
+    btn.on('pointerdown', () => close(button.choice));
+    
+    elements.push(btn, label);
+  });
+  
+  this.reactionPrompt = { elements };
+  if (!prompt.title) this.addLog(`⚡ ${prompt.message} Choose a reaction...`);
 }
 
   
@@ -1749,6 +3120,11 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
     sprites.shadow.setAlpha(0.1);
     
     this.addLog(`💀 ${participant.character.name} is down!`);
+    if (participant.team === 'enemy' && this.missionManager) {
+      this.missionManager.recordLoot(participant);
+    }
+    this.fireStoryEvent({ type: 'unit_downed', unit: participant });
+    this.updateTurnTimeline();
   }
   
   updateHealthBars() {
@@ -1770,6 +3146,9 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
       color
     ).setOrigin(0, 0.5).setDepth(data.healthBarBg.depth);
   }
+  
+  this.updateObjectivesPanel();
+  this.updateTurnTimeline();
 }
   
   onCharacterHover(participantId) {
@@ -1785,6 +3164,7 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
     const currentActor = this.gameSession.getCurrentActor();
     if (participant.id !== currentActor?.id) {
       this.showHoverTooltip(participant, sprites.screenX, sprites.screenY);
+      this.showPatrolPath(participant);
     }
   }
   
@@ -1799,6 +3179,7 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
     
     // Hide tooltip
     this.hideHoverTooltip();
+    this.clearPatrolPath();
   }
   
   showHoverTooltip(participant, screenX, screenY) {
@@ -1817,7 +3198,7 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
     // Update content
     tooltip.name.setText(participant.character.name);
     
-    const statsText = 
+    let statsText = 
       `Prāṇa: ${participant.currentPrana}/${participant.character.maxPrana}\n` +
       `Tapas: ${participant.currentTapas}/${participant.character.maxTapas}\n` +
       `Māyā: ${participant.currentMaya}/${participant.character.maxMaya}\n\n` +
@@ -1825,6 +3206,11 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
       `Dakṣatā: ${participant.character.dakshata} (${participant.character.getModifier(participant.character.dakshata) >= 0 ? '+' : ''}${participant.character.getModifier(participant.character.dakshata)})\n` +
       `Dhṛti: ${participant.character.dhriti} (${participant.character.getModifier(participant.character.dhriti) >= 0 ? '+' : ''}${participant.character.getModifier(participant.character.dhriti)})`;
     
+    const effectsText = participant.statusEffects.length > 0
+      ? '\n\nEffects: ' + participant.statusEffects.map(e => `${e.name} (${Number.isFinite(e.duration) ? e.duration : '∞'})`).join(', ')
+      : '';
+    statsText += effectsText;
+    
     tooltip.stats.setText(statsText);
     
     // Position and show
@@ -1843,90 +3229,192 @@ targets: [sprites.sprite, sprites.shadow, sprites.nameText, sprites.healthBarBg,
     tooltip.visible = false;
   }
   
-  handleEndTurn() {
+  /**
+   * options.endPhase: simultaneous turns, end the turns of every party
+   * member still to act (the End Phase button)
+   */
+  handleEndTurn(options = {}) {
+    if (this.reactionPrompt) return;
+    if (this.storyPlaying) {
+      this.whenStoryIdle(() => this.handleEndTurn(options));
+      return;
+    }
+    
+    if (this.stealthSystem) {
+      this.handleStealthEvents(this.stealthSystem.advanceGuard(this.currentActorId));
+    }
+    
     this.clearEnemyHighlights();
     this.grid.clearHighlights();
     this.targetingMode = false;
-    this.gameSession.nextTurn();
-    this.startTurn();
+    if (this.readyMode) this.setReadyMode(false);
+    
+    const round = this.gameSession.round;
+    if (options.endPhase) {
+      this.gameSession.endPhase();
+    } else {
+      this.gameSession.nextTurn();
+    }
+    this.betweenTurns = true;
+    
+    // A full round has passed: survive objectives and turn limits advance
+    if (this.gameSession.round !== round) {
+      if (this.missionManager) {
+        this.missionManager.incrementTurn();
+        this.updateObjectivesPanel();
+      }
+      this.startReinforcementRound();
+      this.fireStoryEvent({ type: 'round', round: this.gameSession.round + 1 });
+    }
+    if (this.checkMissionEnd()) return;
+    
+    this.whenStoryIdle(() => this.startTurn());
+  }
+  
+/**
+ * Mission objectives as the tactical planner sees them: protected units are
+ * worth hitting, interaction spots are worth standing on
+ */
+getAIObjectives() {
+  const missionData = getMission(this.missionId);
+  const objectives = [];
+  
+  for (const objective of missionData.objectives || []) {
+    if (objective.type === 'protect' && objective.targetId) {
+      const protectedUnit = this.participants.find(p => p.rosterId === objective.targetId);
+      if (protectedUnit) objectives.push({ type: 'protect', participantId: protectedUnit.id });
+    } else if (objective.type === 'interact' && objective.positions) {
+      objectives.push({ type: 'hold', positions: objective.positions });
+    }
   }
   
+  return objectives;
+}
+
 processAITurn(actor) {
-  this.addLog(`💭 ${actor.character.name} is thinking...`);
+  if (this.stealthSystem && !this.stealthSystem.isHostile(actor.id)) {
+    this.processUnawareGuardTurn(actor);
+    return;
+  }
   
-  const playerTargets = this.participants.filter(p => p.team === 'player' && p.status === 'active');
-  if (playerTargets.length === 0) {
-    this.handleEndTurn();
+  this.runPlannedTurn(actor, this.getAIObjectives());
+}
+
+/**
+ * Escorted NPCs and protected units: passive ones (and anyone knocked out)
+ * wait; 'ai' allies fight for the party with their archetype
+ */
+processAllyTurn(actor) {
+  if (actor.behavior !== 'ai' || actor.status !== 'active' || actor.hasStatusEffect('unconscious')) {
+    const waiting = actor.status !== 'active' ? 'is down'
+      : actor.hasStatusEffect('unconscious') ? 'lies unconscious' : 'keeps their head down';
+    this.addLog(`${actor.character.name} ${waiting}.`);
+    setTimeout(() => this.handleEndTurn(), 500);
     return;
   }
   
-  // FIXED: Get AI's actual abilities from their class
-  const aiAbilities = (actor.character.abilities || [])
-    .map(id => getAbility(id))
-    .filter(a => a && a.effectType === 'damage'); // Only use damage abilities for simple AI
+  this.runPlannedTurn(actor, []);
+}
+
+/**
+ * Plan, move and act for an AI-controlled unit (either side), then end its turn
+ */
+runPlannedTurn(actor, objectives) {
+  this.addLog(`💭 ${actor.character.name} is thinking...`);
   
-  // Fallback to basic_strike if no abilities
-  if (aiAbilities.length === 0) {
-    aiAbilities.push(getAbility('basic_strike'));
-  }
+  // The actor's archetype (aiType) decides where to go and what to use
+  const plan = planEnemyTurn(actor, {
+    participants: this.participants,
+    grid: this.grid,
+    abilitySystem: this.abilitySystem,
+    objectives,
+    weightMultipliers: actor.team === 'enemy' ? this.difficulty.aiWeights : null
+  });
   
-  // Find closest player target
-  let closestTarget = playerTargets[0];
-  let closestDistance = calculateDistance(actor.x, actor.y, closestTarget.x, closestTarget.y);
+  const endTurn = () => setTimeout(() => this.handleEndTurn(), 500);
   
-  for (const target of playerTargets) {
-    const dist = calculateDistance(actor.x, actor.y, target.x, target.y);
-    if (dist < closestDistance) {
-      closestDistance = dist;
-      closestTarget = target;
+  const act = () => {
+    if (!plan.ability || !plan.target || actor.status !== 'active') {
+      endTurn();
+      return;
     }
-  }
+    this.executeAbility(actor, plan.ability, plan.target, endTurn);
+  };
   
-  // Try to find a usable ability
-  let selectedAbility = null;
-  for (const ability of aiAbilities) {
-    // Check if we can afford it
-    const validation = this.abilitySystem.validateAbilityUse(actor, ability);
-    if (!validation.valid) continue;
+  setTimeout(() => {
+    this.addLog(`${actor.character.name} ${plan.intent}`);
     
-    // Check if target is in range
-    if (closestDistance <= ability.range) {
-      selectedAbility = ability;
-      break;
+    if (plan.move) {
+      // Act once any reactions to the move (and story beats) are resolved
+      this.moveCharacter(actor, plan.move.x, plan.move.y, (moved) => {
+        if (moved) setTimeout(act, 350);
+        else endTurn();
+      });
+    } else {
+      act();
     }
-  }
+  }, 800);
+}
+
   
-  // If we have a valid ability, use it
-  if (selectedAbility) {
-    setTimeout(() => {
-      this.executeAbility(actor, selectedAbility, closestTarget);
-      setTimeout(() => this.handleEndTurn(), 500);
-    }, 800);
-  } else {
-    // No ability in range - try to move closer
-    const moveDistance = Math.min(actor.remainingSpeed, closestDistance - 1);
-    if (moveDistance > 0) {
-      // Simple movement towards target
-      const dx = closestTarget.x - actor.x;
-      const dy = closestTarget.y - actor.y;
-      const moveX = actor.x + Math.sign(dx) * Math.min(Math.abs(dx), moveDistance);
-      const moveY = actor.y + Math.sign(dy) * Math.min(Math.abs(dy), moveDistance - Math.abs(moveX - actor.x));
-      
-      if (this.grid.isValidTile(moveX, moveY) && !this.grid.isOccupied(moveX, moveY)) {
-        this.moveCharacter(actor, moveX, moveY);
-      }
+  /**
+   * End the mission if its objectives or failure conditions say so
+   * (without a mission manager, when one side is wiped out)
+   * Returns true if combat is over
+   */
+  checkMissionEnd() {
+    if (!this.combatActive) return true;
+    
+    let outcome = null;
+    if (this.missionManager) {
+      outcome = this.missionManager.evaluate({
+        participants: this.participants,
+        detected: this.stealthSystem ? this.stealthSystem.wasDetected() : false
+      });
+    } else {
+      const result = this.gameSession.checkCombatEnd();
+      outcome = result === 'players_won' ? 'victory' : result === 'enemies_won' ? 'defeat' : null;
+    }
+    
+    if (!outcome) return false;
+    
+    this.combatActive = false;
+    this.updateObjectivesPanel();
+    this.campaignUpdate = this.recordCampaignResult();
+    this.time.delayedCall(500, () => this.whenStoryIdle(() => {
+      if (outcome === 'victory') this.showVictory();
+      else this.showDefeat();
+    }));
+    return true;
+  }
+  
+  /**
+   * Carry the mission's result into the campaign and save it
+   * Returns CampaignState.recordMissionResult's { firstClear, unlocked, levelUps }
+   */
+  recordCampaignResult() {
+    if (!this.missionManager) return null;
+    
+    const campaign = getCampaign();
+    // Everyone deployed shares the experience, companions included
+    const deployedIds = [...this.deployment.party, ...this.deployment.allies].map(unit => unit.rosterId);
+    const party = this.participants.filter(p => deployedIds.includes(p.rosterId));
+    const rosterIds = party.map(p => p.rosterId);
+    
+    // Consumables used up in the mission are gone whatever the outcome
+    for (const participant of party) {
+      campaign.setBelt(participant.rosterId, participant.character.inventory);
     }
     
-    setTimeout(() => this.handleEndTurn(), 1000);
+    const update = campaign.recordMissionResult(getMission(this.missionId), this.missionManager.getResults(), rosterIds);
+    
+    const saved = campaign.save();
+    if (!saved.valid) console.warn(saved.message);
+    return update;
   }
-}
-
   
   endCombat() {
-    this.combatActive = false;
-    const result = this.gameSession.checkCombatEnd();
-    if (result === 'players_won') this.showVictory();
-    else if (result === 'enemies_won') this.showDefeat();
+    this.checkMissionEnd();
   }
   
   showVictory() {
@@ -1940,17 +3428,97 @@ processAITurn(actor) {
       fontStyle: 'bold'
     }).setOrigin(0.5).setDepth(401);
     
-    const returnBtn = this.add.rectangle(width / 2, height / 2 + 60, 200, 50, 0x3b82f6)
+    const missionData = getMission(this.missionId) || {};
+    this.showOutcomeNarrative(missionData.rewards);
+    this.showDifficultyLabel();
+    
+    // Experience earned, with a line per bonus objective achieved
+    let buttonY = height / 2 + 60;
+    if (this.missionManager) {
+      const rewards = this.missionManager.getEarnedRewards();
+      const lines = [`+${rewards.experience} XP   +${rewards.gold} gold`];
+      for (const bonus of rewards.bonuses) {
+        lines.push(`⭐ ${bonus.description} (+${bonus.experience} XP)`);
+      }
+      if (rewards.items.length > 0) {
+        lines.push(`🎁 ${rewards.items.join(', ')}`);
+      }
+      if (this.campaignUpdate && !this.campaignUpdate.firstClear) {
+        lines.push('(Replay: experience and loot only)');
+      }
+      if (this.campaignUpdate && this.campaignUpdate.unlocked.length > 0) {
+        lines.push(`🔓 Unlocked: ${this.campaignUpdate.unlocked.map(id => this.getUnlockName(id)).join(', ')}`);
+      }
+      for (const levelUp of (this.campaignUpdate && this.campaignUpdate.levelUps) || []) {
+        lines.push(`⬆️ ${this.getUnlockName(levelUp.rosterId)} reaches level ${levelUp.level}!`);
+      }
+      
+      this.add.text(width / 2, height / 2 + 5, lines.join('\n'), {
+        fontSize: '14px',
+        color: '#fbbf24',
+        align: 'center'
+      }).setOrigin(0.5, 0).setDepth(401);
+      buttonY += lines.length * 18;
+    }
+    
+    const returnBtn = this.add.rectangle(width / 2, buttonY, 200, 50, 0x3b82f6)
       .setInteractive({ useHandCursor: true })
       .setDepth(401);
     
-    this.add.text(width / 2, height / 2 + 60, 'Continue', {
+    this.add.text(width / 2, buttonY, 'Continue', {
       fontSize: '18px',
       color: '#ffffff',
       fontStyle: 'bold'
     }).setOrigin(0.5).setDepth(402);
     
-    returnBtn.on('pointerdown', () => this.scene.start('MainMenu'));
+    // Back to mission select, showing level-ups (and spending points) first
+    returnBtn.on('pointerdown', () => {
+      if (getCampaign().getPendingLevelUps().length > 0) {
+        this.scene.start('LevelUp', { returnTo: 'MissionSelect' });
+      } else {
+        this.scene.start('MissionSelect');
+      }
+    });
+  }
+  
+  /**
+   * Display name of a reward unlock (roster ID or 'mission:<id>')
+   */
+  getUnlockName(unlockId) {
+    if (unlockId.startsWith('mission:')) {
+      const mission = getMission(unlockId.slice('mission:'.length));
+      return mission ? mission.name : unlockId.slice('mission:'.length);
+    }
+    return MARAKATAS_ROSTER[unlockId] ? MARAKATAS_ROSTER[unlockId]().name : unlockId;
+  }
+  
+  /**
+   * Closing line of the mission's story on the victory/defeat screen
+   * outcome: mission rewards or failureConsequences ({ narrative })
+   */
+  showOutcomeNarrative(outcome) {
+    if (!outcome || !outcome.narrative) return;
+    
+    const { width, height } = this.cameras.main;
+    this.add.text(width / 2, height / 2 - 18, outcome.narrative, {
+      fontSize: '14px',
+      color: '#cbd5e1',
+      fontStyle: 'italic',
+      align: 'center',
+      wordWrap: { width: 600 }
+    }).setOrigin(0.5).setDepth(401);
+  }
+  
+  /**
+   * Difficulty the result was earned on, under the victory/defeat title
+   */
+  showDifficultyLabel() {
+    const { width, height } = this.cameras.main;
+    this.add.text(width / 2, height / 2 - 100, `${this.difficulty.name} difficulty`, {
+      fontSize: '14px',
+      color: this.difficulty.color,
+      fontStyle: 'bold'
+    }).setOrigin(0.5).setDepth(401);
   }
   
   showDefeat() {
@@ -1964,11 +3532,41 @@ processAITurn(actor) {
       fontStyle: 'bold'
     }).setOrigin(0.5).setDepth(401);
     
-    const returnBtn = this.add.rectangle(width / 2, height / 2 + 60, 200, 50, 0xef4444)
+    const missionData = getMission(this.missionId) || {};
+    this.showOutcomeNarrative(missionData.failureConsequences);
+    this.showDifficultyLabel();
+    
+    if (this.missionManager && this.missionManager.defeatReason) {
+      this.add.text(width / 2, height / 2 + 5, this.missionManager.defeatReason, {
+        fontSize: '16px',
+        color: '#fca5a5'
+      }).setOrigin(0.5).setDepth(401);
+    }
+    
+    // Even a defeat teaches something (failureConsequences experience)
+    let buttonY = height / 2 + 60;
+    if (this.missionManager) {
+      const experience = this.missionManager.getEarnedRewards().experience;
+      const lines = experience > 0 ? [`+${experience} XP`] : [];
+      for (const levelUp of (this.campaignUpdate && this.campaignUpdate.levelUps) || []) {
+        lines.push(`⬆️ ${this.getUnlockName(levelUp.rosterId)} reaches level ${levelUp.level}!`);
+      }
+      
+      if (lines.length > 0) {
+        this.add.text(width / 2, height / 2 + 25, lines.join('\n'), {
+          fontSize: '14px',
+          color: '#fbbf24',
+          align: 'center'
+        }).setOrigin(0.5, 0).setDepth(401);
+        buttonY += lines.length * 18;
+      }
+    }
+    
+    const returnBtn = this.add.rectangle(width / 2, buttonY, 200, 50, 0xef4444)
       .setInteractive({ useHandCursor: true })
       .setDepth(401);
     
-    this.add.text(width / 2, height / 2 + 60, 'Retry', {
+    this.add.text(width / 2, buttonY, 'Retry', {
       fontSize: '18px',
       color: '#ffffff',
       fontStyle: 'bold'
@@ -3,10 +3,13 @@
  * The Marakatas - Mission Select Scene
  * Allows player to choose which mission to play
  * Shows mission descriptions, objectives, and difficulty options
+ * Missions the campaign hasn't unlocked yet are shown locked
  */
 
 import Phaser from 'phaser';
-import { MISSIONS, getAllMissions } from '../data/Abilities.js';
+import { getAllMissions } from '../systems/MissionLoader.js';
+import { DIFFICULTY_PROFILES, DEFAULT_DIFFICULTY, getDifficulty } from '../data/Difficulty.js';
+import CampaignState, { getCampaign, setCampaign } from '../systems/CampaignState.js';
 
 export default class MissionSelectScene extends Phaser.Scene {
   constructor() {
@@ -27,18 +30,47 @@ export default class MissionSelectScene extends Phaser.Scene {
       fontStyle: 'bold'
     }).setOrigin(0.5);
 
-    // Get all missions
+    // Campaign in play
+    const campaign = getCampaign();
+    this.add.text(20, 20, `Slot ${campaign.slot}   💰 ${campaign.gold} gold   🎒 ${campaign.inventory.length} items`, {
+      fontSize: '14px',
+      color: '#fbbf24'
+    });
+
+    // Get all missions (only those that passed validation at boot)
     const missions = getAllMissions();
 
     // Mission list
     let missionY = 100;
-    const missionSpacing = 180;
+    const missionSpacing = 150;
 
     for (const mission of missions) {
-      this.createMissionButton(mission, width / 2, missionY);
+      if (campaign.isMissionUnlocked(mission.id)) {
+        this.createMissionButton(mission, width / 2, missionY, campaign.getMissionResult(mission.id));
+      } else {
+        this.createLockedMission(mission, width / 2, missionY);
+      }
       missionY += missionSpacing;
     }
 
+    // Save export/import (JSON file)
+    this.createFooterButton(100, height - 40, 'EXPORT SAVE', () => this.exportCampaign());
+    this.createFooterButton(270, height - 40, 'IMPORT SAVE', () => this.importCampaign());
+
+    // Party levels and unspent attribute points
+    const pendingLevelUps = campaign.getPendingLevelUps().filter(id => campaign.isCharacterUnlocked(id));
+    this.createFooterButton(440, height - 40, pendingLevelUps.length > 0 ? 'PARTY ⬆️' : 'PARTY', () => {
+      this.scene.start('LevelUp', { returnTo: 'MissionSelect' });
+    });
+    this.createFooterButton(610, height - 40, 'EQUIP', () => {
+      this.scene.start('Equipment', { returnTo: 'MissionSelect' });
+    });
+
+    this.statusText = this.add.text(700, height - 40, '', {
+      fontSize: '12px',
+      color: '#f87171'
+    }).setOrigin(0, 0.5);
+
     // Back button
     const backButton = this.add.rectangle(width - 100, height - 40, 150, 50, 0x333333);
     backButton.setStrokeStyle(2, 0x888888);
@@ -61,22 +93,112 @@ export default class MissionSelectScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Small button along the bottom of the screen
+   */
+  createFooterButton(x, y, label, onClick) {
+    const button = this.add.rectangle(x, y, 150, 40, 0x333333);
+    button.setStrokeStyle(2, 0x888888);
+    button.setInteractive();
+
+    this.add.text(x, y, label, {
+      fontSize: '13px',
+      color: '#ffffff',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+
+    button.on('pointerover', () => button.setStrokeStyle(2, 0x4ade80));
+    button.on('pointerout', () => button.setStrokeStyle(2, 0x888888));
+    button.on('pointerdown', onClick);
+  }
+
+  /**
+   * Download the campaign as a JSON file
+   */
+  exportCampaign() {
+    const campaign = getCampaign();
+    const blob = new Blob([campaign.exportJSON()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `marakatas-slot-${campaign.slot}.json`;
+    link.click();
+    // Some browsers start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Load a campaign JSON file into the current slot
+   */
+  importCampaign() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => {
+        const result = CampaignState.fromJSON(reader.result, getCampaign().slot);
+        if (!result.valid) {
+          this.statusText.setText(`⚠️ ${result.message}`);
+          return;
+        }
+
+        setCampaign(result.campaign).save();
+        this.scene.restart();
+      };
+      reader.readAsText(file);
+    });
+    input.click();
+  }
+
+  /**
+   * A mission the campaign hasn't reached yet
+   */
+  createLockedMission(mission, x, y) {
+    const panel = this.add.rectangle(x, y, 700, 140, 0x111111);
+    panel.setStrokeStyle(2, 0x444444);
+
+    this.add.text(x - 340, y - 65, `🔒 ${mission.name}`, {
+      fontSize: '18px',
+      color: '#666666',
+      fontStyle: 'bold'
+    });
+
+    this.add.text(x - 340, y - 35, 'Locked - keep playing the campaign to reach this mission.', {
+      fontSize: '12px',
+      color: '#666666'
+    });
+  }
+
   /**
    * Create a clickable mission button
+   * result: the campaign's record of this mission, if played before
    */
-  createMissionButton(mission, x, y) {
+  createMissionButton(mission, x, y, result = null) {
     // Mission panel background
-    const panel = this.add.rectangle(x, y, 700, 160, 0x1a1a1a);
+    const panel = this.add.rectangle(x, y, 700, 140, 0x1a1a1a);
     panel.setStrokeStyle(2, 0x4ade80);
     panel.setInteractive();
 
     // Mission name
-    this.add.text(x - 340, y - 65, mission.name, {
+    const nameText = this.add.text(x - 340, y - 65, mission.name, {
       fontSize: '18px',
       color: '#4ade80',
       fontStyle: 'bold'
     });
 
+    if (result && result.outcome === 'victory') {
+      this.add.text(nameText.x + nameText.width + 12, y - 62, `✔ Cleared (${getDifficulty(result.difficulty).name})`, {
+        fontSize: '12px',
+        color: '#fbbf24'
+      });
+    }
+
     // Mission description
     this.add.text(x - 340, y - 35, mission.description, {
       fontSize: '12px',
@@ -91,8 +213,8 @@ export default class MissionSelectScene extends Phaser.Scene {
     });
 
     // Difficulty selector
-    const difficulties = ['normal', 'hard', 'nightmare'];
-    let selectedDifficulty = 'normal';
+    const difficulties = Object.keys(DIFFICULTY_PROFILES);
+    let selectedDifficulty = DEFAULT_DIFFICULTY;
     
     let diffX = x + 250;
     for (const difficulty of difficulties) {
@@ -150,7 +272,7 @@ export default class MissionSelectScene extends Phaser.Scene {
     });
 
     playButton.on('pointerdown', () => {
-      this.scene.start('MissionSceneIsometric', {
+      this.scene.start('Deployment', {
         missionId: mission.id,
         difficulty: selectedDifficulty
       });
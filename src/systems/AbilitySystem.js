@@ -3,6 +3,18 @@
 // Ported from vyuha VTT ability_system.py
 // UPDATED: Enhanced dice roll logging with full attack details
 
+import {
+  getStatusEffect,
+  getStatusAttackModifier,
+  getStatusEvasionModifier,
+  applyStatusDamageModifiers,
+  getStatusActionDenial
+} from '../data/StatusEffects.js';
+import { COVER_BONUS } from './LineOfSight.js';
+import { getReactionTrigger } from '../data/ReactionTriggers.js';
+import { isOpposed } from '../data/Character.js';
+import { getEquipmentEvasion, getEquipmentRange, getEquipmentDamageDice } from '../data/Items.js';
+
 /**
  * Utility to calculate distance on grid (Chebyshev - 8-directional)
  */
@@ -10,6 +22,12 @@ export function calculateDistance(x1, y1, x2, y2) {
   return Math.max(Math.abs(x1 - x2), Math.abs(y1 - y2));
 }
 
+/**
+ * Ranged attacks from higher ground gain +1 range and +1 to hit per level,
+ * up to this many levels
+ */
+export const HIGH_GROUND_MAX_BONUS = 2;
+
 /**
  * Parse dice notation like "2d6" or "1d8+3"
  */
@@ -62,6 +80,13 @@ export class AbilitySystem {
     this.participants = scene.participants || [];
     this.abilities = scene.abilities || [];
     this.gameSession = scene.gameSession || null;
+    this.grid = scene.grid || null;  // Optional: terrain queries (elevation)
+    
+    // Suspended resolution waiting for a player reaction choice
+    this.pendingResolution = null;
+    
+    // Decides whether a non-player reactor takes an offered reaction
+    this.reactionPolicy = (option, event) => true;
   }
   
   // ==========================================
@@ -81,6 +106,15 @@ export class AbilitySystem {
       };
     }
     
+    // Check status effects that deny this action type
+    const denial = getStatusActionDenial(actor, ability.actionType);
+    if (denial) {
+      return {
+        valid: false,
+        message: `${actor.character.name} is ${denial.name.toLowerCase()} and cannot use ${ability.name}.`
+      };
+    }
+    
     // Check action economy
     if (ability.actionType === 'action' && !actor.canTakeAction('action')) {
       return {
@@ -110,6 +144,14 @@ export class AbilitySystem {
       };
     }
     
+    // Consumables need one left on the belt
+    if (ability.itemId && !(actor.character.inventory || []).includes(ability.itemId)) {
+      return {
+        valid: false,
+        message: `No ${ability.name} left.`
+      };
+    }
+    
     // Check resource costs
     if (ability.resourceCost > 0) {
       const resourceType = ability.resourceType || 'tapas';
@@ -156,11 +198,65 @@ export class AbilitySystem {
     return { valid: true, message: '' };
   }
   
+  /**
+   * An ability's range for an actor, before height advantage: remaining
+   * speed for moves, otherwise its range plus equipment (e.g. a longer blowpipe)
+   */
+  getAbilityRange(actor, ability) {
+    if (ability.range === 'speed') return actor.remainingSpeed;
+    return ability.range + getEquipmentRange(actor.character, ability);
+  }
+  
+  /**
+   * Elevation of a grid position (0 without a grid)
+   */
+  getElevationAt(x, y) {
+    return this.grid ? this.grid.getElevation(x, y) : 0;
+  }
+  
+  /**
+   * Height advantage in levels for a ranged ability used from higher ground
+   * origin is anything with a z (the actor, or a position it could move to)
+   * Returns 0 for melee abilities or when not above the target
+   */
+  getHeightAdvantage(origin, targetElevation, ability) {
+    if (!this.isRangedAbility(ability)) return 0;
+    
+    const heightDifference = (origin.z || 0) - targetElevation;
+    return Math.min(Math.max(heightDifference, 0), HIGH_GROUND_MAX_BONUS);
+  }
+  
+  /**
+   * Check line of sight from an origin to a tile
+   * Always clear without a grid, for adjacent tiles, or for abilities
+   * flagged requiresLineOfSight: false
+   */
+  hasLineOfSight(actor, origin, toX, toY, ability) {
+    if (!this.grid || ability.requiresLineOfSight === false) return true;
+    
+    return this.grid.hasLineOfSight(origin.x, origin.y, toX, toY, { ignoreIds: [actor.id] });
+  }
+  
+  /**
+   * Evasion bonus a target gets from cover between it and the attacker
+   * (from is the attacker, or a position it could attack from)
+   */
+  getCoverBonus(from, target) {
+    if (!this.grid) return 0;
+    
+    const cover = this.grid.getCover(from.x, from.y, target.x, target.y);
+    return COVER_BONUS[cover] || 0;
+  }
+  
   /**
    * Validate targeting for an ability
    * Returns { valid: boolean, message: string, target: SessionCharacter|null, position: {x,y}|null }
+   * origin: optional { x, y, z } to validate from a position the actor could
+   * move to (defaults to the actor's current position)
    */
-  validateTargeting(actor, ability, targetInfo) {
+  validateTargeting(actor, ability, targetInfo, origin = null) {
+    const from = origin || { x: actor.x, y: actor.y, z: actor.z };
+    
     // Self-targeting is always valid
     if (ability.targetType === 'self') {
       return {
@@ -182,11 +278,33 @@ export class AbilitySystem {
         };
       }
       
-      const distance = calculateDistance(actor.x, actor.y, targetInfo.x, targetInfo.y);
-      if (distance > ability.range) {
+      const groundRange = ability.range === 'speed'
+        ? actor.remainingSpeed
+        : this.getAbilityRange(actor, ability) + this.getHeightAdvantage(from, this.getElevationAt(targetInfo.x, targetInfo.y), ability);
+      
+      const distance = calculateDistance(from.x, from.y, targetInfo.x, targetInfo.y);
+      if (distance > groundRange) {
+        return {
+          valid: false,
+          message: `Target location out of range (max ${groundRange} squares).`,
+          target: null,
+          position: null
+        };
+      }
+      
+      if (ability.effectType === 'interact' && !(this.grid && this.grid.getInteractable(targetInfo.x, targetInfo.y))) {
+        return {
+          valid: false,
+          message: 'Nothing to interact with there.',
+          target: null,
+          position: null
+        };
+      }
+      
+      if (ability.effectType !== 'teleport' && !this.hasLineOfSight(actor, from, targetInfo.x, targetInfo.y, ability)) {
         return {
           valid: false,
-          message: `Target location out of range (max ${ability.range} squares).`,
+          message: 'No line of sight to target location.',
           target: null,
           position: null
         };
@@ -222,7 +340,7 @@ export class AbilitySystem {
       }
       
       // Check team alignment
-      if (ability.targetType === 'enemy' && actor.team === target.team) {
+      if (ability.targetType === 'enemy' && !isOpposed(actor, target)) {
         return {
           valid: false,
           message: 'Cannot target allies with this ability.',
@@ -231,7 +349,7 @@ export class AbilitySystem {
         };
       }
       
-      if (ability.targetType === 'ally' && actor.team !== target.team) {
+      if (ability.targetType === 'ally' && isOpposed(actor, target)) {
         return {
           valid: false,
           message: 'Can only target allies with this ability.',
@@ -245,10 +363,11 @@ export class AbilitySystem {
       if (ability.range === 'speed') {
         effectiveRange = actor.remainingSpeed;
       } else {
-        effectiveRange = ability.range;
+        // Higher ground extends ranged attacks
+        effectiveRange = this.getAbilityRange(actor, ability) + this.getHeightAdvantage(from, target.z || 0, ability);
       }
 
-      const distance = calculateDistance(actor.x, actor.y, target.x, target.y);
+      const distance = calculateDistance(from.x, from.y, target.x, target.y);
       if (distance > effectiveRange) {
         return {
           valid: false,
@@ -258,6 +377,16 @@ export class AbilitySystem {
         };
       }
       
+      // Crates, masts and other units block the shot
+      if (!this.hasLineOfSight(actor, from, target.x, target.y, ability)) {
+        return {
+          valid: false,
+          message: `No line of sight to ${target.character.name}.`,
+          target: null,
+          position: null
+        };
+      }
+      
       return {
         valid: true,
         message: '',
@@ -319,6 +448,11 @@ export class AbilitySystem {
       actor.spendAction('reaction');
     }
     
+    // Use up the consumable
+    if (ability.itemId) {
+      actor.character.inventory.splice(actor.character.inventory.indexOf(ability.itemId), 1);
+    }
+    
     // Spend resource cost
     if (ability.resourceCost > 0) {
       const resourceType = ability.resourceType || 'tapas';
@@ -330,72 +464,124 @@ export class AbilitySystem {
   // EFFECT APPLICATION
   // ==========================================
   
+  /**
+   * Get short action type label for log messages
+   */
+  getActionTypeDisplay(ability) {
+    return ability.actionType === 'bonus_action' ? 'BA' : 
+           ability.actionType === 'reaction' ? 'Reaction' :
+           ability.actionType === 'free' ? 'Free' : 'Action';
+  }
+  
+  /**
+   * Attack modifier and target evasion for an attack, without rolling
+   * origin: optional { x, y, z } the attack would be made from (defaults to the actor)
+   * Returns { attackModifier, targetEvasion, highGroundBonus, coverBonus }
+   */
+  getAttackModifiers(actor, target, ability, origin = null) {
+    const from = origin || actor;
+    
+    const highGroundBonus = this.getHeightAdvantage(from, target.z || 0, ability);
+    const attackModifier = actor.character.getModifier(actor.character.dakshata) +
+                           getStatusAttackModifier(actor, { target, ability }) +
+                           highGroundBonus;
+    
+    // Target's evasion (10 + Dakshata modifier + armor + status effects + cover)
+    const coverBonus = this.getCoverBonus(from, target);
+    const targetEvasion = 10 + target.character.getModifier(target.character.dakshata) +
+                          getEquipmentEvasion(target.character) +
+                          getStatusEvasionModifier(target, { attacker: actor, ability }) +
+                          coverBonus;
+    
+    return { attackModifier, targetEvasion, highGroundBonus, coverBonus };
+  }
+  
+  /**
+   * Roll an attack against a target's evasion
+   * Returns { hit, attackRoll, attackModifier, attackTotal, targetEvasion, isCritical, missEvent }
+   * (missEvent is the log entry to use when the attack misses)
+   */
+  rollAttack(actor, target, ability) {
+    const actionTypeDisplay = this.getActionTypeDisplay(ability);
+    
+    const attackRoll = Phaser.Math.Between(1, 20);
+    const { attackModifier, targetEvasion, highGroundBonus, coverBonus } = this.getAttackModifiers(actor, target, ability);
+    const attackTotal = attackRoll + attackModifier;
+    
+    console.log(`Attack roll: ${attackRoll} + ${attackModifier} = ${attackTotal} vs Evasion ${targetEvasion}` +
+                (highGroundBonus > 0 ? ` (high ground +${highGroundBonus})` : '') +
+                (coverBonus > 0 ? ` (cover +${coverBonus})` : ''));
+    
+    const attack = {
+      hit: true,
+      attackRoll,
+      attackModifier,
+      attackTotal,
+      targetEvasion,
+      isCritical: false,
+      missEvent: null
+    };
+    
+    // Critical miss / Miss
+    if (attackRoll === 1 || (attackTotal < targetEvasion && attackRoll !== 20)) {
+      const missLabel = attackRoll === 1 ? 'Critical Miss!' : 'Miss!';
+      attack.hit = false;
+      attack.missEvent = {
+        eventType: 'miss',
+        actor: actor.character.name,
+        target: target.character.name,
+        ability: ability.name,
+        message: `${actor.character.name} used ${ability.name} [${actionTypeDisplay}]: Rolled ${attackRoll} + ${attackModifier} vs Evasive DC ${targetEvasion} - ${missLabel}`,
+        damage: 0,
+        actionType: ability.actionType
+      };
+      return attack;
+    }
+    
+    // Hit or Critical Hit
+    attack.isCritical = attackRoll === 20;
+    if (attack.isCritical) {
+      console.log('CRITICAL HIT!');
+    }
+    
+    return attack;
+  }
+  
   /**
    * Apply damage effect to a target
    * Returns event log entry
    * UPDATED: Now includes detailed dice roll logging
+   * Pass a pre-rolled attack (from rollAttack) to skip rolling here
    */
-  applyDamageEffect(actor, target, ability) {
+  applyDamageEffect(actor, target, ability, attack = null) {
     // Get action type for logging
-    const actionTypeDisplay = ability.actionType === 'bonus_action' ? 'BA' : 
-                              ability.actionType === 'reaction' ? 'Reaction' :
-                              ability.actionType === 'free' ? 'Free' : 'Action';
-    
-    let attackRoll = null;
-    let attackModifier = null;
-    let attackTotal = null;
-    let targetEvasion = null;
-    let isCritical = false;
+    const actionTypeDisplay = this.getActionTypeDisplay(ability);
     
     // Step 1: Attack Roll (if it's an attack)
     if (ability.requiresAttackRoll !== false) {  // Default to true
-      attackRoll = Phaser.Math.Between(1, 20);
-      attackModifier = actor.character.getModifier(actor.character.dakshata);
-      attackTotal = attackRoll + attackModifier;
-      
-      // Calculate target's evasion (10 + Dakshata modifier)
-      targetEvasion = 10 + target.character.getModifier(target.character.dakshata);
-      
-      console.log(`Attack roll: ${attackRoll} + ${attackModifier} = ${attackTotal} vs Evasion ${targetEvasion}`);
-      
-      // Critical miss
-      if (attackRoll === 1) {
-        return {
-          eventType: 'miss',
-          actor: actor.character.name,
-          target: target.character.name,
-          ability: ability.name,
-          message: `${actor.character.name} used ${ability.name} [${actionTypeDisplay}]: Rolled ${attackRoll} + ${attackModifier} vs Evasive DC ${targetEvasion} - Critical Miss!`,
-          damage: 0,
-          actionType: ability.actionType
-        };
+      if (!attack) {
+        attack = this.rollAttack(actor, target, ability);
       }
       
-      // Miss
-      if (attackTotal < targetEvasion && attackRoll !== 20) {
-        return {
-          eventType: 'miss',
-          actor: actor.character.name,
-          target: target.character.name,
-          ability: ability.name,
-          message: `${actor.character.name} used ${ability.name} [${actionTypeDisplay}]: Rolled ${attackRoll} + ${attackModifier} vs Evasive DC ${targetEvasion} - Miss!`,
-          damage: 0,
-          actionType: ability.actionType
-        };
-      }
-      
-      // Hit or Critical Hit
-      isCritical = attackRoll === 20;
-      if (isCritical) {
-        console.log('CRITICAL HIT!');
+      if (!attack.hit) {
+        return attack.missEvent;
       }
     }
     
+    const { attackRoll, attackModifier, targetEvasion, isCritical } = attack || {};
+    
     // Step 2: Roll damage (only if hit or doesn't require attack roll)
     const diceSpec = parseDiceNotation(ability.damageDice);
     const damageRoll = rollDiceDetailed(diceSpec);
     let totalDamage = damageRoll.total;
     
+    // Weapon dice (see data/Items.js)
+    const weaponDice = getEquipmentDamageDice(actor.character, ability);
+    const weaponRoll = weaponDice ? rollDiceDetailed(parseDiceNotation(weaponDice)) : null;
+    if (weaponRoll) {
+      totalDamage += weaponRoll.total;
+    }
+    
     // Add attribute modifier
     let damageModifier = 0;
     if (ability.damageAttribute) {
@@ -408,10 +594,19 @@ export class AbilitySystem {
     // Build damage display string
     const diceRollsDisplay = damageRoll.rolls.join(' + ');
     const bonusDisplay = damageRoll.bonus > 0 ? ` + ${damageRoll.bonus}` : '';
+    const weaponDisplay = weaponRoll ? ` + ${weaponRoll.rolls.join(' + ')} (weapon)` : '';
     const modifierDisplay = damageModifier !== 0 ? ` + ${damageModifier}` : '';
-    const fullDamageDisplay = `${diceRollsDisplay}${bonusDisplay}${modifierDisplay} = ${totalDamage}`;
+    let fullDamageDisplay = `${diceRollsDisplay}${bonusDisplay}${weaponDisplay}${modifierDisplay} = ${totalDamage}`;
+    
+    // Step 3: Reduce damage through the target's status effects
+    const reduction = applyStatusDamageModifiers(target, totalDamage, { attacker: actor, ability });
+    if (reduction.reducedBy.length > 0) {
+      const reductionDisplay = reduction.reducedBy.map(r => `${r.name} -${r.amount}`).join(', ');
+      fullDamageDisplay += ` (${reductionDisplay})`;
+      totalDamage = reduction.damage;
+    }
     
-    // Step 3: Apply damage
+    // Step 4: Apply damage
     const actualDamage = target.takeDamage(totalDamage);
     actor.damageDealt += actualDamage;
     
@@ -473,6 +668,46 @@ export class AbilitySystem {
     };
   }
   
+  /**
+   * Restore a flat amount of a resource (e.g. a Tapas Tonic)
+   * Returns event log entry
+   */
+  applyRestoreEffect(actor, target, ability) {
+    const resourceKey = ability.resource === 'prana' ? 'currentPrana'
+      : ability.resource === 'maya' ? 'currentMaya' : 'currentTapas';
+    const before = target[resourceKey];
+    target.restoreResource(ability.resource, ability.amount);
+    const restored = target[resourceKey] - before;
+    
+    return {
+      eventType: 'restore',
+      actor: actor.character.name,
+      target: target.character.name,
+      ability: ability.name,
+      resource: ability.resource,
+      amount: restored,
+      message: `${actor.character.name} used ${ability.name}: ${target.character.name} recovers ${restored} ${ability.resource}`
+    };
+  }
+  
+  /**
+   * Use the objective object on a tile
+   * Returns event log entry (carries the objective ID for the mission)
+   */
+  applyInteractEffect(actor, position) {
+    const interactable = this.grid.getInteractable(position.x, position.y);
+    interactable.used = true;
+    
+    return {
+      eventType: 'interact',
+      actor: actor.character.name,
+      objectiveId: interactable.objectiveId,
+      interactableId: interactable.id,
+      position: { x: position.x, y: position.y },
+      message: `📦 ${actor.character.name} secures the ${interactable.name}`
+    };
+  }
+  
   /**
    * Apply teleport/movement effect
    * Returns event log entry
@@ -494,8 +729,8 @@ export class AbilitySystem {
       };
     }
     
-    // Update position
-    actor.moveTo(targetPosition.x, targetPosition.y);
+    // Update position (standing on the destination tile's elevation)
+    actor.moveTo(targetPosition.x, targetPosition.y, this.getElevationAt(targetPosition.x, targetPosition.y));
     
     // Consume speed if movement-based
     if (ability.resourceType === 'speed') {
@@ -528,24 +763,390 @@ export class AbilitySystem {
     });
   }
   
+  /**
+   * Check if a status ability should affect a participant
+   * Harmful effects only land on opposing teams, beneficial ones on allies
+   */
+  isValidStatusTarget(actor, target, ability) {
+    const definition = getStatusEffect(ability.statusEffect);
+    if (!definition) return true;
+    
+    return definition.harmful ? isOpposed(actor, target) : !isOpposed(actor, target);
+  }
+  
   /**
    * Apply status effect to target
    * Returns event log entry
    */
   applyStatusEffect(actor, target, ability) {
+    const definition = getStatusEffect(ability.statusEffect);
+    
     if (ability.statusEffect) {
-      target.addStatusEffect(ability.statusEffect, 1);
+      target.addStatusEffect(ability.statusEffect, ability.statusDuration || null);
     }
     
+    const effectName = definition ? definition.name : ability.statusEffect;
+    
     return {
       eventType: 'status_applied',
       actor: actor.character.name,
       target: target.character.name,
       ability: ability.name,
-      statusEffect: ability.statusEffect
+      statusEffect: ability.statusEffect,
+      message: `${actor.character.name} used ${ability.name}: ${target.character.name} is ${effectName}`
     };
   }
   
+  // ==========================================
+  // REACTIONS
+  // ==========================================
+  
+  /**
+   * Check if a participant's reactions are chosen by the player
+   * (everyone else reacts through reactionPolicy)
+   */
+  isPlayerControlled(participant) {
+    return participant.team === 'player';
+  }
+  
+  /**
+   * Check if an ability counts as a ranged attack
+   */
+  isRangedAbility(ability) {
+    return typeof ability.range === 'number' && ability.range > 1;
+  }
+  
+  /**
+   * Build the primary target for a reaction ability in response to an event
+   */
+  getReactionTarget(reactor, ability, event) {
+    const hostile = event.attacker || event.mover;
+    
+    switch (ability.targetType) {
+      case 'self':
+        return { participantId: reactor.id };
+      case 'enemy':
+        return { participantId: hostile.id };
+      case 'ally':
+        return { participantId: event.target ? event.target.id : reactor.id };
+      case 'ground':
+        return { x: hostile.x, y: hostile.y };
+      default:
+        return {};
+    }
+  }
+  
+  /**
+   * Find every reaction that could answer a combat event
+   * Returns Array<{ reactor, ability, trigger, primaryTarget }>
+   */
+  findReactionOptions(event) {
+    const options = [];
+    const instigator = event.attacker || event.mover;
+    
+    for (const reactor of this.participants) {
+      if (reactor.status !== 'active' || reactor.id === instigator.id) continue;
+      
+      for (const abilityId of reactor.character.abilities || []) {
+        const ability = this.abilities.find(a => a.id === abilityId);
+        if (!ability || ability.actionType !== 'reaction' || !ability.reactionTrigger) continue;
+        
+        const trigger = getReactionTrigger(ability.reactionTrigger);
+        if (!trigger || trigger.event !== event.type) continue;
+        if (!trigger.isEligible(reactor, event)) continue;
+        
+        if (!this.validateAbilityUse(reactor, ability).valid) continue;
+        if (!this.validateCustomRequirements(reactor, ability.requirements).valid) continue;
+        
+        const primaryTarget = this.getReactionTarget(reactor, ability, event);
+        if (!this.validateTargeting(reactor, ability, primaryTarget).valid) continue;
+        
+        options.push({ reactor, ability, trigger, primaryTarget });
+      }
+    }
+    
+    return options;
+  }
+  
+  /**
+   * Find every readied action an event sets off
+   * Returns Array<{ reactor, ability, trigger, primaryTarget, readied: true }>
+   */
+  findReadiedOptions(event) {
+    const options = [];
+    const instigator = event.attacker || event.mover;
+    
+    for (const reactor of this.participants) {
+      if (!reactor.readied || reactor.status !== 'active' || reactor.id === instigator.id) continue;
+      
+      const trigger = getReactionTrigger(reactor.readied.triggerId);
+      if (!trigger || trigger.event !== event.type || !trigger.isEligible(reactor, event)) continue;
+      
+      const ability = this.getReadiedAbility(reactor);
+      if (!ability || !this.validateAbilityUse(reactor, ability).valid) continue;
+      
+      const primaryTarget = this.getReactionTarget(reactor, ability, event);
+      if (!this.validateTargeting(reactor, ability, primaryTarget).valid) continue;
+      
+      options.push({ reactor, ability, trigger, primaryTarget, readied: true });
+    }
+    
+    return options;
+  }
+  
+  /**
+   * A unit's readied ability as it fires: out of turn, on a reaction
+   */
+  getReadiedAbility(participant) {
+    const ability = participant.readied && this.abilities.find(a => a.id === participant.readied.abilityId);
+    return ability ? { ...ability, actionType: 'reaction' } : null;
+  }
+  
+  /**
+   * Ready an action: spend the action now and name a trigger (one marked
+   * `ready` in ReactionTriggers); the ability fires by itself the first time
+   * the trigger goes off before the unit's next turn, using a reaction and
+   * paying its costs then
+   * Returns { success, message, logEvents, affectedParticipants }
+   */
+  readyAction(actorId, abilityId, triggerId) {
+    const actor = this.participants.find(p => p.id === actorId);
+    const ability = this.abilities.find(a => a.id === abilityId);
+    const trigger = getReactionTrigger(triggerId);
+    const fail = (message) => ({ success: false, message, logEvents: [], affectedParticipants: [] });
+    
+    if (!actor) return fail('Actor not found.');
+    if (!ability) return fail('Ability not found.');
+    if (ability.actionType !== 'action') return fail(`Only actions can be readied, not ${ability.name}.`);
+    if (!trigger || !trigger.ready) return fail('Not a trigger an action can wait for.');
+    
+    const useValidation = this.validateAbilityUse(actor, ability);
+    if (!useValidation.valid) return fail(useValidation.message);
+    
+    actor.spendAction('action');
+    actor.readied = { abilityId, triggerId, range: this.getAbilityRange(actor, ability) };
+    
+    if (this.gameSession) {
+      this.gameSession.logEvent('action_readied', {
+        actor: actor.character.name,
+        ability: ability.name,
+        trigger: trigger.name
+      });
+    }
+    
+    const message = `🎯 ${actor.character.name} readies ${ability.name} (${trigger.description.toLowerCase()})`;
+    return {
+      success: true,
+      message,
+      logEvents: [{ eventType: 'ready', message }],
+      affectedParticipants: [actor.id]
+    };
+  }
+  
+  /**
+   * Resolve a chosen reaction (or a readied action going off) and record its
+   * events in the running context
+   */
+  performReaction(option, context) {
+    const result = this.executeAbility({
+      actorId: option.reactor.id,
+      abilityId: option.ability.id,
+      primaryTarget: option.primaryTarget,
+      isReaction: true,
+      isReadied: !!option.readied
+    });
+    
+    if (!result.success) {
+      console.log(`[AbilitySystem] Reaction ${option.ability.id} failed: ${result.message}`);
+      return;
+    }
+    if (option.readied) option.reactor.readied = null;
+    
+    for (const event of result.logEvents) {
+      context.logEvents.push({
+        ...event,
+        isReaction: true,
+        message: `⚡ ${event.message || `${option.reactor.character.name} used ${option.ability.name}!`}`
+      });
+    }
+    
+    for (const id of result.affectedParticipants) {
+      if (!context.affectedParticipants.includes(id)) {
+        context.affectedParticipants.push(id);
+      }
+    }
+  }
+  
+  /**
+   * Offer reactions for a combat event (generator)
+   * Readied actions fire first; non-player reactors decide immediately; if the player has options the
+   * generator yields a prompt and resumes with the chosen option (or null)
+   */
+  *offerReactions(event, context) {
+    // Reactions never trigger further reactions
+    if (context.isReaction) return;
+    
+    // Readied actions were decided when they were readied: they just go off
+    const reacted = new Set();
+    for (const option of this.findReadiedOptions(event)) {
+      reacted.add(option.reactor.id);
+      this.performReaction(option, context);
+    }
+    
+    const options = this.findReactionOptions(event);
+    if (options.length === 0) return;
+    
+    const playerOptions = options.filter(o => this.isPlayerControlled(o.reactor));
+    
+    for (const option of options) {
+      if (playerOptions.includes(option) || reacted.has(option.reactor.id)) continue;
+      
+      if (this.reactionPolicy(option, event)) {
+        reacted.add(option.reactor.id);
+        this.performReaction(option, context);
+      }
+    }
+    
+    if (playerOptions.length === 0) return;
+    
+    const trigger = playerOptions[0].trigger;
+    const choice = yield {
+      triggerId: trigger.id,
+      triggerName: trigger.name,
+      message: trigger.describe(event),
+      options: playerOptions.map((o, index) => ({
+        index,
+        reactorId: o.reactor.id,
+        reactorName: o.reactor.character.name,
+        abilityId: o.ability.id,
+        abilityName: o.ability.name
+      }))
+    };
+    
+    const chosen = choice !== null && choice !== undefined ? playerOptions[choice] : null;
+    if (chosen) {
+      this.performReaction(chosen, context);
+    }
+  }
+  
+  /**
+   * Drive a resolution generator until it finishes or needs player input
+   * Returns the finished result, or a pending result carrying the reaction prompt
+   */
+  runResolution(resolution, finalize, input = undefined) {
+    const step = resolution.next(input);
+    
+    if (!step.done) {
+      this.pendingResolution = { resolution, finalize, prompt: step.value };
+      return {
+        success: true,
+        pending: true,
+        reactionPrompt: step.value,
+        message: step.value.message,
+        logEvents: [],
+        affectedParticipants: []
+      };
+    }
+    
+    this.pendingResolution = null;
+    return finalize();
+  }
+  
+  /**
+   * Resume a suspended resolution with the player's reaction choice
+   * choice: index into reactionPrompt.options, or null to pass
+   */
+  resumeResolution(choice) {
+    const pending = this.pendingResolution;
+    if (!pending) {
+      return {
+        success: false,
+        message: 'No reaction pending.',
+        logEvents: [],
+        affectedParticipants: []
+      };
+    }
+    
+    this.pendingResolution = null;
+    return this.runResolution(pending.resolution, pending.finalize, choice);
+  }
+  
+  /**
+   * Offer reactions to a participant moving from its current tile to a destination
+   * Call before committing the move; check result.moverActive before moving
+   */
+  checkMovementReactions(moverId, destination) {
+    const mover = this.participants.find(p => p.id === moverId);
+    if (!mover) {
+      return {
+        success: false,
+        message: 'Mover not found.',
+        logEvents: [],
+        affectedParticipants: []
+      };
+    }
+    
+    const context = {
+      actor: mover,
+      isReaction: false,
+      logEvents: [],
+      affectedParticipants: []
+    };
+    
+    const event = {
+      type: 'movement',
+      mover,
+      from: { x: mover.x, y: mover.y },
+      to: { x: destination.x, y: destination.y }
+    };
+    
+    return this.runResolution(this.offerReactions(event, context), () => ({
+      success: true,
+      message: '',
+      logEvents: context.logEvents,
+      affectedParticipants: context.affectedParticipants,
+      moverActive: mover.status === 'active'
+    }));
+  }
+  
+  /**
+   * Offer reactions to a participant that has just moved (readied actions
+   * waiting for someone to come close); call once the move is committed
+   */
+  checkArrivalReactions(moverId, from) {
+    const mover = this.participants.find(p => p.id === moverId);
+    if (!mover) {
+      return {
+        success: false,
+        message: 'Mover not found.',
+        logEvents: [],
+        affectedParticipants: []
+      };
+    }
+    
+    const context = {
+      actor: mover,
+      isReaction: false,
+      logEvents: [],
+      affectedParticipants: []
+    };
+    
+    const event = {
+      type: 'moved',
+      mover,
+      from: { x: from.x, y: from.y },
+      to: { x: mover.x, y: mover.y }
+    };
+    
+    return this.runResolution(this.offerReactions(event, context), () => ({
+      success: true,
+      message: '',
+      logEvents: context.logEvents,
+      affectedParticipants: context.affectedParticipants,
+      moverActive: mover.status === 'active'
+    }));
+  }
+  
   // ==========================================
   // MAIN EXECUTION
   // ==========================================
@@ -559,7 +1160,9 @@ export class AbilitySystem {
    *   actorId: string,
    *   abilityId: string,
    *   primaryTarget: { participantId?: string, x?: number, y?: number },
-   *   secondaryTargets?: []
+   *   secondaryTargets?: [],
+   *   isReaction?: boolean   // resolving a reaction (no further reactions offered)
+   *   isReadied?: boolean    // a readied action going off (spends a reaction)
    * }
    * 
    * Returns:
@@ -567,18 +1170,22 @@ export class AbilitySystem {
    *   success: boolean,
    *   message: string,
    *   logEvents: Array,
-   *   affectedParticipants: Array<string>
+   *   affectedParticipants: Array<string>,
+   *   pending?: boolean,          // waiting on the player; see resumeResolution
+   *   reactionPrompt?: object
    * }
    */
   executeAbility(request) {
-    const { actorId, abilityId, primaryTarget, secondaryTargets = [] } = request;
+    const { actorId, abilityId, primaryTarget, secondaryTargets = [], isReaction = false, isReadied = false } = request;
     
     console.log(`[AbilitySystem] Executing ability ${abilityId} by actor ${actorId}`);
     console.log(`[AbilitySystem] Target info:`, primaryTarget);
     
     // Step 1: Load actor and ability
     const actor = this.participants.find(p => p.id === actorId);
-    const ability = this.abilities.find(a => a.id === abilityId);
+    const ability = isReadied && actor
+      ? this.getReadiedAbility(actor)
+      : this.abilities.find(a => a.id === abilityId);
     
     if (!actor) {
       return {
@@ -639,29 +1246,104 @@ export class AbilitySystem {
       this.consumeResources(actor, ability);
     }
     
-    // Step 6: Apply effects to affected participants
-    const logEvents = [];
-    let affectedParticipants = [];
+    // Step 6: Apply effects (may pause for player reactions)
+    const context = {
+      actor,
+      ability,
+      targetValidation,
+      isReaction,
+      logEvents: [],
+      affectedParticipants: []
+    };
+    
+    return this.runResolution(this.resolveEffects(context), () => this.finalizeAbility(context));
+  }
+  
+  /**
+   * Resolve a single effect against one target, raising reaction events
+   * around attacks (generator)
+   */
+  *resolveEffectOnTarget(context, target) {
+    const { actor, ability } = context;
+    
+    if (ability.effectType === 'damage') {
+      // Reactions to the attack being declared (e.g. Shield Ward)
+      yield* this.offerReactions({ type: 'attack_declared', attacker: actor, target, ability }, context);
+      if (actor.status !== 'active' || target.status === 'downed') return;
+      
+      let attack = null;
+      if (ability.requiresAttackRoll !== false) {
+        attack = this.rollAttack(actor, target, ability);
+      }
+      
+      // Reactions to being hit (e.g. Brace)
+      if (!attack || attack.hit) {
+        const isRanged = this.isRangedAbility(ability);
+        yield* this.offerReactions({ type: 'attack_hit', attacker: actor, target, ability, attack, isRanged }, context);
+      }
+      
+      context.logEvents.push(this.applyDamageEffect(actor, target, ability, attack));
+    } else if (ability.effectType === 'heal') {
+      context.logEvents.push(this.applyHealEffect(actor, target, ability));
+    } else if (ability.effectType === 'restore') {
+      context.logEvents.push(this.applyRestoreEffect(actor, target, ability));
+    } else if (ability.effectType === 'status') {
+      context.logEvents.push(this.applyStatusEffect(actor, target, ability));
+    }
+  }
+  
+  /**
+   * Apply ability effects to affected participants (generator)
+   */
+  *resolveEffects(context) {
+    const { actor, ability, targetValidation } = context;
     
     // Handle self-targeting
     if (ability.targetType === 'self') {
-      affectedParticipants = [actor.id];
+      context.affectedParticipants = [actor.id];
       
-      if (ability.effectType === 'damage') {
-        // Self-damage (e.g., sacrificial ability)
-        const event = this.applyDamageEffect(actor, actor, ability);
-        logEvents.push(event);
-      } else if (ability.effectType === 'heal') {
-        const event = this.applyHealEffect(actor, actor, ability);
-        logEvents.push(event);
+      if (ability.effectType === 'status') {
+        // Self buffs with a radius also cover nearby allies (e.g. Shield Ward)
+        const affected = ability.effectRadius > 0
+          ? this.getParticipantsInRadius(actor.x, actor.y, ability.effectRadius)
+              .filter(p => !isOpposed(actor, p))
+          : [actor];
+        
+        context.affectedParticipants = affected.map(p => p.id);
+        
+        for (const target of affected) {
+          yield* this.resolveEffectOnTarget(context, target);
+        }
+      } else if (['damage', 'heal', 'restore'].includes(ability.effectType)) {
+        // Self-damage (e.g., sacrificial ability), self-heal or a restorative
+        yield* this.resolveEffectOnTarget(context, actor);
       }
     }
     
     // Handle teleport (movement) effects
     else if (ability.effectType === 'teleport') {
-      const event = this.applyTeleportEffect(actor, targetValidation.position, ability);
-      logEvents.push(event);
-      affectedParticipants = [actor.id];
+      const destination = targetValidation.position;
+      yield* this.offerReactions({
+        type: 'movement',
+        mover: actor,
+        from: { x: actor.x, y: actor.y },
+        to: { x: destination.x, y: destination.y }
+      }, context);
+      
+      if (actor.status === 'active') {
+        const from = { x: actor.x, y: actor.y };
+        context.logEvents.push(this.applyTeleportEffect(actor, destination, ability));
+        yield* this.offerReactions({ type: 'moved', mover: actor, from, to: { x: actor.x, y: actor.y } }, context);
+      }
+      if (!context.affectedParticipants.includes(actor.id)) {
+        context.affectedParticipants.push(actor.id);
+      }
+    }
+    
+    // Handle objective objects (cargo to steal, levers to pull)
+    else if (ability.effectType === 'interact') {
+      context.affectedParticipants = [actor.id];
+      context.logEvents.push(this.applyInteractEffect(actor, targetValidation.position));
     }
     
     // Handle ground-targeted effects
@@ -670,21 +1352,13 @@ export class AbilitySystem {
         targetValidation.position.x,
         targetValidation.position.y,
         ability.effectRadius
-      );
+      ).filter(p => ability.effectType !== 'status' || this.isValidStatusTarget(actor, p, ability));
       
-      affectedParticipants = affected.map(p => p.id);
+      context.affectedParticipants = affected.map(p => p.id);
       
       for (const target of affected) {
-        if (ability.effectType === 'damage') {
-          const event = this.applyDamageEffect(actor, target, ability);
-          logEvents.push(event);
-        } else if (ability.effectType === 'heal') {
-          const event = this.applyHealEffect(actor, target, ability);
-          logEvents.push(event);
-        } else if (ability.effectType === 'status') {
-          const event = this.applyStatusEffect(actor, target, ability);
-          logEvents.push(event);
-        }
+        if (actor.status !== 'active') break;
+        yield* this.resolveEffectOnTarget(context, target);
       }
     }
     
@@ -704,41 +1378,43 @@ export class AbilitySystem {
         affected = [targetValidation.target];
       }
       
-      affectedParticipants = affected.map(p => p.id);
+      context.affectedParticipants = affected.map(p => p.id);
       
       for (const target of affected) {
-        if (ability.effectType === 'damage') {
-          const event = this.applyDamageEffect(actor, target, ability);
-          logEvents.push(event);
-        } else if (ability.effectType === 'heal') {
-          const event = this.applyHealEffect(actor, target, ability);
-          logEvents.push(event);
-        } else if (ability.effectType === 'status') {
-          const event = this.applyStatusEffect(actor, target, ability);
-          logEvents.push(event);
-        }
+        if (actor.status !== 'active') break;
+        yield* this.resolveEffectOnTarget(context, target);
       }
     }
+  }
+  
+  /**
+   * Build the final result once all effects (and reactions) are resolved
+   */
+  finalizeAbility(context) {
+    const { actor, ability, logEvents, affectedParticipants } = context;
     
     // Step 7: Log to session if available
     if (this.gameSession) {
-      this.gameSession.logEvent('ability_used', {
+      this.gameSession.logEvent(context.isReaction ? 'reaction_used' : 'ability_used', {
         actor: actor.character.name,
         ability: ability.name,
         affectedCount: affectedParticipants.length
       });
     }
     
-    // Use the detailed message from logEvents if available
-    const mainMessage = logEvents.length > 0 && logEvents[0].message 
-      ? logEvents[0].message 
+    // Use the detailed message from the ability's own events if available
+    const ownEvent = logEvents.find(e => !e.isReaction && e.message);
+    const mainMessage = ownEvent 
+      ? ownEvent.message 
       : `${actor.character.name} used ${ability.name}!`;
     
     return {
       success: true,
       message: mainMessage,
+      actorId: actor.id,
+      abilityId: ability.id,
       logEvents: logEvents,
       affectedParticipants: affectedParticipants
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,526 @@
+// src/systems/CampaignState.js
+// Campaign progression for The Marakatas
+// Carries the party between missions: roster levels and experience, gold,
+// inventory, unlocked missions and characters, story flags and mission
+// results. Saved to localStorage in numbered slots and exportable as JSON.
+// No Phaser dependency.
+
+import { CAMPAIGN_START } from '../data/missions.js';
+import { MARAKATAS_ROSTER } from '../data/Character.js';
+import { ATTRIBUTES, gainExperience } from '../data/Progression.js';
+import { EQUIPMENT_SLOTS, BELT_SIZE, getItem } from '../data/Items.js';
+
+export const SAVE_SLOTS = 3;
+const SAVE_VERSION = 1;
+const STORAGE_PREFIX = 'marakatas.campaign.';
+
+let activeCampaign = null;  // The campaign being played, shared by the scenes
+
+/**
+ * localStorage if the environment has one (not in headless runs)
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (e) {
+    return null;  // Storage can be blocked (private browsing, sandboxed frames)
+  }
+}
+
+/**
+ * A JSON object (not null, not a list)
+ */
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Unlock IDs are roster IDs ('lachi') or missions ('mission:koya_attack')
+ */
+function parseUnlock(unlockId) {
+  return unlockId.startsWith('mission:')
+    ? { kind: 'mission', id: unlockId.slice('mission:'.length) }
+    : { kind: 'character', id: unlockId };
+}
+
+/**
+ * Problem with a saved roster entry, or null if it is usable
+ */
+function validateRosterEntry(rosterId, entry) {
+  if (!Number.isInteger(entry.level) || entry.level < 1) {
+    return `Roster entry '${rosterId}' level must be a whole number of at least 1`;
+  }
+  if (!Number.isInteger(entry.experience) || entry.experience < 0) {
+    return `Roster entry '${rosterId}' experience must be a non-negative whole number`;
+  }
+  if (!Number.isInteger(entry.attributePoints) || entry.attributePoints < 0) {
+    return `Roster entry '${rosterId}' attributePoints must be a non-negative whole number`;
+  }
+  if (!isPlainObject(entry.attributes)) {
+    return `Roster entry '${rosterId}' attributes must be an object`;
+  }
+  for (const attribute in entry.attributes) {
+    if (!ATTRIBUTES.includes(attribute)) {
+      return `Roster entry '${rosterId}' has unknown attribute '${attribute}'`;
+    }
+    const points = entry.attributes[attribute];
+    if (!Number.isInteger(points) || points < 0) {
+      return `Roster entry '${rosterId}' attribute '${attribute}' must be a non-negative whole number`;
+    }
+  }
+  if (!Array.isArray(entry.equipment.belt)) {
+    return `Roster entry '${rosterId}' belt must be a list`;
+  }
+  return null;
+}
+
+export default class CampaignState {
+  /**
+   * @param {number} slot - Save slot (1..SAVE_SLOTS)
+   * @param {object} data - Saved state (see toJSON); a new campaign if omitted
+   */
+  constructor(slot = 1, data = null) {
+    this.slot = slot;
+
+    const start = data || CampaignState.createNewData();
+    this.roster = start.roster;                      // rosterId -> progress (see createRosterEntry)
+    this.gold = start.gold;
+    this.inventory = start.inventory;                // Item IDs
+    this.unlockedMissions = start.unlockedMissions;
+    this.unlockedCharacters = start.unlockedCharacters;
+    this.storyFlags = start.storyFlags;              // flag -> true
+    this.missionResults = start.missionResults;      // missionId -> last result, kept once won
+    this.savedAt = start.savedAt || null;
+  }
+
+  /**
+   * A roster character's progress at the start of the campaign
+   *   experience:       toward the next level (see data/Progression.js)
+   *   attributePoints:  earned by levelling, not yet spent
+   *   attributes:       points spent, { bala: +n, ... }
+   *   previousLevel:    level before the level-ups not yet shown on the
+   *                     level-up screen (null if none)
+   *   equipment:        { weapon, armor } item IDs (or null) and belt, the
+   *                     consumables carried into missions (see data/Items.js)
+   */
+  static createRosterEntry(rosterId) {
+    return {
+      level: MARAKATAS_ROSTER[rosterId]().level,
+      experience: 0,
+      attributePoints: 0,
+      attributes: {},
+      previousLevel: null,
+      equipment: { weapon: null, armor: null, belt: [] }
+    };
+  }
+
+  /**
+   * Starting state of a new campaign (see CAMPAIGN_START)
+   */
+  static createNewData() {
+    const roster = {};
+    for (const rosterId in MARAKATAS_ROSTER) {
+      roster[rosterId] = CampaignState.createRosterEntry(rosterId);
+    }
+
+    return {
+      roster,
+      gold: CAMPAIGN_START.gold,
+      inventory: [...CAMPAIGN_START.items],
+      unlockedMissions: [...CAMPAIGN_START.missions],
+      unlockedCharacters: [...CAMPAIGN_START.characters],
+      storyFlags: {},
+      missionResults: {}
+    };
+  }
+
+  // ==========================================
+  // QUERIES
+  // ==========================================
+
+  isMissionUnlocked(missionId) {
+    return this.unlockedMissions.includes(missionId);
+  }
+
+  isCharacterUnlocked(rosterId) {
+    return this.unlockedCharacters.includes(rosterId);
+  }
+
+  hasStoryFlag(flag) {
+    return this.storyFlags[flag] === true;
+  }
+
+  getMissionResult(missionId) {
+    return this.missionResults[missionId] || null;
+  }
+
+  getRosterEntry(rosterId) {
+    return this.roster[rosterId] || null;
+  }
+
+  /**
+   * Roster IDs with level-ups to show or attribute points to spend
+   */
+  getPendingLevelUps() {
+    return Object.keys(this.roster).filter(rosterId => {
+      const entry = this.roster[rosterId];
+      return entry.previousLevel !== null || entry.attributePoints > 0;
+    });
+  }
+
+  // ==========================================
+  // PROGRESSION
+  // ==========================================
+
+  /**
+   * Apply a finished mission (MissionManager.getResults())
+   * rosterIds: roster characters who were deployed; they share in the experience
+   * Rewards are granted in full on the first victory; replays earn
+   * experience and loot gold only, and defeats the mission's failure experience
+   * Returns { firstClear, unlocked: Array<unlockId>, levelUps: Array<{ rosterId, level }> }
+   */
+  recordMissionResult(missionData, results, rosterIds) {
+    const previous = this.getMissionResult(missionData.id);
+    const firstClear = results.outcome === 'victory' && !(previous && previous.outcome === 'victory');
+    const unlocked = [];
+    const levelUps = [];
+
+    if (!previous || previous.outcome !== 'victory') {
+      this.missionResults[missionData.id] = {
+        outcome: results.outcome,
+        difficulty: results.difficulty,
+        turns: results.turns,
+        completedObjectives: results.completedObjectives
+      };
+    }
+
+    const rewards = missionData.rewards || {};
+    const earned = results.rewards;
+
+    for (const rosterId of rosterIds) {
+      if (this.addExperience(rosterId, earned.experience) > 0) {
+        levelUps.push({ rosterId, level: this.roster[rosterId].level });
+      }
+    }
+
+    if (results.outcome !== 'victory') return { firstClear, unlocked, levelUps };
+
+    if (firstClear) {
+      this.gold += earned.gold;
+      this.inventory.push(...earned.items);
+
+      for (const unlockId of rewards.unlocks || []) {
+        if (this.unlock(unlockId)) unlocked.push(unlockId);
+      }
+      if (rewards.story) this.storyFlags[rewards.story] = true;
+    } else {
+      this.gold += earned.gold - (rewards.gold || 0);
+    }
+
+    return { firstClear, unlocked, levelUps };
+  }
+
+  /**
+   * Returns the number of levels gained
+   */
+  addExperience(rosterId, amount) {
+    const entry = this.getRosterEntry(rosterId);
+    if (!entry) return 0;
+
+    const level = entry.level;
+    const levelsGained = gainExperience(entry, amount);
+    if (levelsGained > 0 && entry.previousLevel === null) entry.previousLevel = level;
+    return levelsGained;
+  }
+
+  /**
+   * Spend attribute points: allocation is { bala: n, ... }
+   * Returns { valid, message }
+   */
+  spendAttributePoints(rosterId, allocation) {
+    const entry = this.getRosterEntry(rosterId);
+    if (!entry) return { valid: false, message: `Unknown character '${rosterId}'` };
+
+    let total = 0;
+    for (const attribute in allocation) {
+      if (!ATTRIBUTES.includes(attribute)) return { valid: false, message: `Unknown attribute '${attribute}'` };
+      if (!Number.isInteger(allocation[attribute]) || allocation[attribute] < 0) {
+        return { valid: false, message: `Invalid points for ${attribute}` };
+      }
+      total += allocation[attribute];
+    }
+    if (total > entry.attributePoints) {
+      return { valid: false, message: `Only ${entry.attributePoints} points to spend` };
+    }
+
+    for (const attribute in allocation) {
+      entry.attributes[attribute] = (entry.attributes[attribute] || 0) + allocation[attribute];
+    }
+    entry.attributePoints -= total;
+    return { valid: true, message: `Spent ${total} points` };
+  }
+
+  /**
+   * The level-up screen has shown a character's new level
+   */
+  acknowledgeLevelUp(rosterId) {
+    const entry = this.getRosterEntry(rosterId);
+    if (entry) entry.previousLevel = null;
+  }
+
+  // ==========================================
+  // EQUIPMENT
+  // ==========================================
+
+  /**
+   * Take an item from the inventory and equip it: weapons and armor go in
+   * their slot (the item there goes back to the inventory), consumables on
+   * the belt
+   * Returns { valid, message }
+   */
+  equipItem(rosterId, itemId) {
+    const entry = this.getRosterEntry(rosterId);
+    const item = getItem(itemId);
+    if (!entry) return { valid: false, message: `Unknown character '${rosterId}'` };
+    if (!item) return { valid: false, message: `Unknown item '${itemId}'` };
+
+    const index = this.inventory.indexOf(itemId);
+    if (index === -1) return { valid: false, message: `No ${item.name} in the inventory` };
+
+    if (EQUIPMENT_SLOTS.includes(item.slot)) {
+      this.inventory.splice(index, 1);
+      if (entry.equipment[item.slot]) this.inventory.push(entry.equipment[item.slot]);
+      entry.equipment[item.slot] = itemId;
+      return { valid: true, message: `Equipped ${item.name}` };
+    }
+
+    if (item.type === 'consumable') {
+      if (entry.equipment.belt.length >= BELT_SIZE) {
+        return { valid: false, message: `Belt is full (${BELT_SIZE} items)` };
+      }
+      this.inventory.splice(index, 1);
+      entry.equipment.belt.push(itemId);
+      return { valid: true, message: `${item.name} added to the belt` };
+    }
+
+    return { valid: false, message: `${item.name} can't be equipped` };
+  }
+
+  /**
+   * Put an equipped item (slot or belt) back in the inventory
+   * Returns { valid, message }
+   */
+  unequipItem(rosterId, itemId) {
+    const entry = this.getRosterEntry(rosterId);
+    if (!entry) return { valid: false, message: `Unknown character '${rosterId}'` };
+
+    const slot = EQUIPMENT_SLOTS.find(s => entry.equipment[s] === itemId);
+    const beltIndex = entry.equipment.belt.indexOf(itemId);
+    if (slot) {
+      entry.equipment[slot] = null;
+    } else if (beltIndex !== -1) {
+      entry.equipment.belt.splice(beltIndex, 1);
+    } else {
+      return { valid: false, message: `'${itemId}' is not equipped` };
+    }
+
+    this.inventory.push(itemId);
+    return { valid: true, message: `Unequipped ${getItem(itemId).name}` };
+  }
+
+  /**
+   * What is left on a character's belt after a mission
+   */
+  setBelt(rosterId, itemIds) {
+    const entry = this.getRosterEntry(rosterId);
+    if (entry) entry.equipment.belt = itemIds.slice(0, BELT_SIZE);
+  }
+
+  /**
+   * Unlock a mission or character; returns false if it already was
+   */
+  unlock(unlockId) {
+    const { kind, id } = parseUnlock(unlockId);
+    const list = kind === 'mission' ? this.unlockedMissions : this.unlockedCharacters;
+    if (list.includes(id)) return false;
+
+    list.push(id);
+    return true;
+  }
+
+  // ==========================================
+  // SAVE SLOTS
+  // ==========================================
+
+  toJSON() {
+    return {
+      version: SAVE_VERSION,
+      roster: this.roster,
+      gold: this.gold,
+      inventory: this.inventory,
+      unlockedMissions: this.unlockedMissions,
+      unlockedCharacters: this.unlockedCharacters,
+      storyFlags: this.storyFlags,
+      missionResults: this.missionResults,
+      savedAt: this.savedAt
+    };
+  }
+
+  /**
+   * Write this campaign to its slot
+   * Returns { valid, message }
+   */
+  save() {
+    const storage = getStorage();
+    if (!storage) return { valid: false, message: 'No storage available' };
+
+    this.savedAt = new Date().toISOString();
+    try {
+      storage.setItem(STORAGE_PREFIX + this.slot, JSON.stringify(this));
+    } catch (e) {
+      return { valid: false, message: `Could not save: ${e.message}` };
+    }
+    return { valid: true, message: `Saved to slot ${this.slot}` };
+  }
+
+  /**
+   * The campaign saved in a slot, or null if the slot is empty or unreadable
+   */
+  static load(slot) {
+    const storage = getStorage();
+    const text = storage && storage.getItem(STORAGE_PREFIX + slot);
+    if (!text) return null;
+
+    const result = CampaignState.fromJSON(text, slot);
+    if (!result.valid) {
+      console.error(`Save slot ${slot}: ${result.message}`);
+      return null;
+    }
+    return result.campaign;
+  }
+
+  static deleteSlot(slot) {
+    const storage = getStorage();
+    if (storage) storage.removeItem(STORAGE_PREFIX + slot);
+  }
+
+  /**
+   * Summary of every slot for a load menu
+   * Returns Array<{ slot, empty, gold, cleared, savedAt }>
+   */
+  static listSlots() {
+    const slots = [];
+    for (let slot = 1; slot <= SAVE_SLOTS; slot++) {
+      const campaign = CampaignState.load(slot);
+      slots.push(campaign
+        ? {
+          slot,
+          empty: false,
+          gold: campaign.gold,
+          cleared: Object.values(campaign.missionResults).filter(r => r.outcome === 'victory').length,
+          savedAt: campaign.savedAt
+        }
+        : { slot, empty: true });
+    }
+    return slots;
+  }
+
+  /**
+   * Export for backup or sharing
+   */
+  exportJSON() {
+    return JSON.stringify(this, null, 2);
+  }
+
+  /**
+   * Read an exported campaign into a slot
+   * Returns { valid, message, campaign }
+   */
+  static fromJSON(text, slot = 1) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { valid: false, message: 'Not a campaign save (invalid JSON)' };
+    }
+
+    if (!isPlainObject(data)) {
+      return { valid: false, message: 'Not a campaign save' };
+    }
+    if (data.version !== SAVE_VERSION) {
+      return { valid: false, message: `Unsupported save version '${data.version}'` };
+    }
+
+    // Shape checks before merging, so a bad save is refused rather than
+    // breaking the scenes that read it later
+    for (const key of ['roster', 'storyFlags', 'missionResults']) {
+      if (key in data && !isPlainObject(data[key])) {
+        return { valid: false, message: `Save field '${key}' must be an object` };
+      }
+    }
+    for (const missionId in data.missionResults || {}) {
+      if (!isPlainObject(data.missionResults[missionId])) {
+        return { valid: false, message: `Mission result '${missionId}' must be an object` };
+      }
+    }
+
+    // Fill anything missing from a new campaign, so older or hand-edited
+    // saves still load
+    const fresh = CampaignState.createNewData();
+    const merged = { ...fresh, ...data, roster: { ...fresh.roster } };
+    for (const rosterId in data.roster || {}) {
+      const entry = data.roster[rosterId];
+      if (!isPlainObject(entry)) {
+        return { valid: false, message: `Roster entry '${rosterId}' must be an object` };
+      }
+      if (!MARAKATAS_ROSTER[rosterId]) continue;  // Dropped from the roster since
+      if ('equipment' in entry && !isPlainObject(entry.equipment)) {
+        return { valid: false, message: `Roster entry '${rosterId}' equipment must be an object` };
+      }
+      const defaults = CampaignState.createRosterEntry(rosterId);
+      merged.roster[rosterId] = {
+        ...defaults,
+        ...entry,
+        equipment: { ...defaults.equipment, ...entry.equipment }
+      };
+
+      const message = validateRosterEntry(rosterId, merged.roster[rosterId]);
+      if (message) return { valid: false, message };
+    }
+    for (const key of ['inventory', 'unlockedMissions', 'unlockedCharacters']) {
+      if (!Array.isArray(merged[key])) {
+        return { valid: false, message: `Save field '${key}' must be a list` };
+      }
+    }
+    if (typeof merged.gold !== 'number') {
+      return { valid: false, message: "Save field 'gold' must be a number" };
+    }
+
+    return { valid: true, message: 'Campaign loaded', campaign: new CampaignState(slot, merged) };
+  }
+}
+
+// ==========================================
+// ACTIVE CAMPAIGN
+// ==========================================
+
+/**
+ * The campaign being played (slot 1 if none was picked)
+ */
+export function getCampaign() {
+  if (!activeCampaign) useCampaignSlot(1);
+  return activeCampaign;
+}
+
+/**
+ * Play the campaign in a slot, starting a new one there if it is empty
+ */
+export function useCampaignSlot(slot) {
+  activeCampaign = CampaignState.load(slot) || new CampaignState(slot);
+  return activeCampaign;
+}
+
+export function setCampaign(campaign) {
+  activeCampaign = campaign;
+  return campaign;
+}
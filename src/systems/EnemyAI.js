@@ -0,0 +1,201 @@
+// src/systems/EnemyAI.js
+// Enemy behaviour archetypes for The Marakatas
+// Each archetype tunes the TacticalPlanner's scoring weights and decides
+// where to stand when there is nothing worth doing this turn. A plan is:
+//   { move: {x, y}|null, ability: object|null, target: SessionCharacter|null, intent: string }
+// The scene carries the plan out (move first, then the ability).
+// No Phaser dependency.
+
+import { calculateDistance } from './AbilitySystem.js';
+import { TacticalPlanner, DEFAULT_WEIGHTS } from './TacticalPlanner.js';
+import { isOpposed } from '../data/Character.js';
+
+/**
+ * Archetype used when neither the mission nor the enemy type picks one
+ */
+export const CLASS_DEFAULT_AI = {
+  'Dhanurdhara': 'ranged',
+  'Rishi': 'support'
+};
+
+const PREFERRED_RANGED_DISTANCE = 3;  // Kiters try to stay at least this far away
+
+// ==========================================
+// POSITIONING HELPERS
+// ==========================================
+
+function getOpponents(actor, participants) {
+  return participants.filter(p => p.status === 'active' && isOpposed(actor, p));
+}
+
+function nearestDistance(x, y, others) {
+  return others.reduce((min, p) => Math.min(min, calculateDistance(x, y, p.x, p.y)), Infinity);
+}
+
+/**
+ * Every tile the actor could end its move on, with the speed it costs
+ */
+function getStandingOptions(actor, grid) {
+  if (!grid) return [{ x: actor.x, y: actor.y, dist: 0 }];
+  return grid.calculateMovementRange(actor.x, actor.y, actor.remainingSpeed, false, actor);
+}
+
+function pickBest(options, score) {
+  let best = null;
+  let bestScore = -Infinity;
+
+  for (const option of options) {
+    const value = score(option);
+    if (value > bestScore) {
+      best = option;
+      bestScore = value;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Movement-only plan to the best-scoring tile
+ */
+function planMove(actor, context, score, intent) {
+  const position = pickBest(getStandingOptions(actor, context.grid), score);
+  const moving = position && (position.x !== actor.x || position.y !== actor.y);
+  return { move: moving ? { x: position.x, y: position.y } : null, ability: null, target: null, intent };
+}
+
+/**
+ * Close in on a target
+ */
+function approach(actor, target, context, intent) {
+  return planMove(actor, context, (p) => -calculateDistance(p.x, p.y, target.x, target.y) * 10 - p.dist, intent);
+}
+
+const WAIT = { move: null, ability: null, target: null, intent: 'waits' };
+
+// ==========================================
+// ARCHETYPES
+// ==========================================
+
+/**
+ * Archetype definitions
+ *   weights:                     TacticalPlanner weight overrides
+ *   position(actor, context)  -> movement-only plan when no action is worth taking
+ *   context: { participants, grid, abilitySystem, objectives }
+ */
+export const AI_ARCHETYPES = {
+  'aggressive': {
+    id: 'aggressive',
+    name: 'Aggressive',
+    description: 'Goes for the closest enemy with its hardest-hitting attack',
+    weights: { exposure: 0.1 },
+    position(actor, context) {
+      const opponents = getOpponents(actor, context.participants);
+      if (opponents.length === 0) return WAIT;
+
+      const closest = pickBest(opponents, (p) => -calculateDistance(actor.x, actor.y, p.x, p.y));
+      return approach(actor, closest, context, `advances on ${closest.character.name}`);
+    }
+  },
+
+  'ranged': {
+    id: 'ranged',
+    name: 'Ranged',
+    description: 'Kites: shoots from as far away as it can and backs off when crowded',
+    weights: { exposure: 0.8 },
+    position(actor, context) {
+      const opponents = getOpponents(actor, context.participants);
+      if (opponents.length === 0) return WAIT;
+
+      // Close to a comfortable distance, never into melee
+      const closest = pickBest(opponents, (p) => -calculateDistance(actor.x, actor.y, p.x, p.y));
+      return planMove(actor, context, (p) => {
+        const distance = calculateDistance(p.x, p.y, closest.x, closest.y);
+        const tooClose = nearestDistance(p.x, p.y, opponents) < PREFERRED_RANGED_DISTANCE;
+        return -Math.abs(distance - PREFERRED_RANGED_DISTANCE) * 10 - (tooClose ? 100 : 0) - p.dist;
+      }, `repositions near ${closest.character.name}`);
+    }
+  },
+
+  'berserker': {
+    id: 'berserker',
+    name: 'Berserker',
+    description: 'Charges the weakest enemy on the field, whatever the danger',
+    weights: { exposure: 0, kill: 25, weakTarget: 0.3, healing: 0 },
+    position(actor, context) {
+      const opponents = getOpponents(actor, context.participants);
+      if (opponents.length === 0) return WAIT;
+
+      const victim = pickBest(opponents, (p) => -p.currentPrana);
+      return approach(actor, victim, context, `charges toward ${victim.character.name}`);
+    }
+  },
+
+  'support': {
+    id: 'support',
+    name: 'Support',
+    description: 'Heals wounded allies and otherwise hangs back',
+    weights: { healing: 2.5, damage: 0.6, exposure: 0.8 },
+    position(actor, context) {
+      const opponents = getOpponents(actor, context.participants);
+      if (opponents.length === 0) return WAIT;
+
+      return planMove(actor, context, (p) =>
+        Math.min(nearestDistance(p.x, p.y, opponents), PREFERRED_RANGED_DISTANCE + 1) * 10 - p.dist,
+        'hangs back'
+      );
+    }
+  },
+
+  'patrol': {
+    id: 'patrol',
+    name: 'Patrol',
+    description: 'Walks its route until it spots trouble (see StealthSystem), then fights up close',
+    weights: { exposure: 0.1 },
+    position(actor, context) {
+      return AI_ARCHETYPES.aggressive.position(actor, context);
+    }
+  }
+};
+
+/**
+ * Get archetype definition by ID
+ */
+export function getAIArchetype(archetypeId) {
+  return AI_ARCHETYPES[archetypeId] || null;
+}
+
+/**
+ * Pick an archetype for an enemy: mission entry first, then its enemy
+ * type, then its class, then aggressive
+ */
+export function resolveAIType(enemyData = {}, enemyType = {}, className = null) {
+  return enemyData.aiType || enemyType.aiType || CLASS_DEFAULT_AI[className] || 'aggressive';
+}
+
+/**
+ * An archetype's scoring weights with multipliers applied (e.g. the
+ * difficulty's aiWeights); unlisted weights are left alone
+ */
+export function scaleWeights(weights, multipliers = {}) {
+  const scaled = { ...DEFAULT_WEIGHTS, ...weights };
+  for (const key in multipliers) {
+    scaled[key] *= multipliers[key];
+  }
+  return scaled;
+}
+
+/**
+ * Plan an enemy's turn: the planner picks the best-scoring action using the
+ * archetype's weights (scaled by context.weightMultipliers, if given); if
+ * nothing is worth doing, the archetype positions itself
+ */
+export function planEnemyTurn(actor, context) {
+  const archetype = getAIArchetype(actor.aiType) || AI_ARCHETYPES.aggressive;
+  const planner = new TacticalPlanner(context);
+
+  const best = planner.planTurn(actor, scaleWeights(archetype.weights, context.weightMultipliers));
+  if (best && best.score > 0) return best;
+
+  return archetype.position(actor, context);
+}
@@ -5,6 +5,10 @@
  * Inspired by Transistor's clean tactical grid
  */
 
+import { getIntermediateTiles } from './LineOfSight.js';
+import { isOpposed } from '../data/Character.js';
+import { TERRAIN_LEGEND, getTerrainType, getObstacleType, getPropType } from '../data/Terrain.js';
+
 export default class IsometricGrid {
   /**
    * @param {Phaser.Scene} scene - The Phaser scene
@@ -20,6 +24,11 @@ export default class IsometricGrid {
     // Isometric tile dimensions
     this.tileWidth = options.tileWidth || 64;   // Width of diamond
     this.tileHeight = options.tileHeight || 32;  // Height of diamond
+    this.elevationHeight = options.elevationHeight || 16;  // Pixels per elevation level
+    
+    // Movement rules for elevation
+    this.climbCostPerLevel = options.climbCostPerLevel || 1;  // Extra speed per level climbed
+    this.maxClimb = options.maxClimb || 2;  // Highest step a unit can climb in one move
     
     // Camera view mode
     this.viewMode = 'isometric'; // 'isometric' or 'topdown'
@@ -65,8 +74,15 @@ export default class IsometricGrid {
           screenX: screenPos.x,
           screenY: screenPos.y,
           occupied: false,
+          terrain: 'deck',  // Terrain type ID (see data/Terrain.js)
           walkable: true,
-          elevation: 0
+          movementCost: 1,
+          elevation: 0,
+          blocksSight: false,
+          cover: 'none',    // 'none', 'half', 'full'
+          obstacle: null,   // Obstacle type ID (see data/Terrain.js)
+          prop: null,       // Decorative prop type ID
+          interactable: null // Objective object, see addInteractable
         };
       }
     }
@@ -100,10 +116,41 @@ export default class IsometricGrid {
     return { x: screenX, y: screenY };
   }
   
+  /**
+   * Convert grid coordinates to the screen position of the tile's top surface
+   * (raised tiles are drawn higher in isometric view)
+   */
+  tileToScreen(gridX, gridY) {
+    const screenPos = this.gridToScreen(gridX, gridY);
+    if (this.viewMode === 'topdown') return screenPos;
+    
+    return {
+      x: screenPos.x,
+      y: screenPos.y - this.getElevation(gridX, gridY) * this.elevationHeight
+    };
+  }
+  
   /**
    * Convert screen coordinates to grid coordinates
+   * Raised tiles are checked first so clicks land on their top surface
    */
   screenToGrid(screenX, screenY) {
+    if (this.viewMode === 'isometric') {
+      for (let level = this.getMaxElevation(); level > 0; level--) {
+        const candidate = this.screenToGroundGrid(screenX, screenY + level * this.elevationHeight);
+        if (this.getElevation(candidate.x, candidate.y) === level) {
+          return candidate;
+        }
+      }
+    }
+    
+    return this.screenToGroundGrid(screenX, screenY);
+  }
+  
+  /**
+   * Convert screen coordinates to grid coordinates at ground level
+   */
+  screenToGroundGrid(screenX, screenY) {
     if (this.viewMode === 'topdown') {
       const gridX = Math.floor((screenX - this.offsetX) / this.tileWidth);
       const gridY = Math.floor((screenY - this.offsetY) / this.tileHeight);
@@ -138,12 +185,19 @@ export default class IsometricGrid {
   renderGrid() {
     this.tileGraphics.clear();
     
-    // Draw tiles back to front for proper layering
+    // Draw tiles back to front (top of screen first) so raised tiles
+    // overlap the ones behind them
+    const drawOrder = [];
     for (let y = 0; y < this.gridHeight; y++) {
       for (let x = 0; x < this.gridWidth; x++) {
-        this.drawTile(x, y);
+        drawOrder.push({ x, y });
       }
     }
+    drawOrder.sort((a, b) => (a.y - a.x) - (b.y - b.x));
+    
+    for (const { x, y } of drawOrder) {
+      this.drawTile(x, y);
+    }
   }
   
   /**
@@ -151,7 +205,10 @@ export default class IsometricGrid {
    */
   drawTile(gridX, gridY) {
     const tile = this.tiles[gridY][gridX];
-    const { x, y } = this.gridToScreen(gridX, gridY);
+    const terrain = getTerrainType(tile.terrain) || getTerrainType('deck');
+    const screenPos = this.gridToScreen(gridX, gridY);
+    const x = screenPos.x;
+    let y = screenPos.y;
     
     if (this.viewMode === 'topdown') {
       // Top-down: draw squares
@@ -171,13 +228,39 @@ export default class IsometricGrid {
         this.tileWidth,
         this.tileHeight
       );
+      
+      // Terrain fill (walls and railings drawn solid)
+      this.tileGraphics.fillStyle(terrain.color, terrain.height > 0 ? 0.9 : terrain.alpha);
+      this.tileGraphics.fillRect(
+        x - this.tileWidth / 2,
+        y - this.tileHeight / 2,
+        this.tileWidth,
+        this.tileHeight
+      );
+      
+      // Raised tiles get a darker fill in top-down view
+      if (tile.elevation > 0) {
+        this.tileGraphics.fillStyle(0x8b6914, 0.15 * tile.elevation);
+        this.tileGraphics.fillRect(
+          x - this.tileWidth / 2,
+          y - this.tileHeight / 2,
+          this.tileWidth,
+          this.tileHeight
+        );
+      }
     } else {
       // Isometric: draw diamond
       const halfWidth = this.tileWidth / 2;
       const halfHeight = this.tileHeight / 2;
       
-      // Fill (deck wood color)
-      this.tileGraphics.fillStyle(0x8b6914, 0.2);
+      // Raised tiles: stack one diamond per elevation level
+      if (tile.elevation > 0) {
+        this.drawTileSides(x, y, tile.elevation);
+        y -= tile.elevation * this.elevationHeight;
+      }
+      
+      // Fill (terrain color, stronger on raised tiles)
+      this.tileGraphics.fillStyle(terrain.color, tile.elevation > 0 ? Math.max(terrain.alpha, 0.6) : terrain.alpha);
       this.tileGraphics.beginPath();
       this.tileGraphics.moveTo(x, y - halfHeight);
       this.tileGraphics.lineTo(x + halfWidth, y);
@@ -189,6 +272,195 @@ export default class IsometricGrid {
       // Stroke (grid lines)
       this.tileGraphics.lineStyle(1, 0x64748b, 0.4);
       this.tileGraphics.strokePath();
+      
+      if (terrain.id === 'water') {
+        this.drawWaves(x, y);
+      }
+      
+      // Walls and railings rise out of the tile
+      if (terrain.height > 0) {
+        this.drawPrism(x, y, terrain.color, terrain.height, 0.5);
+      }
+    }
+    
+    if (tile.obstacle) {
+      this.drawObstacle(x, y, tile);
+    }
+    
+    if (tile.prop) {
+      this.drawProp(x, y, tile);
+    }
+    
+    if (tile.interactable && !tile.interactable.used) {
+      this.drawInteractable(x, y);
+    }
+  }
+  
+  /**
+   * Draw a couple of wave crests across a water tile
+   */
+  drawWaves(x, y) {
+    const quarterWidth = this.tileWidth / 4;
+    
+    this.tileGraphics.lineStyle(1, 0x7dd3fc, 0.35);
+    for (const offset of [-4, 4]) {
+      this.tileGraphics.beginPath();
+      this.tileGraphics.moveTo(x - quarterWidth, y + offset);
+      this.tileGraphics.lineTo(x - quarterWidth / 2, y + offset - 2);
+      this.tileGraphics.lineTo(x, y + offset);
+      this.tileGraphics.lineTo(x + quarterWidth / 2, y + offset - 2);
+      this.tileGraphics.lineTo(x + quarterWidth, y + offset);
+      this.tileGraphics.strokePath();
+    }
+  }
+  
+  /**
+   * Draw a decorative prop on a tile
+   */
+  drawProp(x, y, tile) {
+    const prop = getPropType(tile.prop);
+    if (!prop) return;
+    
+    // Props sit toward the back corner so units stay readable
+    const propX = x + this.tileWidth / 6;
+    const propY = y - this.tileHeight / 6;
+    
+    if (prop.shape === 'box') {
+      this.tileGraphics.fillStyle(prop.color, 0.6);
+      this.tileGraphics.fillRect(propX - prop.size / 2, propY - prop.size / 4, prop.size, prop.size / 2);
+    } else if (prop.shape === 'coil') {
+      this.tileGraphics.lineStyle(2, prop.color, 0.9);
+      this.tileGraphics.strokeCircle(propX, propY, prop.size / 2);
+      this.tileGraphics.strokeCircle(propX, propY, prop.size / 4);
+    } else {
+      this.tileGraphics.fillStyle(prop.color, 0.9);
+      this.tileGraphics.fillCircle(propX, propY, prop.size / 2);
+    }
+  }
+  
+  /**
+   * Mark a tile holding an objective object (gold diamond outline)
+   */
+  drawInteractable(x, y) {
+    if (this.viewMode === 'topdown') {
+      const size = this.tileHeight * 0.8;
+      this.tileGraphics.lineStyle(2, 0xfbbf24, 0.9);
+      this.tileGraphics.strokeRect(x - size / 2, y - size / 2, size, size);
+      return;
+    }
+    
+    const halfWidth = this.tileWidth / 2 - 6;
+    const halfHeight = this.tileHeight / 2 - 3;
+    
+    this.tileGraphics.lineStyle(2, 0xfbbf24, 0.9);
+    this.tileGraphics.beginPath();
+    this.tileGraphics.moveTo(x, y - halfHeight);
+    this.tileGraphics.lineTo(x + halfWidth, y);
+    this.tileGraphics.lineTo(x, y + halfHeight);
+    this.tileGraphics.lineTo(x - halfWidth, y);
+    this.tileGraphics.closePath();
+    this.tileGraphics.strokePath();
+  }
+  
+  /**
+   * Draw an obstacle standing on a tile (box prism in isometric view)
+   */
+  drawObstacle(x, y, tile) {
+    const obstacle = getObstacleType(tile.obstacle);
+    if (!obstacle) return;
+    
+    if (this.viewMode === 'topdown') {
+      const size = this.tileHeight * 0.7;
+      this.tileGraphics.fillStyle(obstacle.color, 0.9);
+      this.tileGraphics.fillRect(x - size / 2, y - size / 2, size, size);
+      this.tileGraphics.lineStyle(1, 0x000000, 0.5);
+      this.tileGraphics.strokeRect(x - size / 2, y - size / 2, size, size);
+      return;
+    }
+    
+    this.drawPrism(x, y, obstacle.color, obstacle.height, 0.6);
+  }
+  
+  /**
+   * Draw a box prism standing on a tile (isometric view)
+   * footprint: fraction of the tile diamond covered by the base
+   */
+  drawPrism(x, y, color, height, footprint) {
+    const halfWidth = this.tileWidth * footprint / 2;
+    const halfHeight = this.tileHeight * footprint / 2;
+    const top = y - height;
+    
+    // Left face
+    this.tileGraphics.fillStyle(color, 1);
+    this.tileGraphics.beginPath();
+    this.tileGraphics.moveTo(x - halfWidth, top);
+    this.tileGraphics.lineTo(x, top + halfHeight);
+    this.tileGraphics.lineTo(x, y + halfHeight);
+    this.tileGraphics.lineTo(x - halfWidth, y);
+    this.tileGraphics.closePath();
+    this.tileGraphics.fillPath();
+    
+    // Right face (shaded)
+    this.tileGraphics.fillStyle(color, 0.75);
+    this.tileGraphics.beginPath();
+    this.tileGraphics.moveTo(x, top + halfHeight);
+    this.tileGraphics.lineTo(x + halfWidth, top);
+    this.tileGraphics.lineTo(x + halfWidth, y);
+    this.tileGraphics.lineTo(x, y + halfHeight);
+    this.tileGraphics.closePath();
+    this.tileGraphics.fillPath();
+    
+    // Top face
+    this.tileGraphics.fillStyle(color, 0.55);
+    this.tileGraphics.beginPath();
+    this.tileGraphics.moveTo(x, top - halfHeight);
+    this.tileGraphics.lineTo(x + halfWidth, top);
+    this.tileGraphics.lineTo(x, top + halfHeight);
+    this.tileGraphics.lineTo(x - halfWidth, top);
+    this.tileGraphics.closePath();
+    this.tileGraphics.fillPath();
+    this.tileGraphics.lineStyle(1, 0x000000, 0.4);
+    this.tileGraphics.strokePath();
+  }
+  
+  /**
+   * Draw the visible side faces of a raised tile as stacked layers
+   */
+  drawTileSides(x, y, elevation) {
+    const halfWidth = this.tileWidth / 2;
+    const halfHeight = this.tileHeight / 2;
+    
+    for (let level = 0; level < elevation; level++) {
+      const bottom = y - level * this.elevationHeight;
+      const top = bottom - this.elevationHeight;
+      
+      // Left face (darker)
+      this.tileGraphics.fillStyle(0x5c4510, 0.9);
+      this.tileGraphics.beginPath();
+      this.tileGraphics.moveTo(x - halfWidth, top);
+      this.tileGraphics.lineTo(x, top + halfHeight);
+      this.tileGraphics.lineTo(x, bottom + halfHeight);
+      this.tileGraphics.lineTo(x - halfWidth, bottom);
+      this.tileGraphics.closePath();
+      this.tileGraphics.fillPath();
+      
+      // Right face (lighter)
+      this.tileGraphics.fillStyle(0x735714, 0.9);
+      this.tileGraphics.beginPath();
+      this.tileGraphics.moveTo(x, top + halfHeight);
+      this.tileGraphics.lineTo(x + halfWidth, top);
+      this.tileGraphics.lineTo(x + halfWidth, bottom);
+      this.tileGraphics.lineTo(x, bottom + halfHeight);
+      this.tileGraphics.closePath();
+      this.tileGraphics.fillPath();
+      
+      // Layer seam
+      this.tileGraphics.lineStyle(1, 0x3f2f0b, 0.6);
+      this.tileGraphics.beginPath();
+      this.tileGraphics.moveTo(x - halfWidth, top);
+      this.tileGraphics.lineTo(x, top + halfHeight);
+      this.tileGraphics.lineTo(x + halfWidth, top);
+      this.tileGraphics.strokePath();
     }
   }
   
@@ -197,13 +469,20 @@ export default class IsometricGrid {
    */
   highlightTiles(positions, color = 0x4ade80, alpha = 0.3) {
     this.clearHighlights();
-    
+    this.fillTiles(this.highlightLayer, positions, color, alpha);
+    this.highlightLayer.setDepth(this.depthLayers.gridLines + 1);
+  }
+  
+  /**
+   * Fill tile shapes on any graphics layer (highlights, vision cones, overlays)
+   */
+  fillTiles(graphics, positions, color, alpha) {
     for (const pos of positions) {
-      const { x, y } = this.gridToScreen(pos.x, pos.y);
+      const { x, y } = this.tileToScreen(pos.x, pos.y);
       
       if (this.viewMode === 'topdown') {
-        this.highlightLayer.fillStyle(color, alpha);
-        this.highlightLayer.fillRect(
+        graphics.fillStyle(color, alpha);
+        graphics.fillRect(
           x - this.tileWidth / 2,
           y - this.tileHeight / 2,
           this.tileWidth,
@@ -213,18 +492,16 @@ export default class IsometricGrid {
         const halfWidth = this.tileWidth / 2;
         const halfHeight = this.tileHeight / 2;
         
-        this.highlightLayer.fillStyle(color, alpha);
-        this.highlightLayer.beginPath();
-        this.highlightLayer.moveTo(x, y - halfHeight);
-        this.highlightLayer.lineTo(x + halfWidth, y);
-        this.highlightLayer.lineTo(x, y + halfHeight);
-        this.highlightLayer.lineTo(x - halfWidth, y);
-        this.highlightLayer.closePath();
-        this.highlightLayer.fillPath();
+        graphics.fillStyle(color, alpha);
+        graphics.beginPath();
+        graphics.moveTo(x, y - halfHeight);
+        graphics.lineTo(x + halfWidth, y);
+        graphics.lineTo(x, y + halfHeight);
+        graphics.lineTo(x - halfWidth, y);
+        graphics.closePath();
+        graphics.fillPath();
       }
     }
-    
-    this.highlightLayer.setDepth(this.depthLayers.gridLines + 1);
   }
   
   /**
@@ -272,12 +549,172 @@ export default class IsometricGrid {
     
     // Update sprite position and depth
     if (unit.sprite) {
-      const screenPos = this.gridToScreen(newX, newY);
+      const screenPos = this.tileToScreen(newX, newY);
       unit.sprite.setPosition(screenPos.x, screenPos.y);
       unit.sprite.setDepth(this.calculateDepth(newX, newY, 'units'));
     }
   }
   
+  /**
+   * Get tile data (null if out of bounds)
+   */
+  getTile(gridX, gridY) {
+    if (!this.tiles[gridY] || !this.tiles[gridY][gridX]) return null;
+    return this.tiles[gridY][gridX];
+  }
+  
+  /**
+   * Get the participant standing on a tile, or null
+   */
+  getUnitAt(gridX, gridY) {
+    for (const participantId in this.units) {
+      const unit = this.units[participantId];
+      if (unit.gridX === gridX && unit.gridY === gridY) {
+        return unit.participant;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Put an objective object on a tile (e.g. cargo to steal)
+   * interactable: { id, objectiveId, name }
+   */
+  addInteractable(gridX, gridY, interactable) {
+    const tile = this.getTile(gridX, gridY);
+    if (!tile) return;
+    
+    tile.interactable = { ...interactable, used: false };
+  }
+  
+  /**
+   * Get the unused objective object on a tile, or null
+   */
+  getInteractable(gridX, gridY) {
+    const tile = this.getTile(gridX, gridY);
+    if (!tile || !tile.interactable || tile.interactable.used) return null;
+    return tile.interactable;
+  }
+  
+  /**
+   * Set a tile's terrain and the movement, sight and cover rules that come with it
+   */
+  setTerrain(gridX, gridY, terrainId) {
+    const tile = this.getTile(gridX, gridY);
+    const terrain = getTerrainType(terrainId);
+    if (!tile || !terrain) return;
+    
+    tile.terrain = terrain.id;
+    tile.walkable = terrain.walkable;
+    tile.movementCost = terrain.movementCost;
+    tile.cover = terrain.cover;
+    tile.blocksSight = terrain.blocksSight;
+  }
+  
+  /**
+   * Load a mission map onto the grid
+   * map: {
+   *   terrain:       default terrain ID for every tile,
+   *   layout:        optional array of rows, one TERRAIN_LEGEND character per tile,
+   *   legend:        optional character -> terrain ID overrides for layout,
+   *   tiles:         Array<{ x, y, terrain?, walkable?, elevation?, movementCost?, cover?, blocksSight? }>,
+   *   elevatedAreas: see applyElevatedAreas,
+   *   obstacles:     see applyObstacles,
+   *   props:         Array<{ x, y, type }>
+   * }
+   */
+  applyMap(map = {}) {
+    const legend = { ...TERRAIN_LEGEND, ...(map.legend || {}) };
+    const layout = map.layout || [];
+    
+    // Step 1: Base terrain from the layout (or the map default)
+    for (let y = 0; y < this.gridHeight; y++) {
+      for (let x = 0; x < this.gridWidth; x++) {
+        const symbol = layout[y] ? layout[y][x] : undefined;
+        this.setTerrain(x, y, legend[symbol] || map.terrain || 'deck');
+      }
+    }
+    
+    // Step 2: Per-tile overrides
+    for (const override of map.tiles || []) {
+      const tile = this.getTile(override.x, override.y);
+      if (!tile) continue;
+      
+      if (override.terrain) this.setTerrain(override.x, override.y, override.terrain);
+      for (const key of ['walkable', 'elevation', 'movementCost', 'cover', 'blocksSight']) {
+        if (override[key] !== undefined) tile[key] = override[key];
+      }
+    }
+    
+    // Step 3: Raised areas, obstacles and decoration
+    this.applyElevatedAreas(map.elevatedAreas || []);
+    this.applyObstacles(map.obstacles || []);
+    
+    for (const prop of map.props || []) {
+      const tile = this.getTile(prop.x, prop.y);
+      if (tile && getPropType(prop.type)) tile.prop = prop.type;
+    }
+    
+    this.renderGrid();
+  }
+  
+  /**
+   * Place obstacles on the grid
+   * obstacles: Array<{ x, y, type, cover?, blocksSight? }>
+   * cover/blocksSight default to the obstacle type's values
+   */
+  applyObstacles(obstacles = []) {
+    for (const obstacle of obstacles) {
+      const tile = this.getTile(obstacle.x, obstacle.y);
+      const definition = getObstacleType(obstacle.type);
+      if (!tile || !definition) continue;
+      
+      tile.obstacle = definition.id;
+      tile.walkable = false;
+      tile.cover = obstacle.cover || definition.cover;
+      tile.blocksSight = obstacle.blocksSight !== undefined ? obstacle.blocksSight : definition.blocksSight;
+    }
+  }
+  
+  /**
+   * Check for an unobstructed line between two tiles
+   * Sight-blocking tiles and active units in between block the line
+   * options.ignoreIds: participant IDs that never block (e.g. the viewer)
+   * options.ignoreUnits: only terrain blocks
+   */
+  hasLineOfSight(fromX, fromY, toX, toY, options = {}) {
+    const ignoreIds = options.ignoreIds || [];
+    
+    for (const { x, y } of getIntermediateTiles(fromX, fromY, toX, toY)) {
+      const tile = this.getTile(x, y);
+      if (!tile) continue;
+      if (tile.blocksSight) return false;
+      
+      if (!options.ignoreUnits && tile.occupied) {
+        const unit = this.getUnitAt(x, y);
+        if (unit && unit.status === 'active' && !ignoreIds.includes(unit.id)) {
+          return false;
+        }
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Cover protecting a target from an attacker: the cover value of the
+   * last tile the sight line crosses before reaching the target
+   * Returns 'none', 'half' or 'full'
+   */
+  getCover(fromX, fromY, toX, toY) {
+    const between = getIntermediateTiles(fromX, fromY, toX, toY);
+    if (between.length === 0) return 'none';
+    
+    const { x, y } = between[between.length - 1];
+    const tile = this.getTile(x, y);
+    return tile ? tile.cover : 'none';
+  }
+  
   /**
    * Check if a tile is valid and walkable
    */
@@ -296,46 +733,244 @@ export default class IsometricGrid {
   }
   
   /**
-   * Calculate movement range using BFS
+   * Get elevation level of a tile (0 for ground or out of bounds)
+   */
+  getElevation(gridX, gridY) {
+    if (!this.tiles[gridY] || !this.tiles[gridY][gridX]) return 0;
+    return this.tiles[gridY][gridX].elevation;
+  }
+  
+  /**
+   * Get the highest elevation on the grid
+   */
+  getMaxElevation() {
+    let max = 0;
+    for (const row of this.tiles) {
+      for (const tile of row) {
+        max = Math.max(max, tile.elevation);
+      }
+    }
+    return max;
+  }
+  
+  /**
+   * Set elevation for a single tile
+   */
+  setElevation(gridX, gridY, elevation) {
+    if (!this.tiles[gridY] || !this.tiles[gridY][gridX]) return;
+    this.tiles[gridY][gridX].elevation = elevation;
+  }
+  
+  /**
+   * Raise rectangular areas of the grid
+   * areas: Array<{ x, y, width, height, elevation }>
+   */
+  applyElevatedAreas(areas = []) {
+    for (const area of areas) {
+      for (let y = area.y; y < area.y + (area.height || 1); y++) {
+        for (let x = area.x; x < area.x + (area.width || 1); x++) {
+          this.setElevation(x, y, area.elevation);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Speed cost to step between two adjacent tiles
+   * Climbing costs extra per level; stepping down is free
+   * Returns Infinity if the climb is too high
    */
-  calculateMovementRange(startX, startY, maxDistance, ignoreUnits = false) {
+  getStepCost(fromX, fromY, toX, toY) {
+    const climb = this.getElevation(toX, toY) - this.getElevation(fromX, fromY);
+    if (climb > this.maxClimb) return Infinity;
+    
+    const tile = this.getTile(toX, toY);
+    const terrainCost = tile ? tile.movementCost : 1;
+    return terrainCost + Math.max(0, climb) * this.climbCostPerLevel;
+  }
+  
+  /**
+   * Tiles blocked by, and tiles next to, the mover's active opponents
+   * Pathfinding queries take an optional mover: its opponents block the way
+   * (allies can be walked past, though no occupied tile can be stopped on)
+   * and exert a zone of control - stepping next to one ends the move.
+   * Without a mover every unit can be walked past.
+   * Returns { blocked: Set<"x,y">, zoneOfControl: Set<"x,y"> }
+   */
+  getMovementRules(mover = null) {
+    const blocked = new Set();
+    const zoneOfControl = new Set();
+    if (!mover) return { blocked, zoneOfControl };
+    
+    for (const participantId in this.units) {
+      const unit = this.units[participantId];
+      const other = unit.participant;
+      if (!other || other.id === mover.id || other.status !== 'active' || !isOpposed(mover, other)) continue;
+      
+      blocked.add(`${unit.gridX},${unit.gridY}`);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx !== 0 || dy !== 0) zoneOfControl.add(`${unit.gridX + dx},${unit.gridY + dy}`);
+        }
+      }
+    }
+    
+    return { blocked, zoneOfControl };
+  }
+  
+  /**
+   * True if a tile is next to one of the mover's active opponents
+   */
+  isInZoneOfControl(gridX, gridY, mover) {
+    return this.getMovementRules(mover).zoneOfControl.has(`${gridX},${gridY}`);
+  }
+  
+  /**
+   * Tiles one step away that can be entered, with the speed each costs
+   * Nothing leads out of a zone of control tile except from the start
+   */
+  getNeighborSteps(x, y, rules, isStart) {
+    if (!isStart && rules.zoneOfControl.has(`${x},${y}`)) return [];
+    
+    const neighbors = [
+      { x: x + 1, y: y },
+      { x: x - 1, y: y },
+      { x: x, y: y + 1 },
+      { x: x, y: y - 1 }
+    ];
+    
+    const steps = [];
+    for (const neighbor of neighbors) {
+      if (!this.isValidTile(neighbor.x, neighbor.y)) continue;
+      if (rules.blocked.has(`${neighbor.x},${neighbor.y}`)) continue;
+      
+      const cost = this.getStepCost(x, y, neighbor.x, neighbor.y);
+      if (cost !== Infinity) steps.push({ ...neighbor, cost });
+    }
+    
+    return steps;
+  }
+  
+  /**
+   * Calculate movement range using cost-aware search (Dijkstra)
+   * dist on each result is the speed needed to reach that tile
+   */
+  calculateMovementRange(startX, startY, maxDistance, ignoreUnits = false, mover = null) {
     const validMoves = [];
-    const visited = new Set();
-    const queue = [{ x: startX, y: startY, dist: 0 }];
+    const costs = this.calculateMovementCosts(startX, startY, maxDistance, { mover });
     
-    while (queue.length > 0) {
-      const current = queue.shift();
+    for (const [key, dist] of costs) {
+      const [x, y] = key.split(',').map(Number);
+      
+      // Add to valid moves if the tile can be stood on
+      if (ignoreUnits || !this.isOccupied(x, y) || (x === startX && y === startY)) {
+        validMoves.push({ x, y, dist });
+      }
+    }
+    
+    return validMoves;
+  }
+  
+  /**
+   * Cheapest speed cost to reach a tile, or null if it can't be reached
+   * within maxDistance
+   */
+  getPathCost(startX, startY, endX, endY, maxDistance = Infinity, mover = null) {
+    const path = this.findPath(startX, startY, endX, endY, { maxDistance, mover });
+    if (!path) return null;
+    return path.length > 0 ? path[path.length - 1].cost : 0;
+  }
+  
+  /**
+   * Cheapest route between two tiles as a list of steps (start excluded),
+   * each with the total speed spent on arriving there (A*)
+   * options: { mover, maxDistance }
+   * Returns null if the end can't be reached
+   */
+  findPath(startX, startY, endX, endY, options = {}) {
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+    const rules = this.getMovementRules(options.mover);
+    const startKey = `${startX},${startY}`;
+    const endKey = `${endX},${endY}`;
+    
+    if (startKey === endKey) return [];
+    if (!this.isValidTile(endX, endY) || rules.blocked.has(endKey)) return null;
+    
+    // Every step costs at least 1, so Manhattan distance never overestimates
+    const estimate = (x, y) => Math.abs(endX - x) + Math.abs(endY - y);
+    
+    const costs = new Map([[startKey, 0]]);
+    const parents = new Map();
+    const open = [{ x: startX, y: startY, dist: 0, score: estimate(startX, startY) }];
+    
+    while (open.length > 0) {
+      // Take the most promising frontier tile (ties: furthest along)
+      open.sort((a, b) => a.score - b.score || b.dist - a.dist);
+      const current = open.shift();
       const key = `${current.x},${current.y}`;
+      if (current.dist > costs.get(key)) continue;
       
-      if (visited.has(key)) continue;
-      visited.add(key);
+      if (key === endKey) {
+        const path = [];
+        let step = endKey;
+        while (step !== startKey) {
+          const [x, y] = step.split(',').map(Number);
+          path.unshift({ x, y, cost: costs.get(step) });
+          step = parents.get(step);
+        }
+        return path;
+      }
       
-      // Add to valid moves if within range
-      if (current.dist <= maxDistance && 
-          this.isValidTile(current.x, current.y) &&
-          (ignoreUnits || !this.isOccupied(current.x, current.y) || 
-           (current.x === startX && current.y === startY))) {
-        validMoves.push({ x: current.x, y: current.y, dist: current.dist });
+      for (const neighbor of this.getNeighborSteps(current.x, current.y, rules, key === startKey)) {
+        const dist = current.dist + neighbor.cost;
+        if (dist > maxDistance) continue;
+        
+        const neighborKey = `${neighbor.x},${neighbor.y}`;
+        if (!costs.has(neighborKey) || dist < costs.get(neighborKey)) {
+          costs.set(neighborKey, dist);
+          parents.set(neighborKey, key);
+          open.push({ x: neighbor.x, y: neighbor.y, dist, score: dist + estimate(neighbor.x, neighbor.y) });
+        }
       }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Dijkstra over walkable tiles
+   * Returns Map of "x,y" -> cost for every tile within maxDistance
+   * options: { mover, parents } - parents (Map) is filled with
+   * "x,y" -> previous "x,y" on the cheapest route
+   */
+  calculateMovementCosts(startX, startY, maxDistance, options = {}) {
+    const rules = this.getMovementRules(options.mover);
+    const parents = options.parents || null;
+    const startKey = `${startX},${startY}`;
+    const costs = new Map([[startKey, 0]]);
+    const queue = [{ x: startX, y: startY, dist: 0 }];
+    
+    while (queue.length > 0) {
+      // Take the cheapest frontier tile
+      queue.sort((a, b) => a.dist - b.dist);
+      const current = queue.shift();
+      const currentKey = `${current.x},${current.y}`;
+      if (current.dist > costs.get(currentKey)) continue;
       
-      // Explore neighbors
-      if (current.dist < maxDistance) {
-        const neighbors = [
-          { x: current.x + 1, y: current.y },
-          { x: current.x - 1, y: current.y },
-          { x: current.x, y: current.y + 1 },
-          { x: current.x, y: current.y - 1 }
-        ];
+      for (const neighbor of this.getNeighborSteps(current.x, current.y, rules, currentKey === startKey)) {
+        const dist = current.dist + neighbor.cost;
+        if (dist > maxDistance) continue;
         
-        for (const neighbor of neighbors) {
-          if (this.isValidTile(neighbor.x, neighbor.y)) {
-            queue.push({ ...neighbor, dist: current.dist + 1 });
-          }
+        const key = `${neighbor.x},${neighbor.y}`;
+        if (!costs.has(key) || dist < costs.get(key)) {
+          costs.set(key, dist);
+          if (parents) parents.set(key, currentKey);
+          queue.push({ x: neighbor.x, y: neighbor.y, dist });
         }
       }
     }
     
-    return validMoves;
+    return costs;
   }
   
   /**
@@ -349,7 +984,7 @@ export default class IsometricGrid {
     for (const participantId in this.units) {
       const unit = this.units[participantId];
       if (unit.sprite) {
-        const screenPos = this.gridToScreen(unit.gridX, unit.gridY);
+        const screenPos = this.tileToScreen(unit.gridX, unit.gridY);
         unit.sprite.setPosition(screenPos.x, screenPos.y);
       }
     }
@@ -0,0 +1,51 @@
+// src/systems/LineOfSight.js
+// Line-of-sight and cover helpers for The Marakatas
+// Pure grid math: no Phaser dependency, so targeting and AI can use it headless
+
+/**
+ * Evasion bonus granted to a target by the cover between it and the attacker
+ */
+export const COVER_BONUS = {
+  none: 0,
+  half: 2,
+  full: 5
+};
+
+/**
+ * Tiles crossed by a straight line between two grid cells (Bresenham)
+ * Includes both endpoints, ordered from start to end
+ */
+export function getLineTiles(x0, y0, x1, y1) {
+  const tiles = [];
+  const dx = Math.abs(x1 - x0);
+  const dy = Math.abs(y1 - y0);
+  const stepX = x0 < x1 ? 1 : -1;
+  const stepY = y0 < y1 ? 1 : -1;
+  let error = dx - dy;
+  let x = x0;
+  let y = y0;
+
+  while (true) {
+    tiles.push({ x, y });
+    if (x === x1 && y === y1) break;
+
+    const doubled = error * 2;
+    if (doubled > -dy) {
+      error -= dy;
+      x += stepX;
+    }
+    if (doubled < dx) {
+      error += dx;
+      y += stepY;
+    }
+  }
+
+  return tiles;
+}
+
+/**
+ * Tiles strictly between two grid cells along the sight line
+ */
+export function getIntermediateTiles(x0, y0, x1, y1) {
+  return getLineTiles(x0, y0, x1, y1).slice(1, -1);
+}
@@ -0,0 +1,485 @@
+// src/systems/MissionLoader.js
+// Mission loading and validation for The Marakatas
+// Every mission in data/missions.js is checked once at boot; scenes look
+// missions up here so they only ever see data that passed validation.
+// No Phaser dependency.
+
+import {
+  MISSIONS,
+  MISSION_TYPES,
+  CONTROL_MODES,
+  TURN_SYSTEM_TYPES,
+  OBJECTIVE_TYPES,
+  CONSTRAINT_CONDITIONS,
+  FAILURE_CONDITION_TYPES,
+  NPC_BEHAVIORS,
+  STORY_TRIGGER_TYPES,
+  STORY_ACTION_TYPES
+} from '../data/missions.js';
+import { MARAKATAS_ROSTER } from '../data/Character.js';
+import { CLASS_ABILITIES, getAbility } from '../data/Abilities.js';
+import { getItem } from '../data/Items.js';
+import { getEnemyTemplate } from '../data/Enemies.js';
+import { ATTRIBUTES } from '../data/Progression.js';
+import { TERRAIN_LEGEND, getTerrainType, getObstacleType, getPropType } from '../data/Terrain.js';
+import { getStatusEffect } from '../data/StatusEffects.js';
+import { getAIArchetype } from './EnemyAI.js';
+
+let loadedMissions = null;  // missionId -> mission, valid missions only
+
+// ==========================================
+// MAP HELPERS
+// ==========================================
+
+function isInBounds(map, x, y) {
+  return Number.isInteger(x) && Number.isInteger(y) &&
+         x >= 0 && x < map.width && y >= 0 && y < map.height;
+}
+
+/**
+ * Terrain ID a map places at a tile (layout, then per-tile overrides)
+ */
+function getMapTerrainId(map, x, y) {
+  const override = (map.tiles || []).find(t => t.x === x && t.y === y && t.terrain);
+  if (override) return override.terrain;
+
+  const row = map.layout && map.layout[y];
+  if (row && row[x]) {
+    const legend = { ...TERRAIN_LEGEND, ...(map.legend || {}) };
+    return legend[row[x]] || null;
+  }
+  return map.terrain || 'deck';
+}
+
+/**
+ * True if a unit can start on the tile (walkable terrain, no obstacle)
+ */
+function isStandable(map, x, y) {
+  const terrain = getTerrainType(getMapTerrainId(map, x, y));
+  if (!terrain || !terrain.walkable) return false;
+  return !(map.obstacles || []).some(o => o.x === x && o.y === y);
+}
+
+function formatPosition(x, y) {
+  return `(${x}, ${y})`;
+}
+
+// ==========================================
+// VALIDATION
+// ==========================================
+
+/**
+ * Check a mission against the schema in data/missions.js
+ * Returns { valid, errors: Array<string> }
+ */
+export function validateMission(mission, missionId = mission && mission.id) {
+  const errors = [];
+  const error = (message) => errors.push(message);
+
+  if (!mission || typeof mission !== 'object') {
+    return { valid: false, errors: ['Mission data is missing'] };
+  }
+
+  // Identity and enums
+  if (mission.id !== missionId) error(`id '${mission.id}' does not match its key '${missionId}'`);
+  if (!mission.name) error('Missing name');
+  if (!Object.values(MISSION_TYPES).includes(mission.type)) error(`Unknown mission type '${mission.type}'`);
+  if (!Object.values(CONTROL_MODES).includes(mission.controlMode)) error(`Unknown control mode '${mission.controlMode}'`);
+  if (mission.turnSystem && !Object.values(TURN_SYSTEM_TYPES).includes(mission.turnSystem.type)) {
+    error(`Unknown turn system '${mission.turnSystem.type}'`);
+  }
+
+  // Without a sane map nothing else can be placed
+  const map = mission.map;
+  if (!map || !(map.width > 0) || !(map.height > 0)) {
+    error('Missing map or map size');
+    return { valid: false, errors };
+  }
+
+  validateMap(map, error);
+
+  // Occupied start tiles, so two units never share one
+  const occupied = new Map();
+  const checkPlacement = (label, position, mustStand = true) => {
+    if (!position || !isInBounds(map, position.x, position.y)) {
+      error(`${label} at ${position ? formatPosition(position.x, position.y) : '(?)'} is out of bounds (${map.width}x${map.height})`);
+      return;
+    }
+    if (!mustStand) return;
+
+    if (!isStandable(map, position.x, position.y)) {
+      error(`${label} starts on a blocked tile ${formatPosition(position.x, position.y)}`);
+    }
+    const key = `${position.x},${position.y}`;
+    if (occupied.has(key)) {
+      error(`${label} starts on the same tile as ${occupied.get(key)} ${formatPosition(position.x, position.y)}`);
+    }
+    occupied.set(key, label);
+  };
+
+  // Party, NPCs and the protected unit
+  const available = mission.availableCharacters || [];
+  const forced = mission.forcedCharacters || [];
+  const npcIds = (mission.npcs || []).map(n => n.id);
+  const startingPositions = mission.startingPositions || {};
+
+  if (available.length === 0) error('No availableCharacters');
+  for (const characterId of available) {
+    if (!MARAKATAS_ROSTER[characterId]) error(`Unknown character '${characterId}' in availableCharacters`);
+    if (!startingPositions[characterId]) error(`No starting position for '${characterId}'`);
+  }
+  for (const characterId of forced) {
+    if (!available.includes(characterId)) error(`Forced character '${characterId}' is not in availableCharacters`);
+  }
+  validateDeployment(mission, map, error);
+  for (const npc of mission.npcs || []) {
+    if (!npc.id || !npc.name) error('NPC needs an id and a name');
+    if (npc.class && !CLASS_ABILITIES[npc.class]) error(`NPC '${npc.id}' has unknown class '${npc.class}'`);
+    validateAllyBehavior(npc, `NPC '${npc.id}'`, error);
+    if (!startingPositions[npc.id]) error(`No starting position for NPC '${npc.id}'`);
+  }
+  for (const unitId in startingPositions) {
+    if (!available.includes(unitId) && !npcIds.includes(unitId)) {
+      error(`Starting position for unknown character '${unitId}'`);
+    }
+    checkPlacement(`'${unitId}'`, startingPositions[unitId]);
+  }
+
+  const protectedUnit = mission.protectedUnit;
+  if (protectedUnit) {
+    if (!MARAKATAS_ROSTER[protectedUnit.character]) error(`Unknown protected character '${protectedUnit.character}'`);
+    if (available.includes(protectedUnit.character)) error(`Protected '${protectedUnit.character}' is also in availableCharacters`);
+    if (protectedUnit.initialStatus && !['active', 'downed'].includes(protectedUnit.initialStatus)) {
+      error(`Protected '${protectedUnit.character}' has unknown initialStatus '${protectedUnit.initialStatus}'`);
+    }
+    validateAllyBehavior(protectedUnit, `Protected '${protectedUnit.character}'`, error);
+    checkPlacement(`Protected '${protectedUnit.character}'`, protectedUnit);
+  }
+
+  // Enemies
+  if (!Array.isArray(mission.enemies) || mission.enemies.length === 0) error('No enemies');
+  (mission.enemies || []).forEach((enemy, index) => {
+    const label = `Enemy #${index + 1} (${enemy.type || enemy.name || 'unnamed'})`;
+    validateEnemy(enemy, label, error);
+    checkPlacement(label, enemy);
+    for (const [x, y] of enemy.patrol || []) {
+      checkPlacement(`${label} patrol point`, { x, y }, false);
+    }
+  });
+
+  const reinforcements = mission.specialRules && mission.specialRules.reinforcements;
+  if (reinforcements && reinforcements.triggerAt !== undefined && !mission.specialRules.stealth) {
+    error('Reinforcements wait for an alarm (triggerAt) but the mission has no stealth rules');
+  }
+  for (const wave of (reinforcements && reinforcements.waves) || []) {
+    if (wave.turn !== 'immediate' && !(Number.isInteger(wave.turn) && wave.turn > 0)) {
+      error(`Reinforcement wave turn must be a round number or 'immediate' (got '${wave.turn}')`);
+    }
+    if (!Array.isArray(wave.units) || wave.units.length === 0) error('Reinforcement wave has no units');
+    for (const unit of wave.units || []) {
+      const label = `Reinforcement (${unit.type})`;
+      validateEnemy(unit, label, error);
+      checkPlacement(label, unit, false);
+    }
+  }
+
+  // Objectives, failure conditions and story events
+  const enemyIds = (mission.enemies || []).filter(e => e.id).map(e => e.id);
+  const unitIds = [...available, ...npcIds, ...(protectedUnit ? [protectedUnit.character] : [])];
+  for (const enemyId of enemyIds) {
+    if (unitIds.includes(enemyId) || enemyIds.indexOf(enemyId) !== enemyIds.lastIndexOf(enemyId)) {
+      error(`Enemy id '${enemyId}' is not unique`);
+    }
+  }
+  validateObjectives(mission, map, unitIds, error);
+  validateFailureConditions(mission, unitIds, error);
+  validateStoryEvents(mission, map, [...unitIds, ...enemyIds], error);
+
+  for (const unlockId of (mission.rewards && mission.rewards.unlocks) || []) {
+    // Missions may be unlocked ahead of being written; characters must exist
+    if (!unlockId.startsWith('mission:') && !MARAKATAS_ROSTER[unlockId]) {
+      error(`Reward unlocks unknown character '${unlockId}'`);
+    }
+  }
+  for (const itemId of (mission.rewards && mission.rewards.items) || []) {
+    if (!getItem(itemId)) error(`Reward has unknown item '${itemId}'`);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+function validateMap(map, error) {
+  if (map.terrain && !getTerrainType(map.terrain)) error(`Unknown map terrain '${map.terrain}'`);
+
+  if (map.layout) {
+    const legend = { ...TERRAIN_LEGEND, ...(map.legend || {}) };
+    if (map.layout.length !== map.height) {
+      error(`Map layout has ${map.layout.length} rows, expected ${map.height}`);
+    }
+    map.layout.forEach((row, y) => {
+      if (row.length !== map.width) error(`Map layout row ${y} has ${row.length} tiles, expected ${map.width}`);
+      for (const code of new Set(row)) {
+        if (!getTerrainType(legend[code])) error(`Unknown terrain code '${code}' in map layout row ${y}`);
+      }
+    });
+  }
+
+  for (const tile of map.tiles || []) {
+    if (!isInBounds(map, tile.x, tile.y)) error(`Tile override at ${formatPosition(tile.x, tile.y)} is out of bounds`);
+    if (tile.terrain && !getTerrainType(tile.terrain)) error(`Unknown terrain '${tile.terrain}' at ${formatPosition(tile.x, tile.y)}`);
+  }
+  for (const area of map.elevatedAreas || []) {
+    if (!isInBounds(map, area.x, area.y) || !isInBounds(map, area.x + area.width - 1, area.y + area.height - 1)) {
+      error(`Elevated area '${area.name}' is out of bounds`);
+    }
+  }
+  for (const obstacle of map.obstacles || []) {
+    if (!getObstacleType(obstacle.type)) error(`Unknown obstacle '${obstacle.type}'`);
+    if (!isInBounds(map, obstacle.x, obstacle.y)) error(`Obstacle at ${formatPosition(obstacle.x, obstacle.y)} is out of bounds`);
+  }
+  for (const prop of map.props || []) {
+    if (!getPropType(prop.type)) error(`Unknown prop '${prop.type}'`);
+    if (!isInBounds(map, prop.x, prop.y)) error(`Prop at ${formatPosition(prop.x, prop.y)} is out of bounds`);
+  }
+}
+
+function validateDeployment(mission, map, error) {
+  const deployment = mission.deployment;
+  if (!deployment) return;
+
+  const { min, max, tiles } = deployment;
+  for (const [name, value] of [['min', min], ['max', max]]) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) error(`Deployment ${name} must be a positive integer`);
+  }
+  if (min !== undefined && max !== undefined && min > max) error('Deployment min is above max');
+  if (max !== undefined && (mission.forcedCharacters || []).length > max) error('More forced characters than the deployment max');
+
+  if (tiles !== undefined) {
+    if (!Array.isArray(tiles) || tiles.length === 0) {
+      error('Deployment tiles must be a list of [x, y]');
+      return;
+    }
+    for (const [x, y] of tiles) {
+      if (!isInBounds(map, x, y)) error(`Deployment tile ${formatPosition(x, y)} is out of bounds`);
+      else if (!isStandable(map, x, y)) error(`Deployment tile ${formatPosition(x, y)} is blocked`);
+    }
+    const needed = mission.controlMode === CONTROL_MODES.ALL_PARTY
+      ? (mission.availableCharacters || []).length
+      : Math.max(max || 0, (mission.forcedCharacters || []).length);
+    if (tiles.length < needed) error(`Deployment has ${tiles.length} tiles for up to ${needed} characters`);
+  }
+}
+
+function validateEnemy(enemy, label, error) {
+  if (!getEnemyTemplate(enemy.type)) error(`${label} has unknown enemy type '${enemy.type}'`);
+
+  // Overrides of the template
+  if (enemy.class && !CLASS_ABILITIES[enemy.class]) error(`${label} has unknown class '${enemy.class}'`);
+  if (enemy.level !== undefined && !(Number.isInteger(enemy.level) && enemy.level > 0)) {
+    error(`${label} has invalid level '${enemy.level}'`);
+  }
+  for (const attribute of Object.keys(enemy.attributes || {})) {
+    if (!ATTRIBUTES.includes(attribute)) error(`${label} has unknown attribute '${attribute}'`);
+  }
+  for (const abilityId of enemy.abilities || []) {
+    if (!getAbility(abilityId)) error(`${label} has unknown ability '${abilityId}'`);
+  }
+  for (const itemId of (enemy.loot && enemy.loot.items) || []) {
+    if (!getItem(itemId)) error(`${label} drops unknown item '${itemId}'`);
+  }
+
+  if (enemy.aiType && !getAIArchetype(enemy.aiType)) error(`${label} has unknown aiType '${enemy.aiType}'`);
+}
+
+function validateAllyBehavior(unit, label, error) {
+  if (unit.behavior && !Object.values(NPC_BEHAVIORS).includes(unit.behavior)) {
+    error(`${label} has unknown behavior '${unit.behavior}'`);
+  }
+  if (unit.aiType && !getAIArchetype(unit.aiType)) error(`${label} has unknown aiType '${unit.aiType}'`);
+}
+
+function validateObjectives(mission, map, unitIds, error) {
+  const objectives = mission.objectives;
+  if (!Array.isArray(objectives) || objectives.length === 0) {
+    error('No objectives');
+    return;
+  }
+
+  const seen = new Set();
+  for (const objective of objectives) {
+    const label = `Objective '${objective.id}'`;
+    if (!objective.id) error('Objective without an id');
+    if (seen.has(objective.id)) error(`${label} is defined twice`);
+    seen.add(objective.id);
+
+    switch (objective.type) {
+      case OBJECTIVE_TYPES.SURVIVE:
+        if (!(objective.turns > 0)) error(`${label} needs a number of turns`);
+        break;
+
+      case OBJECTIVE_TYPES.PROTECT:
+        if (!unitIds.includes(objective.targetId)) error(`${label} protects unknown unit '${objective.targetId}'`);
+        break;
+
+      case OBJECTIVE_TYPES.INTERACT:
+        if (!Array.isArray(objective.positions) || objective.positions.length === 0) {
+          error(`${label} needs positions`);
+        }
+        for (const [x, y] of objective.positions || []) {
+          if (!isInBounds(map, x, y)) error(`${label} position ${formatPosition(x, y)} is out of bounds`);
+        }
+        break;
+
+      case OBJECTIVE_TYPES.CONSTRAINT:
+        if (!CONSTRAINT_CONDITIONS.includes(objective.condition)) {
+          error(`${label} has unknown condition '${objective.condition}'`);
+        }
+        break;
+
+      case OBJECTIVE_TYPES.DEFEAT_ALL:
+        break;
+
+      default:
+        error(`${label} has unknown type '${objective.type}'`);
+    }
+  }
+
+  if (!objectives.some(o => o.required)) error('No required objectives');
+}
+
+function validateFailureConditions(mission, unitIds, error) {
+  for (const condition of mission.failureConditions || []) {
+    switch (condition.type) {
+      case FAILURE_CONDITION_TYPES.NPC_DEATH:
+        if (!unitIds.includes(condition.targetId)) error(`Failure condition watches unknown unit '${condition.targetId}'`);
+        break;
+
+      case FAILURE_CONDITION_TYPES.TIME_LIMIT:
+        if (!(condition.turns > 0)) error('time_limit failure condition needs a number of turns');
+        break;
+
+      case FAILURE_CONDITION_TYPES.ALL_UNITS_DEFEATED:
+        break;
+
+      default:
+        error(`Unknown failure condition '${condition.type}'`);
+    }
+  }
+}
+
+function validateStoryEvents(mission, map, unitIds, error) {
+  const objectiveIds = (mission.objectives || []).map(o => o.id);
+  const checkUnit = (label, unitId) => {
+    if (unitId && !unitIds.includes(unitId)) error(`${label} refers to unknown unit '${unitId}'`);
+  };
+
+  (mission.storyEvents || []).forEach((storyEvent, index) => {
+    const label = `Story event '${storyEvent.id || `#${index + 1}`}'`;
+    const trigger = storyEvent.trigger || {};
+
+    switch (trigger.type) {
+      case STORY_TRIGGER_TYPES.ROUND:
+        if (!(trigger.round > 0)) error(`${label} needs a round`);
+        break;
+
+      case STORY_TRIGGER_TYPES.UNIT_DOWNED:
+        checkUnit(label, trigger.unitId);
+        break;
+
+      case STORY_TRIGGER_TYPES.TILE_ENTERED:
+        checkUnit(label, trigger.unitId);
+        if (!Array.isArray(trigger.positions) || trigger.positions.length === 0) error(`${label} needs positions`);
+        for (const [x, y] of trigger.positions || []) {
+          if (!isInBounds(map, x, y)) error(`${label} position ${formatPosition(x, y)} is out of bounds`);
+        }
+        break;
+
+      case STORY_TRIGGER_TYPES.OBJECTIVE_COMPLETED:
+        if (!objectiveIds.includes(trigger.objectiveId)) error(`${label} waits on unknown objective '${trigger.objectiveId}'`);
+        break;
+
+      case STORY_TRIGGER_TYPES.HP_BELOW:
+        checkUnit(label, trigger.unitId);
+        if (!(trigger.percent > 0 && trigger.percent <= 100)) error(`${label} needs a percent between 1 and 100`);
+        break;
+
+      default:
+        error(`${label} has unknown trigger '${trigger.type}'`);
+    }
+
+    if (!Array.isArray(storyEvent.actions) || storyEvent.actions.length === 0) error(`${label} has no actions`);
+    for (const action of storyEvent.actions || []) {
+      switch (action.type) {
+        case STORY_ACTION_TYPES.DIALOGUE:
+          if (!action.text) error(`${label} dialogue needs text`);
+          checkUnit(label, action.unitId);
+          break;
+
+        case STORY_ACTION_TYPES.SPAWN:
+          if (!Array.isArray(action.units) || action.units.length === 0) error(`${label} spawns no units`);
+          for (const unit of action.units || []) {
+            validateEnemy(unit, `${label} spawn`, error);
+            if (!isInBounds(map, unit.x, unit.y)) error(`${label} spawns out of bounds at ${formatPosition(unit.x, unit.y)}`);
+          }
+          break;
+
+        case STORY_ACTION_TYPES.STATUS:
+          if (!action.unitId) error(`${label} status change needs a unitId`);
+          checkUnit(label, action.unitId);
+          for (const effect of [action.effect, action.removeEffect].filter(Boolean)) {
+            if (!getStatusEffect(effect)) error(`${label} uses unknown status effect '${effect}'`);
+          }
+          if (action.status && action.status !== 'downed') error(`${label} has unknown status '${action.status}'`);
+          break;
+
+        case STORY_ACTION_TYPES.CAMERA:
+          if (!isInBounds(map, action.x, action.y)) error(`${label} pans out of bounds to ${formatPosition(action.x, action.y)}`);
+          break;
+
+        default:
+          error(`${label} has unknown action '${action.type}'`);
+      }
+    }
+  });
+}
+
+// ==========================================
+// LOADING
+// ==========================================
+
+/**
+ * Validate every mission and keep the ones that pass
+ * Returns { missions: Array<mission>, errors: Array<string> } with
+ * errors prefixed by mission ID
+ */
+export function loadMissions(missions = MISSIONS) {
+  loadedMissions = {};
+  const errors = [];
+
+  for (const missionId in missions) {
+    const result = validateMission(missions[missionId], missionId);
+    if (result.valid) {
+      loadedMissions[missionId] = missions[missionId];
+    } else {
+      errors.push(...result.errors.map(message => `${missionId}: ${message}`));
+    }
+  }
+
+  return { missions: Object.values(loadedMissions), errors };
+}
+
+/**
+ * Get a validated mission by ID
+ */
+export function getMission(missionId) {
+  if (!loadedMissions) loadMissions();
+  return loadedMissions[missionId] || null;
+}
+
+/**
+ * Get all validated missions
+ */
+export function getAllMissions() {
+  if (!loadedMissions) loadMissions();
+  return Object.values(loadedMissions);
+}
@@ -1,13 +1,33 @@
+// src/systems/MissionManager.js
+// Mission objectives, victory and failure for The Marakatas
+// The scene passes in a gameState ({ participants, detected }) after
+// anything that could change the outcome; objectives and failure
+// conditions are read from the mission data (see data/missions.js).
+
+/**
+ * Objective types that hold until they are broken rather than being
+ * achieved (a protected unit survives, a constraint is respected)
+ */
+const ONGOING_OBJECTIVE_TYPES = ['protect', 'constraint'];
+
 export default class MissionManager {
-  constructor(scene, missionData) {
+  /**
+   * options.difficulty: difficulty ID the mission is played on (data/Difficulty.js)
+   */
+  constructor(scene, missionData, options = {}) {
     this.scene = scene;
     this.missionData = missionData;
-    
+    this.difficulty = options.difficulty || 'normal';
+
     this.objectives = [];
     this.completedObjectives = [];
+    this.failedObjectives = [];
     this.turnCount = 0;
     this.missionState = 'active'; // 'active', 'victory', 'defeat'
-    
+    this.defeatReason = null;     // Why the mission was lost, for the defeat screen
+    this.loot = { gold: 0, items: [] };  // Dropped by downed enemies, kept on victory
+    this.lootedUnits = new Set();
+
     this.initializeObjectives();
   }
 
@@ -16,6 +36,7 @@ export default class MissionManager {
       this.objectives.push({
         ...obj,
         completed: false,
+        failed: false,
         progress: 0
       });
     });
@@ -23,7 +44,7 @@ export default class MissionManager {
 
   checkObjective(objectiveId, progress = null) {
     const objective = this.objectives.find(o => o.id === objectiveId);
-    if (!objective) return;
+    if (!objective || objective.completed || objective.failed) return;
 
     if (progress !== null) {
       objective.progress = progress;
@@ -32,70 +53,217 @@ export default class MissionManager {
     // Check if objective is complete
     switch (objective.type) {
       case 'survive':
+        objective.progress = Math.min(this.turnCount, objective.turns);
         if (this.turnCount >= objective.turns) {
           objective.completed = true;
         }
         break;
-        
-      case 'protect':
-        // Checked elsewhere - NPC must stay alive
-        break;
-        
+
       case 'interact':
-        // Updated when player interacts with target
+        // One interaction per objective position
+        if (objective.progress >= objective.positions.length) {
+          objective.completed = true;
+        }
         break;
-        
+
       case 'defeat_all':
-        // Checked when enemies defeated
+        // Progress is the number of enemies down
+        if (objective.enemyCount > 0 && objective.progress >= objective.enemyCount) {
+          objective.completed = true;
+        }
+        break;
+
+      case 'protect':
+      case 'constraint':
+        // Can only be broken (updateObjectives); achieved on victory
         break;
     }
 
-    if (objective.completed && !this.completedObjectives.includes(objectiveId)) {
-      this.completedObjectives.push(objectiveId);
+    if (objective.completed) {
+      this.completeObjective(objective);
+    }
+  }
+
+  completeObjective(objective) {
+    objective.completed = true;
+    if (!this.completedObjectives.includes(objective.id)) {
+      this.completedObjectives.push(objective.id);
       this.scene.events.emit('objectiveCompleted', objective);
     }
   }
 
+  failObjective(objective, reason = null) {
+    if (objective.failed || objective.completed) return;
+
+    objective.failed = true;
+    this.failedObjectives.push(objective.id);
+    this.scene.events.emit('objectiveFailed', objective, reason);
+  }
+
+  /**
+   * Record a successful Interact on one of an objective's positions
+   */
+  recordInteraction(objectiveId) {
+    const objective = this.objectives.find(o => o.id === objectiveId);
+    if (!objective) return;
+
+    this.checkObjective(objectiveId, objective.progress + 1);
+  }
+
+  /**
+   * Bring objectives up to date with the battlefield
+   * gameState: {
+   *   participants: Array<SessionCharacter>,
+   *   detected:     true once the party has been spotted (stealth missions)
+   * }
+   */
+  updateObjectives(gameState) {
+    for (const objective of this.objectives) {
+      if (objective.completed || objective.failed) continue;
+
+      switch (objective.type) {
+        case 'defeat_all': {
+          const enemies = gameState.participants.filter(p => p.team === 'enemy');
+          objective.enemyCount = enemies.length;
+          this.checkObjective(objective.id, enemies.filter(p => p.status !== 'active').length);
+          break;
+        }
+
+        case 'protect': {
+          const target = this.findUnit(gameState, objective.targetId);
+          if (target && this.isUnitLost(target)) {
+            this.failObjective(objective, `${target.character.name} has fallen`);
+          }
+          break;
+        }
+
+        case 'constraint':
+          this.updateConstraint(objective, gameState);
+          break;
+      }
+    }
+  }
+
+  /**
+   * Break a constraint objective as soon as its condition is violated
+   */
+  updateConstraint(objective, gameState) {
+    switch (objective.condition) {
+      case 'no_enemy_deaths': {
+        const fallen = gameState.participants.find(p => p.team === 'enemy' && this.isUnitLost(p));
+        if (fallen) {
+          this.failObjective(objective, `${fallen.character.name} was taken down`);
+        }
+        break;
+      }
+
+      case 'not_detected':
+        if (gameState.detected) {
+          this.failObjective(objective, 'The party was spotted');
+        }
+        break;
+    }
+  }
+
+  /**
+   * Returns 'defeat' (recording why in defeatReason) or null
+   */
   checkFailureConditions(gameState) {
-    for (const condition of this.missionData.failureConditions) {
+    const defeat = (reason) => {
+      this.defeatReason = reason;
+      return 'defeat';
+    };
+
+    // A wiped-out party always loses
+    const playerUnits = gameState.participants.filter(p => p.team === 'player');
+    if (playerUnits.length > 0 && playerUnits.every(p => p.status !== 'active')) {
+      return defeat('The party has fallen');
+    }
+
+    // NPCs the story needs alive
+    for (const npc of this.missionData.npcs || []) {
+      const unit = npc.mustSurvive ? this.findUnit(gameState, npc.id) : null;
+      if (unit && this.isUnitLost(unit)) {
+        return defeat(`${unit.character.name} has fallen`);
+      }
+    }
+
+    for (const condition of this.missionData.failureConditions || []) {
       switch (condition.type) {
         case 'all_units_defeated':
-          if (gameState.playerUnits.filter(u => u.hp > 0).length === 0) {
-            return 'defeat';
-          }
+          // Covered above
           break;
-          
-        case 'npc_death':
-          const npc = gameState.npcs.find(n => n.id === condition.targetId);
-          if (npc && npc.hp <= 0) {
-            return 'defeat';
+
+        case 'npc_death': {
+          const npc = this.findUnit(gameState, condition.targetId);
+          if (npc && this.isUnitLost(npc)) {
+            return defeat(`${npc.character.name} has fallen`);
           }
           break;
-          
+        }
+
         case 'time_limit':
-          if (this.turnCount >= condition.turns) {
-            return 'defeat';
-          }
+          // Covered below (also honours turnSystem.timeLimit)
           break;
       }
     }
+
+    const turnLimit = this.getTurnLimit();
+    if (turnLimit && this.turnCount >= turnLimit) {
+      return defeat(`Out of time (${turnLimit} turns)`);
+    }
+
+    // Breaking a required objective loses the mission
+    const broken = this.objectives.find(o => o.required && o.failed);
+    if (broken) {
+      return defeat(`Objective failed: ${broken.description}`);
+    }
     return null;
   }
 
   checkVictoryConditions() {
-    // All required objectives must be complete
+    // All required objectives must be complete; protect and constraint
+    // objectives count as long as they haven't been broken, but at least
+    // one required goal has to actually be achieved
     const requiredObjectives = this.objectives.filter(o => o.required);
-    const allRequired = requiredObjectives.every(o => o.completed);
-    
-    if (allRequired) {
+    const goals = requiredObjectives.filter(o => !ONGOING_OBJECTIVE_TYPES.includes(o.type));
+
+    const allRequired = requiredObjectives.every(o =>
+      o.completed || (ONGOING_OBJECTIVE_TYPES.includes(o.type) && !o.failed)
+    );
+
+    if (allRequired && goals.length > 0 && goals.every(o => o.completed)) {
       return 'victory';
     }
     return null;
   }
 
+  /**
+   * Update objectives and decide the mission
+   * Returns 'victory', 'defeat' or null while the mission goes on
+   */
+  evaluate(gameState) {
+    if (this.missionState !== 'active') return this.missionState;
+
+    this.updateObjectives(gameState);
+
+    const outcome = this.checkFailureConditions(gameState) || this.checkVictoryConditions();
+    if (outcome) {
+      this.missionState = outcome;
+
+      // Ongoing objectives that held to the end are achieved
+      if (outcome === 'victory') {
+        this.objectives
+          .filter(o => ONGOING_OBJECTIVE_TYPES.includes(o.type) && !o.failed)
+          .forEach(o => this.completeObjective(o));
+      }
+    }
+    return outcome;
+  }
+
   incrementTurn() {
     this.turnCount++;
-    
+
     // Check survive objectives
     this.objectives.forEach(obj => {
       if (obj.type === 'survive') {
@@ -104,12 +272,89 @@ export default class MissionManager {
     });
   }
 
+  /**
+   * Turn limit from a time_limit failure condition (or turnSystem), if any
+   */
+  getTurnLimit() {
+    const condition = (this.missionData.failureConditions || []).find(c => c.type === 'time_limit');
+    if (condition) return condition.turns;
+    return (this.missionData.turnSystem && this.missionData.turnSystem.timeLimit) || null;
+  }
+
+  /**
+   * Participant for a mission unit ID (roster or NPC ID)
+   */
+  findUnit(gameState, unitId) {
+    return gameState.participants.find(p => p.rosterId === unitId) || null;
+  }
+
+  isUnitLost(participant) {
+    return participant.status === 'dead' || participant.status === 'downed';
+  }
+
+  /**
+   * An enemy went down: bank its loot ({ gold, items }, see data/Enemies.js)
+   * Each unit drops its loot once, even if it is revived and downed again
+   */
+  recordLoot(participant) {
+    const loot = participant.character.loot;
+    if (!loot || this.lootedUnits.has(participant.id)) return;
+    this.lootedUnits.add(participant.id);
+    this.loot.gold += loot.gold || 0;
+    this.loot.items.push(...(loot.items || []));
+  }
+
+  /**
+   * Rewards earned by a won mission: the mission's base rewards plus the
+   * bonus of every optional objective achieved and the loot collected
+   * A lost mission earns its failureConsequences experience only
+   * Returns { experience, gold, items, bonuses: Array<{ description, experience }> }
+   */
+  getEarnedRewards() {
+    const rewards = this.missionData.rewards || {};
+    const won = this.missionState === 'victory';
+    if (this.missionState === 'defeat') {
+      const failure = this.missionData.failureConsequences || {};
+      return { experience: failure.experience || 0, gold: 0, items: [], bonuses: [] };
+    }
+
+    const bonuses = won
+      ? this.objectives
+        .filter(o => o.completed && o.bonus)
+        .map(o => ({ description: o.description, experience: o.bonus.experience || 0 }))
+      : [];
+
+    return {
+      experience: won ? (rewards.experience || 0) + bonuses.reduce((sum, b) => sum + b.experience, 0) : 0,
+      gold: won ? (rewards.gold || 0) + this.loot.gold : 0,
+      items: won ? [...(rewards.items || []), ...this.loot.items] : [],
+      bonuses
+    };
+  }
+
+  /**
+   * Summary of a finished (or abandoned) mission, for saving and display
+   */
+  getResults() {
+    return {
+      missionId: this.missionData.id,
+      outcome: this.missionState,
+      difficulty: this.difficulty,
+      turns: this.turnCount,
+      completedObjectives: this.objectives.filter(o => o.completed).map(o => o.id),
+      defeatReason: this.defeatReason,
+      rewards: this.getEarnedRewards()
+    };
+  }
+
   getMissionProgress() {
     return {
       turnCount: this.turnCount,
+      turnLimit: this.getTurnLimit(),
       objectives: this.objectives,
       completedObjectives: this.completedObjectives,
+      failedObjectives: this.failedObjectives,
       missionState: this.missionState
     };
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,82 @@
+// src/systems/MissionScript.js
+// Scripted story events for The Marakatas
+// Matches the mission's storyEvents against what happens in combat; the
+// scene reports events here and plays back the actions that fire
+// (dialogue, spawns, status changes, camera pans). No Phaser dependency.
+
+/**
+ * True if a trigger's unit filter (unitId or team) matches a participant
+ * With neither set, any unit matches
+ */
+function matchesUnit(trigger, participant) {
+  if (trigger.unitId) return participant.rosterId === trigger.unitId;
+  if (trigger.team) return participant.team === trigger.team;
+  return true;
+}
+
+export default class MissionScript {
+  /**
+   * @param {object} missionData - Mission with storyEvents (see data/missions.js)
+   */
+  constructor(missionData) {
+    this.events = (missionData.storyEvents || []).map((event, index) => ({
+      ...event,
+      id: event.id || `story_${index}`,
+      fired: false
+    }));
+  }
+
+  /**
+   * Report something that happened in combat
+   * event: { type: 'round', round }
+   *      | { type: 'unit_downed', unit }
+   *      | { type: 'tile_entered', unit }         (unit already on the tile)
+   *      | { type: 'objective_completed', objectiveId }
+   *      | { type: 'hp_changed', unit }
+   * Returns the actions of every story event it fires, in order
+   */
+  trigger(event) {
+    const actions = [];
+
+    for (const storyEvent of this.events) {
+      if (storyEvent.fired && storyEvent.once !== false) continue;
+      if (!this.matches(storyEvent.trigger, event)) continue;
+
+      storyEvent.fired = true;
+      actions.push(...storyEvent.actions);
+    }
+
+    return actions;
+  }
+
+  /**
+   * True if a story trigger fires for a combat event
+   */
+  matches(trigger, event) {
+    switch (trigger.type) {
+      case 'round':
+        return event.type === 'round' && event.round === trigger.round;
+
+      case 'unit_downed':
+        return event.type === 'unit_downed' && matchesUnit(trigger, event.unit);
+
+      case 'tile_entered':
+        return event.type === 'tile_entered' &&
+               matchesUnit({ team: 'player', ...trigger }, event.unit) &&
+               trigger.positions.some(([x, y]) => event.unit.x === x && event.unit.y === y);
+
+      case 'objective_completed':
+        return event.type === 'objective_completed' && event.objectiveId === trigger.objectiveId;
+
+      case 'hp_below': {
+        if (event.type !== 'hp_changed' || !matchesUnit(trigger, event.unit)) return false;
+        const unit = event.unit;
+        return unit.status === 'active' &&
+               unit.currentPrana / unit.character.maxPrana * 100 < trigger.percent;
+      }
+
+      default:
+        return false;
+    }
+  }
+}
@@ -0,0 +1,206 @@
+// src/systems/PartyDeployment.js
+// Pre-mission party selection for The Marakatas
+// Works out who may deploy (the mission's availableCharacters the campaign
+// has unlocked, forced characters always), how many, and on which start
+// tiles, following the mission's control mode:
+//   all_party: everyone who may deploy does; the player only arranges them
+//   selected:  the player picks between deployment.min and deployment.max
+//   single:    the player picks the one character they control (VN style);
+//              forced characters come along as AI allies
+// No Phaser dependency.
+
+import { CONTROL_MODES } from '../data/missions.js';
+
+export const DEFAULT_PARTY_SIZE = { min: 3, max: 4 };  // For the 'selected' control mode
+
+export default class PartyDeployment {
+  /**
+   * @param {object} missionData - Validated mission (see data/missions.js)
+   * @param {CampaignState} campaign - For unlocked characters; everyone available if omitted
+   */
+  constructor(missionData, campaign = null) {
+    const deployment = missionData.deployment || {};
+    this.controlMode = missionData.controlMode;
+    this.forced = missionData.forcedCharacters || [];
+
+    // Forced characters deploy whatever the campaign has unlocked
+    this.candidates = missionData.availableCharacters.filter(rosterId =>
+      this.forced.includes(rosterId) || !campaign || campaign.isCharacterUnlocked(rosterId));
+
+    // Allowed start tiles: the mission's deployment zone, or the characters' own starting positions
+    this.tiles = deployment.tiles
+      ? deployment.tiles.map(([x, y]) => ({ x, y }))
+      : missionData.availableCharacters.map(rosterId => ({ ...missionData.startingPositions[rosterId] }));
+    this.startingPositions = missionData.startingPositions;
+
+    if (this.controlMode === CONTROL_MODES.SELECTED_PARTY) {
+      const max = Math.min(deployment.max || DEFAULT_PARTY_SIZE.max, this.candidates.length, this.tiles.length);
+      this.size = { min: Math.min(deployment.min || DEFAULT_PARTY_SIZE.min, max), max };
+    } else if (this.controlMode === CONTROL_MODES.SINGLE_CHARACTER) {
+      this.size = { min: 1, max: 1 };
+    } else {
+      this.size = { min: this.candidates.length, max: this.candidates.length };
+    }
+
+    this.selected = [];      // Roster IDs deploying, in order
+    this.placements = {};    // rosterId -> { x, y }
+    this.controlled = null;  // Single mode: the character the player controls
+
+    this.selectDefaults();
+  }
+
+  /**
+   * Forced characters first, then candidates in order up to the minimum
+   * (everyone for all_party)
+   */
+  selectDefaults() {
+    if (this.controlMode === CONTROL_MODES.SINGLE_CHARACTER) {
+      for (const rosterId of this.forced) this.add(rosterId);
+      this.setControlled(this.forced[0] || this.candidates[0]);
+      return;
+    }
+
+    for (const rosterId of this.forced) this.add(rosterId);
+    for (const rosterId of this.candidates) {
+      if (this.selected.length >= this.size.min) break;
+      if (!this.isSelected(rosterId)) this.add(rosterId);
+    }
+  }
+
+  // ==========================================
+  // QUERIES
+  // ==========================================
+
+  isSelected(rosterId) {
+    return this.selected.includes(rosterId);
+  }
+
+  isForced(rosterId) {
+    return this.forced.includes(rosterId);
+  }
+
+  /**
+   * Roster ID standing on a start tile, or null
+   */
+  getOccupant(x, y) {
+    return this.selected.find(rosterId => {
+      const tile = this.placements[rosterId];
+      return tile && tile.x === x && tile.y === y;
+    }) || null;
+  }
+
+  isStartTile(x, y) {
+    return this.tiles.some(tile => tile.x === x && tile.y === y);
+  }
+
+  // ==========================================
+  // CHANGES
+  // ==========================================
+
+  /**
+   * Add or remove a character (single mode: make them the controlled one)
+   * Returns { valid, message }
+   */
+  toggle(rosterId) {
+    if (!this.candidates.includes(rosterId)) {
+      return { valid: false, message: 'Not available for this mission' };
+    }
+
+    if (this.controlMode === CONTROL_MODES.SINGLE_CHARACTER) {
+      this.setControlled(rosterId);
+      return { valid: true, message: '' };
+    }
+
+    if (this.isSelected(rosterId)) {
+      if (this.isForced(rosterId)) return { valid: false, message: 'Must deploy on this mission' };
+      if (this.controlMode === CONTROL_MODES.ALL_PARTY) return { valid: false, message: 'The whole party deploys' };
+
+      this.selected.splice(this.selected.indexOf(rosterId), 1);
+      delete this.placements[rosterId];
+      return { valid: true, message: '' };
+    }
+
+    if (this.selected.length >= this.size.max) {
+      return { valid: false, message: `The party is full (${this.size.max})` };
+    }
+    this.add(rosterId);
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * Single mode: control a character; the previous one stays only if forced
+   */
+  setControlled(rosterId) {
+    if (this.controlled && this.controlled !== rosterId && !this.isForced(this.controlled)) {
+      this.selected.splice(this.selected.indexOf(this.controlled), 1);
+      delete this.placements[this.controlled];
+    }
+    if (!this.isSelected(rosterId)) this.add(rosterId);
+    this.controlled = rosterId;
+  }
+
+  /**
+   * Move a deploying character to a start tile, swapping with whoever is there
+   * Returns { valid, message }
+   */
+  place(rosterId, x, y) {
+    if (!this.isSelected(rosterId)) return { valid: false, message: 'Not deploying' };
+    if (!this.isStartTile(x, y)) return { valid: false, message: 'Not a start tile' };
+
+    const occupant = this.getOccupant(x, y);
+    if (occupant && occupant !== rosterId) {
+      this.placements[occupant] = this.placements[rosterId];
+    }
+    this.placements[rosterId] = { x, y };
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * Add a character on their own starting position if it is a free start
+   * tile, otherwise on the first free one
+   */
+  add(rosterId) {
+    this.selected.push(rosterId);
+
+    const own = this.startingPositions[rosterId];
+    const tile = own && this.isStartTile(own.x, own.y) && !this.getOccupant(own.x, own.y)
+      ? own
+      : this.tiles.find(t => !this.getOccupant(t.x, t.y));
+    if (tile) this.placements[rosterId] = { x: tile.x, y: tile.y };
+  }
+
+  // ==========================================
+  // RESULT
+  // ==========================================
+
+  /**
+   * Returns { valid, message }
+   */
+  validate() {
+    if (this.controlMode === CONTROL_MODES.SINGLE_CHARACTER && !this.controlled) {
+      return { valid: false, message: 'Choose a character to play' };
+    }
+    if (this.controlMode !== CONTROL_MODES.SINGLE_CHARACTER && this.selected.length < this.size.min) {
+      return { valid: false, message: `Choose at least ${this.size.min} characters` };
+    }
+    if (this.selected.some(rosterId => !this.placements[rosterId])) {
+      return { valid: false, message: 'Not enough start tiles' };
+    }
+    return { valid: true, message: '' };
+  }
+
+  /**
+   * What the mission scene deploys
+   * Returns { party: Array<{ rosterId, x, y }>, allies: Array<{ rosterId, x, y }> }
+   * (allies: single mode companions, fought by the AI)
+   */
+  getDeployment() {
+    const units = this.selected.map(rosterId => ({ rosterId, ...this.placements[rosterId] }));
+    if (this.controlMode !== CONTROL_MODES.SINGLE_CHARACTER) return { party: units, allies: [] };
+
+    return {
+      party: units.filter(unit => unit.rosterId === this.controlled),
+      allies: units.filter(unit => unit.rosterId !== this.controlled)
+    };
+  }
+}
@@ -0,0 +1,112 @@
+// src/systems/PatrolRoute.js
+// Waypoint patrol loops for guards in The Marakatas
+// Plans each turn's walk along the loop with the grid's pathfinding;
+// the scene carries out the actual move.
+
+/**
+ * Furthest step along a path that fits in the given speed and can be
+ * stood on (units may be walked past but not stopped on)
+ * Returns { x, y, facing: {x, y} } or null if no step is possible
+ */
+export function getReachableStep(grid, from, path, speed) {
+  let best = null;
+  let previous = from;
+
+  for (const step of path) {
+    if (step.cost > speed) break;
+
+    const facing = { x: step.x - previous.x, y: step.y - previous.y };
+    if (!grid.isOccupied(step.x, step.y)) {
+      best = { x: step.x, y: step.y, facing };
+    }
+    previous = step;
+  }
+
+  return best;
+}
+
+export default class PatrolRoute {
+  /**
+   * @param {Array<[number, number]>} waypoints - Loop of grid positions
+   */
+  constructor(waypoints) {
+    this.waypoints = waypoints.map(([x, y]) => ({ x, y }));
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Head for the waypoint after the one at (x, y), if it's on the route
+   */
+  syncToPosition(x, y) {
+    const index = this.waypoints.findIndex(w => w.x === x && w.y === y);
+    if (index !== -1) {
+      this.nextIndex = (index + 1) % this.waypoints.length;
+    }
+  }
+
+  getNextWaypoint() {
+    return this.waypoints[this.nextIndex] || null;
+  }
+
+  advance() {
+    this.nextIndex = (this.nextIndex + 1) % this.waypoints.length;
+  }
+
+  /**
+   * Plan this turn's walk toward the next waypoint
+   * The guard stops on arriving at a waypoint, pausing there to turn
+   * toward the next leg
+   * Returns { destination: {x, y}|null, facing: {x, y}|null, reachedWaypoint }
+   */
+  planTurn(participant, grid, speed) {
+    const target = this.getNextWaypoint();
+    if (!target) return { destination: null, facing: null, reachedWaypoint: false };
+
+    // Already standing on it (e.g. pushed there): just turn the corner
+    if (participant.x === target.x && participant.y === target.y) {
+      this.advance();
+      return { destination: null, facing: this.getFacingFrom(target), reachedWaypoint: true };
+    }
+
+    const path = grid.findPath(participant.x, participant.y, target.x, target.y, { mover: participant });
+    const step = path ? getReachableStep(grid, participant, path, speed) : null;
+    if (!step) return { destination: null, facing: null, reachedWaypoint: false };
+
+    const reachedWaypoint = step.x === target.x && step.y === target.y;
+    if (reachedWaypoint) {
+      this.advance();
+    }
+
+    return {
+      destination: { x: step.x, y: step.y },
+      facing: reachedWaypoint ? this.getFacingFrom(target) : step.facing,
+      reachedWaypoint
+    };
+  }
+
+  /**
+   * Direction from a waypoint toward the next one on the loop
+   */
+  getFacingFrom(waypoint) {
+    const next = this.getNextWaypoint();
+    return { x: next.x - waypoint.x, y: next.y - waypoint.y };
+  }
+
+  /**
+   * Tiles of one full lap starting from the participant's position
+   * (for the hover overlay)
+   */
+  getUpcomingPath(participant, grid) {
+    const tiles = [];
+    let from = participant;
+
+    for (let i = 0; i < this.waypoints.length; i++) {
+      const waypoint = this.waypoints[(this.nextIndex + i) % this.waypoints.length];
+      const leg = grid.findPath(from.x, from.y, waypoint.x, waypoint.y) || [];
+      tiles.push(...leg);
+      from = waypoint;
+    }
+
+    return tiles;
+  }
+}
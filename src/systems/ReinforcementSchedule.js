@@ -0,0 +1,91 @@
+// src/systems/ReinforcementSchedule.js
+// Reinforcement waves for The Marakatas
+// Reads specialRules.reinforcements and decides which waves arrive (or are
+// telegraphed) as rounds begin. Without a triggerAt threshold, wave turns
+// count from the start of the mission; with one, they wait for the alarm
+// (see StealthSystem) and count from the round it went off.
+// No Phaser dependency.
+
+export default class ReinforcementSchedule {
+  /**
+   * @param {object} missionData - Mission with specialRules.reinforcements
+   */
+  constructor(missionData) {
+    const rules = (missionData.specialRules && missionData.specialRules.reinforcements) || {};
+
+    this.needsAlarm = rules.triggerAt !== undefined;
+    this.alarmRound = null;
+    this.waves = (rules.waves || []).map((wave, index) => ({
+      ...wave,
+      id: `wave_${index}`,
+      arrivalRound: null,
+      state: 'pending'  // 'pending', 'telegraphed', 'arrived'
+    }));
+
+    if (!this.needsAlarm) {
+      this.waves.forEach(wave => {
+        wave.arrivalRound = wave.turn === 'immediate' ? 1 : wave.turn;
+      });
+    }
+  }
+
+  /**
+   * The alarm went off during a round: schedule waiting waves
+   * Returns { arriving, telegraphed } like startRound; 'immediate' waves
+   * arrive now, waves due next round are announced now
+   */
+  raiseAlarm(round) {
+    const arriving = [];
+    const telegraphed = [];
+    if (!this.needsAlarm || this.alarmRound !== null) return { arriving, telegraphed };
+    this.alarmRound = round;
+
+    for (const wave of this.waves) {
+      if (wave.turn === 'immediate') {
+        wave.state = 'arrived';
+        arriving.push(wave);
+        continue;
+      }
+
+      wave.arrivalRound = round + wave.turn;
+      if (wave.arrivalRound === round + 1) {
+        wave.state = 'telegraphed';
+        telegraphed.push(wave);
+      }
+    }
+    return { arriving, telegraphed };
+  }
+
+  /**
+   * A round has begun
+   * Returns { arriving, telegraphed }: waves that enter now, and waves that
+   * will enter next round (to be marked on the map)
+   */
+  startRound(round) {
+    const arriving = [];
+    const telegraphed = [];
+
+    for (const wave of this.waves) {
+      if (wave.state === 'arrived' || wave.arrivalRound === null) continue;
+
+      if (round >= wave.arrivalRound) {
+        wave.state = 'arrived';
+        arriving.push(wave);
+      } else if (round === wave.arrivalRound - 1 && wave.state === 'pending') {
+        wave.state = 'telegraphed';
+        telegraphed.push(wave);
+      }
+    }
+
+    return { arriving, telegraphed };
+  }
+
+  /**
+   * Spawn tiles of every wave announced but not yet arrived
+   */
+  getTelegraphedTiles() {
+    return this.waves
+      .filter(wave => wave.state === 'telegraphed')
+      .flatMap(wave => wave.units.map(unit => ({ x: unit.x, y: unit.y })));
+  }
+}
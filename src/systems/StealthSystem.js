@@ -0,0 +1,344 @@
+// src/systems/StealthSystem.js
+// Stealth and detection for The Marakatas
+// Guards watch a vision cone; sightings raise a mission-wide alert meter,
+// and past the reinforcement threshold the crew calls for help.
+// No Phaser dependency: the scene renders cones and the meter from this state.
+
+import { calculateDistance } from './AbilitySystem.js';
+
+export const GUARD_STATES = {
+  PATROLLING: 'patrolling',
+  SLEEPING: 'sleeping',
+  SUSPICIOUS: 'suspicious',
+  ALERTED: 'alerted'
+};
+
+export const ALERT_MAX = 100;
+
+/**
+ * Alert meter increases per kind of disturbance
+ */
+export const ALERT_GAIN = {
+  glimpse: 10,   // A guard catches sight of someone and grows suspicious
+  spotted: 25,   // A suspicious guard confirms an intruder
+  attacked: 40,  // A guard is hit
+  noise: 5       // Combat nearby wakes or worries a guard
+};
+
+const DEFAULT_DETECTION_RANGE = 4;
+const VISION_HALF_ANGLE = 60;     // Degrees either side of facing
+const SUSPICION_TURNS = 2;        // Guard turns before a suspicious guard calms down
+
+export default class StealthSystem {
+  /**
+   * @param {IsometricGrid|null} grid - Used for line of sight (optional)
+   * @param {object} missionData - Mission with specialRules.stealth
+   */
+  constructor(grid, missionData) {
+    const rules = missionData.specialRules || {};
+
+    this.grid = grid;
+    this.enabled = !!rules.stealth;
+    this.alertLevel = rules.alertLevel || 0;
+    this.reinforcements = rules.reinforcements || null;
+    this.reinforcementsTriggered = false;
+    this.detected = false;  // Any guard has confirmed an intruder (not_detected objective)
+
+    this.guards = {};  // participantId -> { participant, state, facing, detectionRange, lastSeen, calmIn }
+  }
+
+  // ==========================================
+  // GUARDS
+  // ==========================================
+
+  /**
+   * Start tracking an enemy as a guard
+   * options: { state, detectionRange, facing: {x, y} }
+   */
+  registerGuard(participant, options = {}) {
+    this.guards[participant.id] = {
+      participant,
+      state: options.state || GUARD_STATES.PATROLLING,
+      facing: options.facing || { x: -1, y: 0 },
+      detectionRange: options.detectionRange || DEFAULT_DETECTION_RANGE,
+      lastSeen: null,
+      calmIn: 0
+    };
+  }
+
+  getGuard(participantId) {
+    return this.guards[participantId] || null;
+  }
+
+  /**
+   * True if the participant should fight normally
+   * (not a guard, or a guard that has been alerted)
+   */
+  isHostile(participantId) {
+    const guard = this.getGuard(participantId);
+    return !guard || guard.state === GUARD_STATES.ALERTED;
+  }
+
+  /**
+   * Point a guard's vision cone in a grid direction
+   */
+  setFacing(participantId, dx, dy) {
+    const guard = this.getGuard(participantId);
+    if (!guard || (dx === 0 && dy === 0)) return;
+
+    guard.facing = { x: Math.sign(dx), y: Math.sign(dy) };
+  }
+
+  /**
+   * Point a guard's vision cone at a tile
+   */
+  faceToward(participantId, x, y) {
+    const guard = this.getGuard(participantId);
+    if (!guard) return;
+
+    this.setFacing(participantId, x - guard.participant.x, y - guard.participant.y);
+  }
+
+  /**
+   * Change a guard's state
+   * Returns a log event, or null if nothing changed
+   */
+  setGuardState(participantId, state, reason = null) {
+    const guard = this.getGuard(participantId);
+    if (!guard || guard.state === state) return null;
+
+    guard.state = state;
+    if (state === GUARD_STATES.SUSPICIOUS) guard.calmIn = SUSPICION_TURNS;
+
+    const name = guard.participant.character.name;
+    const messages = {
+      [GUARD_STATES.PATROLLING]: `😌 ${name} shrugs and goes back to patrolling`,
+      [GUARD_STATES.SLEEPING]: `💤 ${name} dozes off`,
+      [GUARD_STATES.SUSPICIOUS]: `❓ ${name} ${reason || 'senses something'}...`,
+      [GUARD_STATES.ALERTED]: `❗ ${name} ${reason || 'raises the alarm'}!`
+    };
+
+    return {
+      eventType: 'guard_state',
+      target: name,
+      state: state,
+      message: messages[state]
+    };
+  }
+
+  // ==========================================
+  // VISION
+  // ==========================================
+
+  /**
+   * Check whether a guard can see a tile
+   * Sleeping guards see nothing; alerted guards look all around;
+   * otherwise the tile must be inside the facing cone. Terrain can block
+   * the view, other units can't.
+   */
+  canSee(participantId, x, y) {
+    const guard = this.getGuard(participantId);
+    if (!guard || guard.participant.status !== 'active') return false;
+    if (guard.state === GUARD_STATES.SLEEPING) return false;
+
+    const origin = guard.participant;
+    const distance = calculateDistance(origin.x, origin.y, x, y);
+    if (distance === 0 || distance > guard.detectionRange) return false;
+
+    if (guard.state !== GUARD_STATES.ALERTED) {
+      const dx = x - origin.x;
+      const dy = y - origin.y;
+      const cosine = (dx * guard.facing.x + dy * guard.facing.y) /
+                     (Math.hypot(dx, dy) * Math.hypot(guard.facing.x, guard.facing.y));
+      if (cosine < Math.cos(VISION_HALF_ANGLE * Math.PI / 180)) return false;
+    }
+
+    if (this.grid) {
+      return this.grid.hasLineOfSight(origin.x, origin.y, x, y, { ignoreUnits: true });
+    }
+    return true;
+  }
+
+  /**
+   * Every tile a guard can currently see (for drawing vision cones)
+   */
+  getVisionTiles(participantId) {
+    const guard = this.getGuard(participantId);
+    if (!guard) return [];
+
+    const { x: gx, y: gy } = guard.participant;
+    const range = guard.detectionRange;
+    const tiles = [];
+
+    for (let y = gy - range; y <= gy + range; y++) {
+      for (let x = gx - range; x <= gx + range; x++) {
+        if (this.grid && !this.grid.getTile(x, y)) continue;
+        if (this.canSee(participantId, x, y)) tiles.push({ x, y });
+      }
+    }
+
+    return tiles;
+  }
+
+  // ==========================================
+  // DETECTION
+  // ==========================================
+
+  /**
+   * Look for player units in every guard's view
+   * Call after anything moves. Returns log events (may include a
+   * 'reinforcements' event when the alert meter crosses the threshold)
+   */
+  updateDetection(participants) {
+    const events = [];
+    const intruders = participants.filter(p => p.team === 'player' && p.status === 'active');
+
+    for (const guardId in this.guards) {
+      const guard = this.guards[guardId];
+      if (guard.participant.status !== 'active') continue;
+
+      // Sleeping guards only stir when someone is right next to them
+      if (guard.state === GUARD_STATES.SLEEPING) {
+        const intruder = intruders.find(p => calculateDistance(p.x, p.y, guard.participant.x, guard.participant.y) <= 1);
+        if (intruder) {
+          guard.lastSeen = { x: intruder.x, y: intruder.y };
+          this.faceToward(guardId, intruder.x, intruder.y);
+          this.pushEvent(events, this.setGuardState(guardId, GUARD_STATES.SUSPICIOUS, 'stirs in their sleep'));
+          events.push(...this.raiseAlert(ALERT_GAIN.noise));
+        }
+        continue;
+      }
+
+      const seen = intruders
+        .filter(p => this.canSee(guardId, p.x, p.y))
+        .sort((a, b) => calculateDistance(a.x, a.y, guard.participant.x, guard.participant.y) -
+                        calculateDistance(b.x, b.y, guard.participant.x, guard.participant.y));
+      if (seen.length === 0) continue;
+
+      const intruder = seen[0];
+      guard.lastSeen = { x: intruder.x, y: intruder.y };
+      this.faceToward(guardId, intruder.x, intruder.y);
+
+      if (guard.state === GUARD_STATES.ALERTED) continue;
+
+      // A second look, or someone right in their face, confirms it
+      const adjacent = calculateDistance(intruder.x, intruder.y, guard.participant.x, guard.participant.y) <= 1;
+      if (guard.state === GUARD_STATES.SUSPICIOUS || adjacent) {
+        this.detected = true;
+        this.pushEvent(events, this.setGuardState(guardId, GUARD_STATES.ALERTED, `spots ${intruder.character.name}`));
+        events.push(...this.raiseAlert(ALERT_GAIN.spotted));
+      } else {
+        this.pushEvent(events, this.setGuardState(guardId, GUARD_STATES.SUSPICIOUS, `glimpses movement near ${intruder.character.name}`));
+        events.push(...this.raiseAlert(ALERT_GAIN.glimpse));
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Combat noise at a tile worries unalerted guards within radius
+   */
+  onNoise(x, y, radius = 3) {
+    const events = [];
+
+    for (const guardId in this.guards) {
+      const guard = this.guards[guardId];
+      if (guard.participant.status !== 'active') continue;
+      if (guard.state === GUARD_STATES.ALERTED || guard.state === GUARD_STATES.SUSPICIOUS) continue;
+      if (calculateDistance(x, y, guard.participant.x, guard.participant.y) > radius) continue;
+
+      guard.lastSeen = { x, y };
+      this.faceToward(guardId, x, y);
+      this.pushEvent(events, this.setGuardState(guardId, GUARD_STATES.SUSPICIOUS, 'hears a commotion'));
+      events.push(...this.raiseAlert(ALERT_GAIN.noise));
+    }
+
+    return events;
+  }
+
+  /**
+   * A guard was attacked: they know exactly what's going on
+   */
+  onGuardAttacked(participantId, attacker) {
+    const guard = this.getGuard(participantId);
+    if (!guard) return [];
+
+    const events = [];
+    this.detected = true;
+    guard.lastSeen = { x: attacker.x, y: attacker.y };
+    this.faceToward(participantId, attacker.x, attacker.y);
+
+    this.pushEvent(events, this.setGuardState(participantId, GUARD_STATES.ALERTED, `is attacked by ${attacker.character.name}`));
+    events.push(...this.raiseAlert(ALERT_GAIN.attacked));
+    return events;
+  }
+
+  /**
+   * End of a guard's own turn: suspicion fades if nothing more turned up
+   */
+  advanceGuard(participantId) {
+    const guard = this.getGuard(participantId);
+    if (!guard || guard.state !== GUARD_STATES.SUSPICIOUS) return [];
+
+    guard.calmIn -= 1;
+    if (guard.calmIn > 0) return [];
+
+    guard.lastSeen = null;
+    const event = this.setGuardState(participantId, GUARD_STATES.PATROLLING);
+    return event ? [event] : [];
+  }
+
+  // ==========================================
+  // ALERT METER
+  // ==========================================
+
+  /**
+   * Raise the alert meter
+   * Crossing reinforcements.triggerAt (or maxing the meter) alerts every
+   * guard; the threshold also returns a one-time 'reinforcements' event
+   */
+  raiseAlert(amount) {
+    const events = [];
+    const previous = this.alertLevel;
+    this.alertLevel = Math.min(ALERT_MAX, this.alertLevel + amount);
+
+    const threshold = this.reinforcements && this.reinforcements.triggerAt !== undefined
+      ? this.reinforcements.triggerAt
+      : ALERT_MAX;
+
+    if (previous < threshold && this.alertLevel >= threshold) {
+      this.detected = true;
+      for (const guardId in this.guards) {
+        if (this.guards[guardId].participant.status !== 'active') continue;
+        this.pushEvent(events, this.setGuardState(guardId, GUARD_STATES.ALERTED, 'hears the alarm'));
+      }
+
+      if (this.reinforcements && !this.reinforcementsTriggered) {
+        this.reinforcementsTriggered = true;
+        events.push({
+          eventType: 'reinforcements',
+          waves: this.reinforcements.waves || [],
+          message: '🔔 The alarm bell rings! The crew is coming.'
+        });
+      }
+    }
+
+    return events;
+  }
+
+  getAlertPercent() {
+    return Math.round((this.alertLevel / ALERT_MAX) * 100);
+  }
+
+  /**
+   * True if any guard confirmed an intruder this mission
+   */
+  wasDetected() {
+    return this.detected;
+  }
+
+  pushEvent(events, event) {
+    if (event) events.push(event);
+  }
+}
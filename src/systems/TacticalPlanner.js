@@ -0,0 +1,350 @@
+// src/systems/TacticalPlanner.js
+// Utility-scoring turn planner for The Marakatas
+// Enumerates every legal (move, ability, target) combination for an actor,
+// scores each on expected damage, kill chance, healing, exposure to enemy
+// threat and objective value, and returns the best.
+// Legality comes from AbilitySystem.validateAbilityUse/validateTargeting.
+// No Phaser dependency: give it participants, a grid and an AbilitySystem.
+
+import { calculateDistance, parseDiceNotation } from './AbilitySystem.js';
+import { applyStatusDamageModifiers } from '../data/StatusEffects.js';
+import { getAbility } from '../data/Abilities.js';
+import { isOpposed } from '../data/Character.js';
+import { getEquipmentDamageDice } from '../data/Items.js';
+
+/**
+ * Scoring weights (archetypes override some of these)
+ *   damage:            per expected point of damage dealt
+ *   kill:              per unit of kill probability
+ *   healing:           per expected point healed
+ *   status:            applying a debuff the target doesn't already have
+ *   exposure:          per expected point of damage enemies could deal at the end position
+ *   objective:         per objective point (protected targets, held positions)
+ *   weakTarget:        per percent of health the target is missing
+ *   movement:          per point of speed spent
+ */
+export const DEFAULT_WEIGHTS = {
+  damage: 1,
+  kill: 15,
+  healing: 1,
+  status: 4,
+  exposure: 0.3,
+  objective: 10,
+  weakTarget: 0,
+  movement: 0.1
+};
+
+// ==========================================
+// PROBABILITY HELPERS
+// ==========================================
+
+/**
+ * Chance a d20 attack hits: natural 20 always hits, natural 1 always
+ * misses, otherwise roll + modifier must reach the evasion DC
+ */
+export function getHitChance(attackModifier, targetEvasion) {
+  let hits = 0;
+  for (let roll = 1; roll <= 20; roll++) {
+    if (roll === 20 || (roll !== 1 && roll + attackModifier >= targetEvasion)) hits++;
+  }
+  return hits / 20;
+}
+
+/**
+ * Probability distribution of a dice spec's total
+ * Returns Map of total -> probability
+ */
+export function getDiceDistribution(notation) {
+  const spec = parseDiceNotation(notation);
+  let distribution = new Map([[spec.bonus, 1]]);
+
+  for (let i = 0; i < spec.dice; i++) {
+    const next = new Map();
+    for (const [total, chance] of distribution) {
+      for (let face = 1; face <= spec.sides; face++) {
+        next.set(total + face, (next.get(total + face) || 0) + chance / spec.sides);
+      }
+    }
+    distribution = next;
+  }
+
+  return distribution;
+}
+
+/**
+ * Distribution of the sum of two independent distributions
+ */
+function combineDistributions(a, b) {
+  const combined = new Map();
+  for (const [totalA, chanceA] of a) {
+    for (const [totalB, chanceB] of b) {
+      combined.set(totalA + totalB, (combined.get(totalA + totalB) || 0) + chanceA * chanceB);
+    }
+  }
+  return combined;
+}
+
+/**
+ * Expected damage and kill chance of a damage ability landing on a target
+ * (after the attacker's weapon dice and attribute modifier and the target's
+ * damage reduction)
+ * Returns { expectedDamage, killChance }
+ */
+export function getDamageOutcome(actor, target, ability) {
+  const modifier = ability.damageAttribute
+    ? actor.character.getModifier(actor.character[ability.damageAttribute])
+    : 0;
+
+  let expectedDamage = 0;
+  let killChance = 0;
+
+  const weaponDice = getEquipmentDamageDice(actor.character, ability);
+  const distribution = weaponDice
+    ? combineDistributions(getDiceDistribution(ability.damageDice), getDiceDistribution(weaponDice))
+    : getDiceDistribution(ability.damageDice);
+
+  for (const [roll, chance] of distribution) {
+    const reduced = applyStatusDamageModifiers(target, Math.max(0, roll + modifier), { attacker: actor, ability }).damage;
+    expectedDamage += Math.min(reduced, target.currentPrana) * chance;
+    if (reduced >= target.currentPrana) killChance += chance;
+  }
+
+  return { expectedDamage, killChance };
+}
+
+// ==========================================
+// PLANNER
+// ==========================================
+
+export class TacticalPlanner {
+  /**
+   * @param {object} context
+   *   participants:  Array<SessionCharacter>
+   *   grid:          IsometricGrid (or anything with the same query methods); optional
+   *   abilitySystem: AbilitySystem used for legality and attack modifiers
+   *   objectives:    Array<{ type: 'protect', participantId } | { type: 'hold', positions: [[x, y]] }>
+   *                  (from the player's point of view: enemies gain value by hitting
+   *                  protected units and standing on held positions)
+   */
+  constructor(context) {
+    this.participants = context.participants;
+    this.grid = context.grid || null;
+    this.abilitySystem = context.abilitySystem;
+    this.objectives = context.objectives || [];
+
+    this.threatCache = new Map();
+  }
+
+  /**
+   * Best scored action for an actor this turn, or null if no legal action
+   * Returns { move: {x, y}|null, ability, target, score, breakdown, intent }
+   */
+  planTurn(actor, weights = {}) {
+    const candidates = this.evaluateCandidates(actor, weights);
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => b.score - a.score);
+    const best = candidates[0];
+    const moving = best.position.x !== actor.x || best.position.y !== actor.y;
+
+    return {
+      move: moving ? { x: best.position.x, y: best.position.y } : null,
+      ability: best.ability,
+      target: best.target,
+      score: best.score,
+      breakdown: best.breakdown,
+      intent: `uses ${best.ability.name} on ${best.target.character.name}`
+    };
+  }
+
+  /**
+   * Score every legal (position, ability, target) combination
+   */
+  evaluateCandidates(actor, weights = {}) {
+    const w = { ...DEFAULT_WEIGHTS, ...weights };
+    const abilities = this.getUsableAbilities(actor);
+    const targets = this.participants.filter(p => p.status === 'active');
+    const outcomeCache = new Map();
+    const candidates = [];
+
+    for (const position of this.getStandingOptions(actor)) {
+      const origin = { x: position.x, y: position.y, z: this.getElevation(position.x, position.y, actor) };
+      const exposure = this.getExposure(actor, origin);
+      const holdValue = this.getHoldValue(origin);
+
+      for (const ability of abilities) {
+        for (const target of targets) {
+          if (!this.abilitySystem.validateTargeting(actor, ability, { participantId: target.id }, origin).valid) continue;
+
+          const effect = this.scoreEffect(actor, ability, target, origin, w, outcomeCache);
+          if (!effect) continue;
+
+          const breakdown = {
+            ...effect,
+            exposure: -exposure * w.exposure,
+            objective: (holdValue + this.getTargetObjectiveValue(actor, target)) * w.objective,
+            movement: -position.dist * w.movement
+          };
+          const score = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+
+          candidates.push({ position, ability, target, score, breakdown });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Value of an ability's effect on one target from an origin
+   * Returns a breakdown object, or null if the effect is worthless
+   */
+  scoreEffect(actor, ability, target, origin, w, outcomeCache) {
+    if (ability.effectType === 'damage') {
+      if (!isOpposed(actor, target)) return null;
+
+      const key = `${ability.id}:${target.id}`;
+      if (!outcomeCache.has(key)) outcomeCache.set(key, getDamageOutcome(actor, target, ability));
+      const outcome = outcomeCache.get(key);
+
+      const hitChance = ability.requiresAttackRoll === false
+        ? 1
+        : this.getHitChanceFrom(actor, target, ability, origin);
+
+      return {
+        damage: outcome.expectedDamage * hitChance * w.damage,
+        kill: outcome.killChance * hitChance * w.kill,
+        weakTarget: (100 - target.getHealthPercent()) * w.weakTarget
+      };
+    }
+
+    if (ability.effectType === 'heal') {
+      if (isOpposed(actor, target)) return null;
+
+      const missing = target.character.maxPrana - target.currentPrana;
+      if (missing <= 0) return null;
+
+      const spec = parseDiceNotation(ability.damageDice);
+      const modifier = ability.damageAttribute
+        ? actor.character.getModifier(actor.character[ability.damageAttribute])
+        : 0;
+      const average = spec.dice * (spec.sides + 1) / 2 + spec.bonus + modifier;
+
+      return { healing: Math.min(average, missing) * w.healing };
+    }
+
+    if (ability.effectType === 'status' && ability.targetType === 'enemy') {
+      if (target.hasStatusEffect(ability.statusEffect)) return null;
+      return { status: w.status };
+    }
+
+    return null;
+  }
+
+  getHitChanceFrom(actor, target, ability, origin) {
+    const { attackModifier, targetEvasion } = this.abilitySystem.getAttackModifiers(actor, target, ability, origin);
+    return getHitChance(attackModifier, targetEvasion);
+  }
+
+  // ==========================================
+  // THREAT AND OBJECTIVES
+  // ==========================================
+
+  /**
+   * Expected damage opponents could deal to the actor standing at origin
+   * next turn (opponents within their move + attack reach)
+   */
+  getExposure(actor, origin) {
+    let exposure = 0;
+
+    for (const opponent of this.participants) {
+      if (opponent.status !== 'active' || !isOpposed(actor, opponent)) continue;
+
+      const threat = this.getThreat(opponent, actor);
+      if (calculateDistance(opponent.x, opponent.y, origin.x, origin.y) <= threat.reach) {
+        exposure += threat.expectedDamage;
+      }
+    }
+
+    return exposure;
+  }
+
+  /**
+   * How far an opponent can strike next turn and how hard (cached per pair)
+   */
+  getThreat(opponent, victim) {
+    const key = `${opponent.id}:${victim.id}`;
+    if (this.threatCache.has(key)) return this.threatCache.get(key);
+
+    let reach = 0;
+    let expectedDamage = 0;
+
+    for (const ability of this.getAbilities(opponent)) {
+      if (ability.effectType !== 'damage' || typeof ability.range !== 'number') continue;
+
+      const { attackModifier, targetEvasion } = this.abilitySystem.getAttackModifiers(opponent, victim, ability);
+      const hitChance = ability.requiresAttackRoll === false ? 1 : getHitChance(attackModifier, targetEvasion);
+      const damage = getDamageOutcome(opponent, victim, ability).expectedDamage * hitChance;
+
+      reach = Math.max(reach, opponent.baseSpeed + this.abilitySystem.getAbilityRange(opponent, ability));
+      expectedDamage = Math.max(expectedDamage, damage);
+    }
+
+    const threat = { reach, expectedDamage };
+    this.threatCache.set(key, threat);
+    return threat;
+  }
+
+  /**
+   * Objective points for hitting a target the other side must protect
+   */
+  getTargetObjectiveValue(actor, target) {
+    if (!isOpposed(actor, target)) return 0;
+
+    return this.objectives.some(o => o.type === 'protect' && o.participantId === target.id) ? 1 : 0;
+  }
+
+  /**
+   * Objective points for standing on or next to a held position
+   */
+  getHoldValue(origin) {
+    for (const objective of this.objectives) {
+      if (objective.type !== 'hold') continue;
+
+      const near = objective.positions.some(([x, y]) => calculateDistance(origin.x, origin.y, x, y) <= 1);
+      if (near) return 0.5;
+    }
+    return 0;
+  }
+
+  // ==========================================
+  // HELPERS
+  // ==========================================
+
+  getAbilities(participant) {
+    return (participant.character.abilities || [])
+      .map(id => getAbility(id))
+      .filter(a => a && a.actionType !== 'reaction');
+  }
+
+  /**
+   * Abilities the actor can afford and is allowed to use right now
+   */
+  getUsableAbilities(actor) {
+    return this.getAbilities(actor)
+      .filter(a => a.targetType === 'enemy' || a.targetType === 'ally')
+      .filter(a => this.abilitySystem.validateAbilityUse(actor, a).valid);
+  }
+
+  /**
+   * Tiles the actor can end its move on (including staying put)
+   */
+  getStandingOptions(actor) {
+    if (!this.grid) return [{ x: actor.x, y: actor.y, dist: 0 }];
+    return this.grid.calculateMovementRange(actor.x, actor.y, actor.remainingSpeed, false, actor);
+  }
+
+  getElevation(x, y, actor) {
+    return this.grid ? this.grid.getElevation(x, y) : (actor.z || 0);
+  }
+}